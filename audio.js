@@ -1,126 +1,125 @@
+import { MusicEngine } from './music.js';
+import { SpatialAudio } from './spatial.js';
+
+// Sound effects and the mixer; the soundtrack itself is music.js and sounds
+// placed around the course are spatial.js.
+// Everything plays into one of two buses, music or sound effects. Both feed a
+// compressor that keeps stacked kicks, drones and crashes from clipping, then
+// the master volume:
+//
+//   music bus --\
+//                +--> compressor --> master --> speakers
+//   sfx bus ----/
+//
+// Volumes are 0..1 slider positions; gains follow their square, which sounds
+// closer to an even step per notch than a straight line does.
+export const AUDIO_BUSES = ['master', 'music', 'sfx'];
+
 export class AudioController {
     constructor() {
         this.ctx = null;
-        this.isPlaying = false;
-        this.intensity = 0; // 0 = chill, 1 = dramatic
-        
-        // Music state
-        this.nextNoteTime = 0;
-        this.tempo = 100;
-        this.noteIndex = 0;
-        
-        // Chill progression (Pentatonic scale-ish)
-        this.chillNotes = [261.63, 293.66, 329.63, 392.00, 440.00]; 
-        // Dramatic progression (Minor/Dissonant)
-        this.dramaticNotes = [261.63, 277.18, 293.66, 311.13, 196.00];
+        this.master = null; // Gain nodes, created with the context in init()
+        this.musicBus = null;
+        this.sfxBus = null;
+        this.volumes = { master: 1, music: 1, sfx: 1 };
+        this.muted = false;
+        this.music = new MusicEngine();
+        this.spatial = new SpatialAudio();
     }
 
     init() {
-        if (!this.ctx) {
-            this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-        }
+        if (this.ctx) return;
+        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+
+        const compressor = this.ctx.createDynamicsCompressor();
+        compressor.threshold.value = -12;
+        compressor.knee.value = 6;
+        compressor.ratio.value = 12;
+        compressor.attack.value = 0.003;
+        compressor.release.value = 0.25;
+
+        this.master = this.ctx.createGain();
+        this.musicBus = this.ctx.createGain();
+        this.sfxBus = this.ctx.createGain();
+        this.musicBus.connect(compressor);
+        this.sfxBus.connect(compressor);
+        compressor.connect(this.master);
+        this.master.connect(this.ctx.destination);
+        this.applyVolumes(0);
+        this.music.connect(this.ctx, this.musicBus);
+        this.spatial.connect(this.ctx, this.sfxBus);
+    }
+
+    // bus: one of AUDIO_BUSES; level 0..1
+    setVolume(bus, level) {
+        this.volumes[bus] = Math.max(0, Math.min(1, level));
+        this.applyVolumes();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    // Glides to the new levels over rampTime seconds so slider drags don't click
+    applyVolumes(rampTime = 0.05) {
+        if (!this.ctx) return; // Applied when the context is created
+        const time = this.ctx.currentTime;
+        const gain = (bus) => this.volumes[bus] * this.volumes[bus];
+        [
+            [this.master, this.muted ? 0 : gain('master')],
+            [this.musicBus, gain('music')],
+            [this.sfxBus, gain('sfx')],
+        ].forEach(([node, value]) => {
+            node.gain.cancelScheduledValues(time);
+            if (rampTime > 0) node.gain.setTargetAtTime(value, time, rampTime / 3);
+            else node.gain.setValueAtTime(value, time);
+        });
     }
 
     resumeMusic() {
         if (!this.ctx) this.init();
         if (this.ctx.state === 'suspended') this.ctx.resume();
-        this.isPlaying = true;
-        this.nextNoteTime = this.ctx.currentTime;
-        this.scheduler();
+        this.music.start();
     }
 
     pauseMusic() {
-        this.isPlaying = false;
+        this.music.stop();
         if (this.ctx) this.ctx.suspend();
     }
 
-    setIntensity(level) {
-        // level 0 to 1
-        this.intensity = Math.max(0, Math.min(1, level));
-        // Increase tempo with intensity
-        this.tempo = 100 + (this.intensity * 60);
+    // The tune follows the course seed so a run sounds the same each time
+    setSeed(seed) {
+        this.music.setSeed(seed);
     }
 
-    scheduler() {
-        if (!this.isPlaying) return;
+    // 0 = chill, 1 = dramatic
+    setIntensity(level) {
+        this.music.setIntensity(level);
+    }
 
-        while (this.nextNoteTime < this.ctx.currentTime + 0.1) {
-            this.playBeat(this.nextNoteTime);
-            this.scheduleNote(this.nextNoteTime);
-            const secondsPerBeat = 60.0 / this.tempo;
-            this.nextNoteTime += secondsPerBeat / 4; // 16th notes
-            this.noteIndex++;
-        }
-        
-        setTimeout(() => this.scheduler(), 25);
+    // Like slowing down a tape: tempo and pitch drop together
+    setPitch(rate) {
+        this.music.setPitch(rate);
     }
 
-    playBeat(time) {
-        // Simple kick drum on beats 1 and 3 (of 4/4)
-        // 16th notes: 0, 4, 8, 12 are quarter beats
-        if (this.noteIndex % 8 === 0) { // Kick
-            const osc = this.ctx.createOscillator();
-            const gain = this.ctx.createGain();
-            osc.frequency.setValueAtTime(150, time);
-            osc.frequency.exponentialRampToValueAtTime(0.01, time + 0.5);
-            gain.gain.setValueAtTime(1, time);
-            gain.gain.exponentialRampToValueAtTime(0.01, time + 0.5);
-            osc.connect(gain);
-            gain.connect(this.ctx.destination);
-            osc.start(time);
-            osc.stop(time + 0.5);
-        }
+    // Score milestones lift the music into a new key
+    changeKey() {
+        this.music.changeKey();
+    }
 
-        // Hi-hats increase with intensity
-        if (this.intensity > 0.3 && this.noteIndex % 2 === 0) {
-            this.playNoise(time, 0.05);
-        }
-        
-        // Dramatic bass drone if high intensity
-        if (this.intensity > 0.7 && this.noteIndex % 16 === 0) {
-             const osc = this.ctx.createOscillator();
-             osc.type = 'sawtooth';
-             const gain = this.ctx.createGain();
-             osc.frequency.setValueAtTime(50, time);
-             gain.gain.setValueAtTime(0.3 * this.intensity, time);
-             gain.gain.linearRampToValueAtTime(0, time + 2);
-             osc.connect(gain);
-             gain.connect(this.ctx.destination);
-             osc.start(time);
-             osc.stop(time + 2);
-        }
+    // Places the listener at the camera and sounds the objects around it
+    updateSpatial(camera, objects) {
+        this.spatial.update(camera, objects);
     }
 
-    scheduleNote(time) {
-        // Melody 
-        // Play less frequently in chill mode, more chaotic in dramatic mode
-        
-        let chance = 0.3; // 30% chance to play a note on a 16th
-        if (this.intensity > 0.5) chance = 0.6;
+    // obj has left the course; its voice fades out
+    releaseSpatial(obj) {
+        this.spatial.release(obj);
+    }
 
-        if (Math.random() < chance) {
-            const osc = this.ctx.createOscillator();
-            const gain = this.ctx.createGain();
-            
-            // Choose note set based on intensity mix
-            const useDramatic = Math.random() < this.intensity;
-            const notes = useDramatic ? this.dramaticNotes : this.chillNotes;
-            const note = notes[Math.floor(Math.random() * notes.length)];
-            
-            // Random octave
-            const octave = Math.pow(2, Math.floor(Math.random() * 3)); // 1, 2, or 4
-            
-            osc.type = useDramatic ? 'square' : 'sine';
-            osc.frequency.setValueAtTime(note * octave, time);
-            
-            gain.gain.setValueAtTime(0.1, time);
-            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.5);
-            
-            osc.connect(gain);
-            gain.connect(this.ctx.destination);
-            osc.start(time);
-            osc.stop(time + 0.5);
-        }
+    stopSpatial() {
+        this.spatial.stop();
     }
 
     playNoise(time, duration) {
@@ -135,7 +134,7 @@ export class AudioController {
         const gain = this.ctx.createGain();
         gain.gain.value = 0.05;
         noise.connect(gain);
-        gain.connect(this.ctx.destination);
+        gain.connect(this.sfxBus);
         noise.start(time);
     }
     
@@ -150,57 +149,81 @@ export class AudioController {
         gain.gain.setValueAtTime(0.3, time);
         gain.gain.linearRampToValueAtTime(0, time + 0.1);
         osc.connect(gain);
-        gain.connect(this.ctx.destination);
+        gain.connect(this.sfxBus);
         osc.start(time);
         osc.stop(time + 0.1);
     }
 
-    playCrashSound() {
+    // Rising arpeggio
+    playPowerUpSound() {
         if (!this.ctx) return;
-        this.playNoise(this.ctx.currentTime, 0.5);
+        const time = this.ctx.currentTime;
+        [523.25, 659.25, 783.99, 1046.5].forEach((freq, i) => {
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            const start = time + i * 0.06;
+            osc.type = 'triangle';
+            osc.frequency.setValueAtTime(freq, start);
+            gain.gain.setValueAtTime(0.2, start);
+            gain.gain.linearRampToValueAtTime(0, start + 0.12);
+            osc.connect(gain);
+            gain.connect(this.sfxBus);
+            osc.start(start);
+            osc.stop(start + 0.12);
+        });
     }
 
-    playGameOverMusic() {
+    // Metallic clang when the shield absorbs a hit
+    playShieldSound() {
         if (!this.ctx) return;
-        
-        // Max intensity
-        this.intensity = 1.0; 
-        this.tempo = 60; // Slow down for dramatic effect? Or speed up? "Extremely dramatic" might mean chaotic.
-        // Let's go for a chaotic discord
-        
         const time = this.ctx.currentTime;
-        
-        // Low drone
         const osc = this.ctx.createOscillator();
-        osc.type = 'sawtooth';
-        osc.frequency.setValueAtTime(50, time);
-        osc.frequency.linearRampToValueAtTime(30, time + 3);
-        
         const gain = this.ctx.createGain();
-        gain.gain.setValueAtTime(0.5, time);
-        gain.gain.exponentialRampToValueAtTime(0.01, time + 4);
-        
+        osc.type = 'square';
+        osc.frequency.setValueAtTime(660, time);
+        osc.frequency.exponentialRampToValueAtTime(220, time + 0.3);
+        gain.gain.setValueAtTime(0.25, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.3);
         osc.connect(gain);
-        gain.connect(this.ctx.destination);
+        gain.connect(this.sfxBus);
         osc.start(time);
-        osc.stop(time + 4);
-        
-        // Discordant Cluster
-        const notes = [100, 115, 140, 180, 210];
-        notes.forEach((freq, i) => {
-             const o = this.ctx.createOscillator();
-             o.type = 'triangle';
-             o.frequency.setValueAtTime(freq, time);
-             o.frequency.linearRampToValueAtTime(freq * 0.5, time + 3); // Pitch drop
-             
-             const g = this.ctx.createGain();
-             g.gain.setValueAtTime(0.2, time);
-             g.gain.exponentialRampToValueAtTime(0.001, time + 3);
-             
-             o.connect(g);
-             g.connect(this.ctx.destination);
-             o.start(time);
-             o.stop(time + 3);
-        });
+        osc.stop(time + 0.3);
+    }
+
+    playCrashSound() {
+        if (!this.ctx) return;
+        this.playNoise(this.ctx.currentTime, 0.5);
+    }
+
+    // Low rumble rolling in after a lightning flash
+    playThunderSound(delay = 0) {
+        if (!this.ctx) return;
+        const time = this.ctx.currentTime + delay;
+        const duration = 2.5;
+        const buffer = this.ctx.createBuffer(1, this.ctx.sampleRate * duration, this.ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        const noise = this.ctx.createBufferSource();
+        noise.buffer = buffer;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(400, time);
+        filter.frequency.exponentialRampToValueAtTime(80, time + duration);
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(0.001, time);
+        gain.gain.exponentialRampToValueAtTime(0.4, time + 0.1);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.sfxBus);
+        noise.start(time);
+        noise.stop(time + duration);
+    }
+
+    // Stops the music with a falling sting
+    playGameOverMusic() {
+        this.music.playGameOverSting();
     }
 }
@@ -0,0 +1,135 @@
+// Keyboard bindings: maps game actions to KeyboardEvent.code values.
+// Codes name physical key positions, so labels are looked up through the
+// Keyboard Map API when available (AZERTY players see "Z", not "W").
+
+export const ACTIONS = [
+    { id: 'up', label: 'Fly Up' },
+    { id: 'down', label: 'Fly Down' },
+    { id: 'left', label: 'Steer Left' },
+    { id: 'right', label: 'Steer Right' },
+    { id: 'accelerate', label: 'Accelerate' },
+    { id: 'pause', label: 'Pause' },
+];
+
+export const SLOTS_PER_ACTION = 2; // Primary and alternate key
+
+export const DEFAULT_BINDINGS = {
+    up: ['KeyW', 'ArrowUp'],
+    down: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    accelerate: ['Space', null],
+    pause: ['KeyP', null],
+};
+
+// Split-screen two-player keys, one side of the keyboard each. These replace
+// the player's own bindings during a two-player run (pause stays on those).
+export const VERSUS_BINDINGS = [
+    { up: ['KeyW', null], down: ['KeyS', null], left: ['KeyA', null], right: ['KeyD', null], accelerate: ['Space', null] },
+    { up: ['ArrowUp', null], down: ['ArrowDown', null], left: ['ArrowLeft', null], right: ['ArrowRight', null], accelerate: ['Enter', 'NumpadEnter'] },
+];
+
+const STORAGE_KEY = 'eagleRider.bindings';
+
+// Codes that can't be bound (Escape cancels rebinding)
+const RESERVED_CODES = ['Escape'];
+
+let layoutMap = null;
+
+// Fetches the keyboard layout once so keyLabel() can show layout-specific names
+export function loadKeyboardLayout() {
+    if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return Promise.resolve();
+    return navigator.keyboard.getLayoutMap()
+        .then(map => { layoutMap = map; })
+        .catch(() => {});
+}
+
+export function cloneBindings(bindings) {
+    const copy = {};
+    ACTIONS.forEach(({ id }) => { copy[id] = bindings[id].slice(); });
+    return copy;
+}
+
+// Stored bindings are validated action by action; anything unusable falls back to the default
+export function loadBindings() {
+    const bindings = cloneBindings(DEFAULT_BINDINGS);
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (e) {
+        return bindings;
+    }
+    if (!stored || typeof stored !== 'object') return bindings;
+
+    ACTIONS.forEach(({ id }) => {
+        const codes = stored[id];
+        if (Array.isArray(codes) && codes.length === SLOTS_PER_ACTION &&
+            codes.every(code => code === null || typeof code === 'string')) {
+            bindings[id] = codes.slice();
+        }
+    });
+    return bindings;
+}
+
+export function saveBindings(bindings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch (e) {
+        // Storage unavailable; bindings still apply for this session
+    }
+}
+
+export function isReservedCode(code) {
+    return RESERVED_CODES.includes(code);
+}
+
+export function isActionActive(bindings, keys, action) {
+    return bindings[action].some(code => code && keys[code]);
+}
+
+export function actionForCode(bindings, code) {
+    return ACTIONS.map(a => a.id).find(id => bindings[id].includes(code)) || null;
+}
+
+// Where else is this code bound? Returns { action, slot } or null.
+export function findConflict(bindings, code, action, slot) {
+    for (const { id } of ACTIONS) {
+        const index = bindings[id].indexOf(code);
+        if (index !== -1 && !(id === action && index === slot)) {
+            return { action: id, slot: index };
+        }
+    }
+    return null;
+}
+
+// Binds code to action/slot. A conflicting binding is swapped with the old key
+// so no key ever drives two actions. Returns the conflict that was resolved, if any.
+export function rebind(bindings, action, slot, code) {
+    const conflict = findConflict(bindings, code, action, slot);
+    if (conflict) {
+        bindings[conflict.action][conflict.slot] = bindings[action][slot];
+    }
+    bindings[action][slot] = code;
+    return conflict;
+}
+
+export function actionLabel(action) {
+    const found = ACTIONS.find(a => a.id === action);
+    return found ? found.label : action;
+}
+
+export function keyLabel(code) {
+    if (!code) return '—';
+    if (layoutMap && layoutMap.has(code)) return layoutMap.get(code).toUpperCase();
+
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[code]) return arrows[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code.replace(/([a-z])([A-Z])/g, '$1 $2'); // "ShiftLeft" -> "Shift Left"
+}
+
+// "W or ↑" style text for one action
+export function describeAction(bindings, action) {
+    return bindings[action].filter(Boolean).map(keyLabel).join(' or ') || 'unbound';
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+// Shape tests for the simulation. The eagle is a sphere of CONFIG.PLAYER_RADIUS
+// swept along the path it flew during one step, so it can't tunnel through
+// anything at boost speed. Obstacles are tested in their mesh's local space,
+// so a rotated log or wall collides the way it looks.
+//
+// Shapes (in local space):
+//   capsule { start, end, radius }  - a segment with thickness, for logs
+//   box     { halfExtents }         - centred on the origin, for walls
+//   ring    { radius, tube }        - torus in the XY plane, for hoop rims
+//   sphere  centre and radius       - enemies and pickups (world space)
+
+// Boxes and rings are checked at points along the path no further apart than
+// this, well under the eagle's radius, so nothing can be stepped over
+const SWEEP_STEP = 0.25;
+const EPSILON = 1e-9;
+
+const _inverse = new THREE.Matrix4();
+const _from = new THREE.Vector3();
+const _to = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _d1 = new THREE.Vector3();
+const _d2 = new THREE.Vector3();
+const _r = new THREE.Vector3();
+const _c1 = new THREE.Vector3();
+const _c2 = new THREE.Vector3();
+
+// Brings a world-space path into the mesh's local space.
+// Returns shared vectors, valid until the next call.
+export function pathToLocal(mesh, from, to) {
+    mesh.updateMatrixWorld();
+    _inverse.copy(mesh.matrixWorld).invert();
+    return [_from.copy(from).applyMatrix4(_inverse), _to.copy(to).applyMatrix4(_inverse)];
+}
+
+// Squared distance between the closest points of segments p1-q1 and p2-q2
+export function segmentDistanceSq(p1, q1, p2, q2) {
+    const d1 = _d1.subVectors(q1, p1);
+    const d2 = _d2.subVectors(q2, p2);
+    const r = _r.subVectors(p1, p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+    const clamp = THREE.MathUtils.clamp;
+    let s;
+    let t;
+
+    if (a <= EPSILON && e <= EPSILON) return r.lengthSq(); // Both are points
+    if (a <= EPSILON) {
+        s = 0;
+        t = clamp(f / e, 0, 1);
+    } else {
+        const c = d1.dot(r);
+        if (e <= EPSILON) {
+            t = 0;
+            s = clamp(-c / a, 0, 1);
+        } else {
+            const b = d1.dot(d2);
+            const denom = a * e - b * b; // Zero when parallel
+            s = denom > EPSILON ? clamp((b * f - c * e) / denom, 0, 1) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = clamp(-c / a, 0, 1);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp((b - c) / a, 0, 1);
+            }
+        }
+    }
+
+    _c1.copy(p1).addScaledVector(d1, s);
+    _c2.copy(p2).addScaledVector(d2, t);
+    return _c1.distanceToSquared(_c2);
+}
+
+export function pointBoxDistance(p, halfExtents) {
+    const dx = Math.max(Math.abs(p.x) - halfExtents.x, 0);
+    const dy = Math.max(Math.abs(p.y) - halfExtents.y, 0);
+    const dz = Math.max(Math.abs(p.z) - halfExtents.z, 0);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// Distance to the centre line of the torus tube
+export function pointRingDistance(p, radius) {
+    const radial = Math.hypot(p.x, p.y) - radius;
+    return Math.sqrt(radial * radial + p.z * p.z);
+}
+
+// Smallest value of distanceFn at points along a-b
+function minDistanceAlong(a, b, distanceFn) {
+    const count = Math.max(1, Math.ceil(a.distanceTo(b) / SWEEP_STEP));
+    let min = Infinity;
+    for (let i = 0; i <= count; i++) {
+        min = Math.min(min, distanceFn(_point.lerpVectors(a, b, i / count)));
+    }
+    return min;
+}
+
+// Both spheres in world space; the target is treated as still during the step
+export function sweptSphereHitsSphere(a, b, radius, center, targetRadius) {
+    const reach = radius + targetRadius;
+    return segmentDistanceSq(a, b, center, center) < reach * reach;
+}
+
+// Closest the path a-b came to the surface of the shape
+export function capsuleClearance(a, b, capsule) {
+    return Math.sqrt(segmentDistanceSq(a, b, capsule.start, capsule.end)) - capsule.radius;
+}
+
+export function boxClearance(a, b, box) {
+    return minDistanceAlong(a, b, p => pointBoxDistance(p, box.halfExtents));
+}
+
+export function sweptSphereHitsCapsule(a, b, radius, capsule) {
+    return capsuleClearance(a, b, capsule) < radius;
+}
+
+export function sweptSphereHitsBox(a, b, radius, box) {
+    return boxClearance(a, b, box) < radius;
+}
+
+// Returns { touchedRim, crossed, crossRadius }: whether the sphere touched the
+// tube, whether the path went through the ring's plane and, if so, how far from
+// the centre it crossed
+export function sweepRing(a, b, radius, ring) {
+    const touchedRim = minDistanceAlong(a, b, p => pointRingDistance(p, ring.radius)) < radius + ring.tube;
+    const crossed = (a.z > 0) !== (b.z > 0);
+    let crossRadius = Infinity;
+    if (crossed) {
+        _point.lerpVectors(a, b, a.z / (a.z - b.z));
+        crossRadius = Math.hypot(_point.x, _point.y);
+    }
+    return { touchedRim, crossed, crossRadius };
+}
@@ -0,0 +1,215 @@
+// --- Configuration ---
+export const CONFIG = {
+    PLAYER_SPEED_BASE: 50,
+    PLAYER_SPEED_MAX: 100,
+    PLAYER_ACCEL: 50,
+    PLAYER_TURN_SPEED: 40,
+    PLAYER_RADIUS: 1.5, // Collision sphere around the eagle
+    HOOP_RADIUS: 8,
+    HOOP_THICKNESS: 0.5,
+    SPAWN_DISTANCE: 400,
+    REMOVE_DISTANCE: 50,
+    OBSTACLE_SPAWN_RATE: 0.5, // 0-1 chance per segment
+    HOOP_SPAWN_INTERVAL: 150, // Distance between hoops
+    FIXED_DT: 1 / 60, // Simulation step in seconds, independent of display refresh rate
+    MAX_FRAME_TIME: 0.25, // Clamp long frames (tab switches, breakpoints) to avoid a spiral of catch-up steps
+    GAMEPAD_DEAD_ZONE: 0.2, // Stick travel (0-1) ignored around the centre
+    // Ground, see terrain.js. Heights are world y; the eagle can't fly below y = 1.
+    TERRAIN: {
+        FLAT_HALF_WIDTH: 55, // Endless runs: valley floor either side of the centre line, always below the eagle
+        COURSE_FLAT_HALF_WIDTH: 110, // Authored courses can use the whole flying area
+        FLOOR_HEIGHT: -2,
+        FLOOR_ROLL: 1.5, // Bumps in the valley floor
+        HILL_HEIGHT: 14, // Beyond the floor the valley sides rise into hills...
+        HILL_RISE: 60, // ...over this distance
+        CLIFF_HEIGHT: 22, // Sheer walls on some stretches of the valley sides
+        CLIFF_SHARE: 0.35, // Roughly this share of each side has a cliff
+        MAX_HEIGHT: 40, // Leaves room to fly over anything
+        RIVER_WIDTH: 14,
+        RIVER_DEPTH: 4,
+        RIVER_MEANDER: 35, // How far the river wanders from the centre line
+        WATER_LEVEL: -3.5,
+        TREE_CELL: 14, // At most one tree per cell of this size
+        TREE_CHANCE: 0.45,
+        TREE_MIN_HEIGHT: 8,
+        TREE_MAX_HEIGHT: 16,
+        TREE_RADIUS: 3,
+        TREE_LINE: 28, // No trees above this height
+        CHUNK_SIZE: 200, // Ground tiles are this square
+        CHUNK_SEGMENTS: 40,
+        CHUNK_COLUMNS: 5, // Across, centred on the course
+        CHUNKS_AHEAD: 4, // Rows kept in front of the camera
+        CHUNKS_BEHIND: 1,
+    },
+    // Time of day and weather, see weather.js. Both follow the course seed.
+    WEATHER: 'changing', // Default weather: a key of WEATHER_TYPES, or 'changing' for a seeded mix of them
+    // FOG_NEAR/FOG_FAR: visibility. OVERCAST 0-1 greys the sky and dims the sun.
+    // GUST: strongest push in units/s the wind gives the eagle. RAIN 0-2: heaviness.
+    // LIGHTNING: chance of a strike each second. WEIGHT: how often 'changing' picks it.
+    WEATHER_TYPES: {
+        clear: { LABEL: 'Clear', FOG_NEAR: 100, FOG_FAR: 500, OVERCAST: 0, GUST: 0, RAIN: 0, LIGHTNING: 0, WEIGHT: 4 },
+        rain: { LABEL: 'Rain', FOG_NEAR: 40, FOG_FAR: 280, OVERCAST: 0.6, GUST: 5, RAIN: 1, LIGHTNING: 0, WEIGHT: 2 },
+        // Thick fog in banks along the course, with clearer air between them
+        fog: { LABEL: 'Fog Banks', FOG_NEAR: 5, FOG_FAR: 90, OVERCAST: 0.4, GUST: 2, RAIN: 0, LIGHTNING: 0, WEIGHT: 2, BANKS: true },
+        storm: { LABEL: 'Storm', FOG_NEAR: 20, FOG_FAR: 200, OVERCAST: 0.9, GUST: 14, RAIN: 2, LIGHTNING: 0.2, WEIGHT: 1 },
+    },
+    SKY: {
+        DAY_LENGTH: 300, // Seconds of run time for a whole day and night
+        SPELL_MIN: 30, // 'changing' weather holds for this many seconds...
+        SPELL_MAX: 75, // ...up to this many
+        BLEND_TIME: 8, // Seconds one kind of weather takes to turn into the next
+        GUST_PERIOD: 2.5, // Roughly how long a gust lasts
+        BANK_LENGTH: 300, // Distance from one fog bank to the next
+        BANK_GAP_FAR: 350, // Visibility between fog banks
+        FLASH_TIME: 0.4, // Seconds a lightning flash lasts
+        HOOP_GLOW: 0.9, // Extra hoop emissive in full darkness
+    },
+    // Online races, see network.js and server/server.js
+    NETWORK: {
+        SERVER_URL: 'ws://localhost:8787', // Default; players can enter another on the Online Race screen
+        SEND_RATE: 15, // Position updates per second
+        INTERPOLATION_DELAY: 0.15, // Seconds other racers are drawn behind real time, to smooth out jitter
+        STALE_TIMEOUT: 3, // Seconds without an update before a racer is shown as lagging
+    },
+    SCORING: {
+        HOOP_POINTS: 10,
+        PRECISION_POINTS: 15, // Extra for a dead-centre pass, scaling down to 0 at the edge
+        PERFECT_PRECISION: 0.8, // Passes this close to the centre (0-1) count as perfect
+        COMBO_STEP: 3, // Hoops per step up the multiplier
+        COMBO_MAX: 4,
+        NEAR_MISS_DISTANCE: 2.5, // Clearance from walls and logs that earns a near miss
+        NEAR_MISS_POINTS: 5,
+    },
+    // Enemy chance per hoop segment in endless runs: (hoops - START) * PER_POINT, capped at MAX
+    ENEMY_SPAWN: {
+        drone: { START: 3, PER_POINT: 0.02, MAX: 0.3 },
+        hawk: { START: 8, PER_POINT: 0.02, MAX: 0.25 },
+        crow: { START: 12, PER_POINT: 0.015, MAX: 0.2 },
+    },
+    POWERUPS: {
+        SPAWN_CHANCE: 0.15, // Per hoop segment in endless runs
+        PICKUP_RADIUS: 2,
+        SHIELD_DURATION: 20, // Seconds; all power-up timers count real time
+        SHIELD_GRACE: 1.5, // Seconds of immunity after the shield absorbs a crash
+        MAGNET_DURATION: 10,
+        MAGNET_RADIUS_SCALE: 1.6, // Hoop opening while the magnet is active
+        SLOWMO_DURATION: 6,
+        SLOWMO_SCALE: 0.5, // Simulation speed while slow-mo is active
+    },
+    QUALITY: 'high', // Default effects quality, a key of QUALITY_LEVELS, chosen in Settings
+    // PARTICLES: share of each particle emitter's cap and output used (see particles.js)
+    QUALITY_LEVELS: {
+        low: { LABEL: 'Low', PARTICLES: 0.25 },
+        medium: { LABEL: 'Medium', PARTICLES: 0.5 },
+        high: { LABEL: 'High', PARTICLES: 1 },
+    },
+    HANDLING: 'arcade', // Default handling preset, chosen in Settings
+    HANDLING_PRESETS: {
+        // The original feel: the stick moves the eagle directly, the bank is cosmetic
+        arcade: { LABEL: 'Arcade', MODEL: 'arcade' },
+        // Momentum flight, see flight.js. Rates in radians/s, speeds in units/s.
+        sim: {
+            LABEL: 'Sim',
+            MODEL: 'momentum',
+            ROLL_RATE: 2.5,
+            MAX_ROLL: 0.9,
+            PITCH_RATE: 1.2,
+            PITCH_LEVELING: 0.4,
+            MAX_PITCH: 0.7,
+            TURN_RATE: 1.6,
+            MAX_YAW: 1.1, // Heading limit either side of straight down the course
+            GRAVITY: 30, // Speed lost climbing and gained diving
+            DRAG: 0.6, // How quickly airspeed returns to cruise
+            MIN_AIRSPEED: 10,
+            MAX_AIRSPEED: 180,
+            STALL_SPEED: 30,
+            STALL_RECOVERY_SPEED: 38,
+            STALL_CONTROL: 0.3, // Share of control authority left while stalled
+            STALL_NOSE_DROP: 1.5,
+        },
+    },
+    RULES: 'normal', // Key of RULE_SETS
+    // Difficulty and alternative rules, chosen on the start screen.
+    // Endless runs get OBSTACLE_BASE + hoops * OBSTACLE_PER_HOOP chance of an
+    // obstacle per segment, capped at OBSTACLE_MAX; each clean hoop adds
+    // SPEED_PER_HOOP to the cruise speed. MAX_MISSES is Infinity for no limit.
+    // When crashes aren't fatal, a hit costs the streak and some speed instead.
+    // TIME_TRIAL rule sets race the clock to a finish gate: every hoop is a
+    // checkpoint, and misses and crashes add seconds. Generated courses end
+    // after CHECKPOINTS hoops.
+    RULE_SETS: {
+        easy: {
+            LABEL: 'Easy',
+            DESCRIPTION: 'Bigger hoops, fewer obstacles. Don\'t miss 5 hoops.',
+            MAX_MISSES: 5,
+            OBSTACLE_BASE: 0.1,
+            OBSTACLE_PER_HOOP: 0.03,
+            OBSTACLE_MAX: 0.5,
+            SPEED_PER_HOOP: 0.5,
+            HOOP_SCALE: 1.3,
+            FATAL_CRASHES: true,
+        },
+        normal: {
+            LABEL: 'Normal',
+            DESCRIPTION: 'Avoid obstacles. Don\'t miss 3 hoops.',
+            MAX_MISSES: 3,
+            OBSTACLE_BASE: 0.2,
+            OBSTACLE_PER_HOOP: 0.05,
+            OBSTACLE_MAX: 0.8,
+            SPEED_PER_HOOP: 1,
+            HOOP_SCALE: 1,
+            FATAL_CRASHES: true,
+        },
+        hard: {
+            LABEL: 'Hard',
+            DESCRIPTION: 'Smaller hoops, more obstacles, faster. Don\'t miss 2 hoops.',
+            MAX_MISSES: 2,
+            OBSTACLE_BASE: 0.35,
+            OBSTACLE_PER_HOOP: 0.07,
+            OBSTACLE_MAX: 0.9,
+            SPEED_PER_HOOP: 1.5,
+            HOOP_SCALE: 0.8,
+            FATAL_CRASHES: true,
+        },
+        zen: {
+            LABEL: 'Zen',
+            DESCRIPTION: 'No way to lose. Crashes only cost your streak. End the run from the pause menu.',
+            MAX_MISSES: Infinity,
+            OBSTACLE_BASE: 0.1,
+            OBSTACLE_PER_HOOP: 0.02,
+            OBSTACLE_MAX: 0.4,
+            SPEED_PER_HOOP: 0.5,
+            HOOP_SCALE: 1.2,
+            FATAL_CRASHES: false,
+            CRASH_SPEED_LOSS: 10,
+        },
+        suddenDeath: {
+            LABEL: 'Sudden Death',
+            DESCRIPTION: 'One miss and the run is over.',
+            MAX_MISSES: 1,
+            OBSTACLE_BASE: 0.2,
+            OBSTACLE_PER_HOOP: 0.05,
+            OBSTACLE_MAX: 0.8,
+            SPEED_PER_HOOP: 1,
+            HOOP_SCALE: 1,
+            FATAL_CRASHES: true,
+        },
+        timeTrial: {
+            LABEL: 'Time Trial',
+            DESCRIPTION: 'Race the clock to the finish gate. A missed hoop adds 5 seconds, a crash 3.',
+            MAX_MISSES: Infinity,
+            OBSTACLE_BASE: 0.2,
+            OBSTACLE_PER_HOOP: 0.05,
+            OBSTACLE_MAX: 0.8,
+            SPEED_PER_HOOP: 1,
+            HOOP_SCALE: 1,
+            FATAL_CRASHES: false,
+            CRASH_SPEED_LOSS: 10,
+            TIME_TRIAL: {
+                CHECKPOINTS: 12,
+                MISS_PENALTY: 5,
+                CRASH_PENALTY: 3,
+            },
+        },
+    },
+};
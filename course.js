@@ -0,0 +1,264 @@
+// Authored course format. Courses are JSON documents:
+//
+// {
+//   "format": "eagle-rider-course",
+//   "version": 1,
+//   "id": "first-flight",
+//   "name": "First Flight",
+//   "description": "Optional text for the level select",
+//   "finish": { "z": -2400 },
+//   "objects": [
+//     { "type": "hoop", "x": 0, "y": 15, "z": -300 },
+//     { "type": "wall", "x": 5, "y": 15, "z": -450, "speed": 10, "range": 20 },
+//     { "type": "fan", "x": 10, "y": 15, "z": -600, "force": -30 },
+//     { "type": "log", "x": 0, "y": 20, "z": -750, "swinging": false },
+//     { "type": "thermal", "x": -20, "y": 25, "z": -900, "force": 15 }
+//   ]
+// }
+//
+// The eagle starts at the origin flying towards negative z. Motion parameters:
+// wall "speed" (units/s sideways, 0 = static) and "range" (how far it travels
+// either side of x), log "swinging" (bobs up and down).
+//
+// Fans, thermals, downdrafts, gusts and turbulence are force fields (see
+// fields.js). "force" is their wind speed in units/s; sizes are in units and
+// "falloff" is how the wind weakens from core to edge. A fan blows along
+// (dirX, dirY, dirZ), so the default force of -30 pushes left.
+
+export const COURSE_FORMAT = 'eagle-rider-course';
+export const COURSE_VERSION = 1;
+
+// Flyable space, matching the player clamp in simulation.js
+export const COURSE_BOUNDS = { minX: -100, maxX: 100, minY: 1, maxY: 50 };
+
+export const FALLOFF_TYPES = ['none', 'linear', 'smooth'];
+
+function falloff(defaultValue) {
+    return { type: 'string', default: defaultValue, label: 'Falloff', options: FALLOFF_TYPES };
+}
+
+function size(defaultValue, label) {
+    return { type: 'number', default: defaultValue, label, min: 1 };
+}
+
+// Allowed fields per object type, with their types, defaults and editor labels.
+// Optional: min for numbers, options for strings.
+export const OBJECT_FIELDS = {
+    hoop: {},
+    wall: {
+        speed: { type: 'number', default: 0, label: 'Wall speed' },
+        range: { type: 'number', default: 20, label: 'Travel range' },
+    },
+    fan: {
+        force: { type: 'number', default: -30, label: 'Fan force' },
+        dirX: { type: 'number', default: 1, label: 'Direction X' },
+        dirY: { type: 'number', default: 0, label: 'Direction Y' },
+        dirZ: { type: 'number', default: 0, label: 'Direction Z' },
+        radius: size(5, 'Radius'),
+        length: size(25, 'Reach'),
+        falloff: falloff('linear'),
+    },
+    log: { swinging: { type: 'boolean', default: true, label: 'Swinging' } },
+    thermal: {
+        force: { type: 'number', default: 15, label: 'Lift' },
+        radius: size(12, 'Radius'),
+        height: size(50, 'Height'),
+        falloff: falloff('smooth'),
+    },
+    downdraft: {
+        force: { type: 'number', default: 15, label: 'Sink' },
+        radius: size(12, 'Radius'),
+        height: size(50, 'Height'),
+        falloff: falloff('smooth'),
+    },
+    gust: {
+        force: { type: 'number', default: 25, label: 'Crosswind' },
+        width: size(60, 'Width'),
+        height: size(50, 'Height'),
+        depth: size(40, 'Depth'),
+        period: { type: 'number', default: 3, label: 'Gust period (s)', min: 0.5 },
+        falloff: falloff('none'),
+    },
+    turbulence: {
+        force: { type: 'number', default: 12, label: 'Strength' },
+        radius: size(20, 'Radius'),
+        falloff: falloff('smooth'),
+    },
+};
+
+export const OBJECT_TYPES = Object.keys(OBJECT_FIELDS);
+
+// Carries every problem found, so authors can fix a file in one go
+export class CourseError extends Error {
+    constructor(errors) {
+        super(`Invalid course:\n${errors.join('\n')}`);
+        this.name = 'CourseError';
+        this.errors = errors;
+    }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function describe(value) {
+    return JSON.stringify(value) === undefined ? String(value) : JSON.stringify(value);
+}
+
+// Parses and validates a course (JSON text or an already parsed object).
+// Returns a normalised course with defaults filled in and objects sorted by
+// distance, or throws CourseError.
+export function parseCourse(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (e) {
+            throw new CourseError([`Not valid JSON: ${e.message}`]);
+        }
+    }
+
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new CourseError(['Course must be a JSON object.']);
+    }
+    if (data.format !== COURSE_FORMAT) {
+        errors.push(`format: expected "${COURSE_FORMAT}" (got ${describe(data.format)})`);
+    }
+    if (data.version !== COURSE_VERSION) {
+        errors.push(`version: this game reads version ${COURSE_VERSION} courses (got ${describe(data.version)})`);
+    }
+    if (typeof data.id !== 'string' || !/^[a-z0-9-]+$/.test(data.id)) {
+        errors.push(`id: expected lowercase letters, digits and dashes (got ${describe(data.id)})`);
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push('name: expected a non-empty string');
+    }
+    if (data.description !== undefined && typeof data.description !== 'string') {
+        errors.push('description: expected a string');
+    }
+    if (!data.finish || !isNumber(data.finish.z) || data.finish.z >= 0) {
+        errors.push(`finish.z: expected a negative number (got ${describe(data.finish && data.finish.z)})`);
+    }
+    if (!Array.isArray(data.objects)) {
+        errors.push('objects: expected an array');
+        throw new CourseError(errors);
+    }
+
+    const objects = data.objects.map((obj, i) => validateObject(obj, `objects[${i}]`, data.finish, errors));
+
+    if (errors.length) throw new CourseError(errors);
+
+    return {
+        format: COURSE_FORMAT,
+        version: COURSE_VERSION,
+        id: data.id,
+        name: data.name.trim(),
+        description: data.description || '',
+        finish: { z: data.finish.z },
+        objects: objects.sort((a, b) => b.z - a.z), // Nearest first, in spawn order
+        hoopCount: objects.filter(obj => obj.type === 'hoop').length,
+    };
+}
+
+function validateObject(obj, path, finish, errors) {
+    if (!obj || typeof obj !== 'object') {
+        errors.push(`${path}: expected an object`);
+        return null;
+    }
+    const fields = OBJECT_FIELDS[obj.type];
+    if (!fields) {
+        errors.push(`${path}.type: expected one of ${OBJECT_TYPES.join(', ')} (got ${describe(obj.type)})`);
+        return null;
+    }
+
+    const result = { type: obj.type };
+    ['x', 'y', 'z'].forEach(axis => {
+        if (!isNumber(obj[axis])) errors.push(`${path}.${axis}: expected a number (got ${describe(obj[axis])})`);
+        result[axis] = obj[axis];
+    });
+    if (isNumber(obj.x) && (obj.x < COURSE_BOUNDS.minX || obj.x > COURSE_BOUNDS.maxX)) {
+        errors.push(`${path}.x: must be between ${COURSE_BOUNDS.minX} and ${COURSE_BOUNDS.maxX} (got ${obj.x})`);
+    }
+    if (isNumber(obj.y) && (obj.y < COURSE_BOUNDS.minY || obj.y > COURSE_BOUNDS.maxY)) {
+        errors.push(`${path}.y: must be between ${COURSE_BOUNDS.minY} and ${COURSE_BOUNDS.maxY} (got ${obj.y})`);
+    }
+    if (isNumber(obj.z) && obj.z >= 0) {
+        errors.push(`${path}.z: must be negative, ahead of the start (got ${obj.z})`);
+    }
+    if (isNumber(obj.z) && finish && isNumber(finish.z) && obj.z <= finish.z) {
+        errors.push(`${path}.z: must come before the finish line at z = ${finish.z} (got ${obj.z})`);
+    }
+
+    Object.keys(obj).forEach(key => {
+        if (key === 'type' || key === 'x' || key === 'y' || key === 'z') return;
+        const field = fields[key];
+        if (!field) {
+            errors.push(`${path}.${key}: unknown property for a ${obj.type}`);
+        } else if (typeof obj[key] !== field.type || (field.type === 'number' && !isNumber(obj[key]))) {
+            errors.push(`${path}.${key}: expected a ${field.type} (got ${describe(obj[key])})`);
+        } else if (field.min !== undefined && obj[key] < field.min) {
+            errors.push(`${path}.${key}: must be at least ${field.min} (got ${obj[key]})`);
+        } else if (field.options && !field.options.includes(obj[key])) {
+            errors.push(`${path}.${key}: expected one of ${field.options.join(', ')} (got ${describe(obj[key])})`);
+        }
+    });
+    Object.keys(fields).forEach(key => {
+        result[key] = obj[key] !== undefined ? obj[key] : fields[key].default;
+    });
+
+    return result;
+}
+
+// Strips the derived fields added by parseCourse, for saving
+export function serializeCourse(course) {
+    return JSON.stringify({
+        format: COURSE_FORMAT,
+        version: COURSE_VERSION,
+        id: course.id,
+        name: course.name,
+        description: course.description || undefined,
+        finish: { z: course.finish.z },
+        objects: course.objects,
+    }, null, 2);
+}
+
+// --- Courses saved from the editor ---
+
+const SAVED_COURSES_KEY = 'eagleRider.savedCourses';
+
+// Saved courses that no longer validate are skipped rather than breaking the list
+export function loadSavedCourses() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(SAVED_COURSES_KEY));
+    } catch (e) {
+        return [];
+    }
+    if (!stored || typeof stored !== 'object') return [];
+
+    const courses = [];
+    Object.values(stored).forEach(data => {
+        try {
+            courses.push(parseCourse(data));
+        } catch (e) {
+            // Ignore
+        }
+    });
+    return courses;
+}
+
+function writeSavedCourses(courses) {
+    const stored = {};
+    courses.forEach(course => { stored[course.id] = JSON.parse(serializeCourse(course)); });
+    localStorage.setItem(SAVED_COURSES_KEY, JSON.stringify(stored));
+}
+
+// Throws if storage is unavailable or full
+export function saveCourseToStorage(course) {
+    writeSavedCourses(loadSavedCourses().filter(c => c.id !== course.id).concat(course));
+}
+
+export function deleteSavedCourse(id) {
+    writeSavedCourses(loadSavedCourses().filter(c => c.id !== id));
+}
@@ -0,0 +1,7 @@
+import { parseCourse } from '../course.js';
+import firstFlight from './first-flight.json';
+import slalom from './slalom.json';
+import windTunnel from './wind-tunnel.json';
+
+// Courses shipped with the game, in level-select order
+export const BUILT_IN_COURSES = [firstFlight, slalom, windTunnel].map(parseCourse);
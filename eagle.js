@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+
+// Plumage for each player in multiplayer; the first is the classic eagle
+export const EAGLE_COLORS = [
+    { body: 0x8B4513, wings: 0xA0522D, head: 0xFFFFFF }, // SaddleBrown
+    { body: 0x2F3F6F, wings: 0x4A6FA5, head: 0xDDEEFF }, // Blue
+    { body: 0x6B1E1E, wings: 0xA83232, head: 0xFFE4C4 }, // Red
+    { body: 0x2E5E2E, wings: 0x4C8C4C, head: 0xF0FFF0 }, // Green
+    { body: 0x4B2C6F, wings: 0x7A52A8, head: 0xF3E5FF }, // Purple
+    { body: 0x3A3A3A, wings: 0x5E5E5E, head: 0xFFFFFF }, // Charcoal
+    { body: 0xB8860B, wings: 0xDAA520, head: 0xFFFFF0 }, // Gold
+    { body: 0x1F5F5F, wings: 0x2E8B8B, head: 0xE0FFFF }, // Teal
+];
+
+// Builds the eagle model. The wings are exposed through userData so the
+// simulation can flap them.
+export function createEagle(colors = EAGLE_COLORS[0]) {
+    const eagleGroup = new THREE.Group();
+
+    // Body
+    const bodyGeo = new THREE.ConeGeometry(1, 4, 8);
+    bodyGeo.rotateX(Math.PI / 2);
+    const bodyMat = new THREE.MeshPhongMaterial({ color: colors.body });
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    eagleGroup.add(body);
+
+    // Wings
+    const wingMat = new THREE.MeshPhongMaterial({ color: colors.wings });
+
+    const wingGeoLeft = new THREE.BoxGeometry(3, 0.2, 1.5);
+    wingGeoLeft.translate(-1.5, 0, 0); // Pivot at the right edge
+    const leftWing = new THREE.Mesh(wingGeoLeft, wingMat);
+    leftWing.position.set(0, 0.5, 0);
+    eagleGroup.add(leftWing);
+
+    const wingGeoRight = new THREE.BoxGeometry(3, 0.2, 1.5);
+    wingGeoRight.translate(1.5, 0, 0); // Pivot at the left edge
+    const rightWing = new THREE.Mesh(wingGeoRight, wingMat);
+    rightWing.position.set(0, 0.5, 0);
+    eagleGroup.add(rightWing);
+
+    // Head
+    const headGeo = new THREE.SphereGeometry(0.8, 8, 8);
+    const headMat = new THREE.MeshPhongMaterial({ color: colors.head });
+    const head = new THREE.Mesh(headGeo, headMat);
+    head.position.set(0, 0.5, -2);
+    eagleGroup.add(head);
+
+    // Beak
+    const beakGeo = new THREE.ConeGeometry(0.3, 1, 8);
+    beakGeo.rotateX(Math.PI / 2);
+    const beakMat = new THREE.MeshPhongMaterial({ color: 0xFFD700 });
+    const beak = new THREE.Mesh(beakGeo, beakMat);
+    beak.position.set(0, 0.3, -2.8);
+    eagleGroup.add(beak);
+
+    eagleGroup.userData.leftWing = leftWing;
+    eagleGroup.userData.rightWing = rightWing;
+
+    return eagleGroup;
+}
+
+// Translucent look for ghost eagles replaying a previous run
+export function applyGhostLook(eagle, opacity = 0.35) {
+    eagle.traverse(child => {
+        if (child.material) {
+            child.material.transparent = true;
+            child.material.opacity = opacity;
+            child.material.depthWrite = false;
+        }
+    });
+}
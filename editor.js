@@ -0,0 +1,626 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { geometries, materials, createFinishGate } from './simulation.js';
+import { ForceField, FIELD_TYPES } from './fields.js';
+import {
+    OBJECT_FIELDS, COURSE_BOUNDS, parseCourse, serializeCourse, CourseError,
+    loadSavedCourses, saveCourseToStorage
+} from './course.js';
+import { isActionActive } from './bindings.js';
+
+// In-game course editor. Works on a plain course object in the course.js
+// format, drawn into the game's scene with the shared geometry/material caches.
+// The DOM panel lives in index.html (#editor-panel).
+
+const MOVE_SPEED = 60; // Free-fly camera, units per second
+const FAST_MULTIPLIER = 3; // While Shift is held
+const LOOK_SENSITIVITY = 0.003; // Radians per pixel of right-drag
+const PLACE_DISTANCE = 60; // New objects appear this far in front of the camera
+const TEST_FLY_LEAD = 100; // Test flights start this far before the selected object
+const MAX_UNDO = 100;
+
+const TYPE_LABELS = {
+    hoop: 'Hoop', wall: 'Wall', fan: 'Fan', log: 'Log',
+    thermal: 'Thermal', downdraft: 'Downdraft', gust: 'Gust Zone', turbulence: 'Turbulence',
+};
+
+export function createEmptyCourse() {
+    return {
+        id: 'my-course',
+        name: 'My Course',
+        description: '',
+        finish: { z: -1500 },
+        objects: [],
+    };
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function isTyping() {
+    const el = document.activeElement;
+    return el && (el.tagName === 'INPUT' || el.tagName === 'SELECT' || el.tagName === 'TEXTAREA');
+}
+
+export class CourseEditor {
+    // templates: courses offered as starting points (copied, never edited in place)
+    // onTestFly(course, start): fly the validated course from start = { x, y, z }
+    // onExit(): the player left the editor
+    constructor({ scene, camera, domElement, templates = [], onTestFly, onExit }) {
+        this.scene = scene;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.templates = templates;
+        this.onTestFly = onTestFly;
+        this.onExit = onExit;
+
+        this.active = false;
+        this.course = createEmptyCourse();
+        this.meshes = []; // One per course object, with userData.def pointing at it
+        this.time = 0; // Drives the force field streamers
+        this.finishMesh = null;
+        this.selected = null; // A course object, or course.finish
+        this.undoStack = [];
+        this.redoStack = [];
+        this.dragStart = null; // The course as JSON when a gizmo drag began
+        this.yaw = 0;
+        this.pitch = -0.3;
+        this.cameraPosition = new THREE.Vector3(0, 30, 40);
+
+        this.raycaster = new THREE.Raycaster();
+        this.selectionBox = new THREE.BoxHelper(undefined, 0xFFFF00);
+
+        this.controls = new TransformControls(camera, domElement);
+        this.controls.setSize(1.2);
+        // A drag is one undo step, recorded only if it moved something
+        this.controls.addEventListener('mouseDown', () => this.dragStart = JSON.stringify(this.course));
+        this.controls.addEventListener('mouseUp', () => this.endDrag());
+        this.controls.addEventListener('objectChange', () => this.onGizmoMoved());
+
+        // Registered after TransformControls so its hover state is known here
+        domElement.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        domElement.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        domElement.addEventListener('contextmenu', (e) => {
+            if (this.active) e.preventDefault();
+        });
+
+        this.bindPanel();
+    }
+
+    // --- Lifecycle ---
+
+    // Pass a course to start editing it; omit to carry on with the current one
+    enter(course = null) {
+        if (course) this.loadCourse(course, false);
+        this.active = true;
+        this.rebuild();
+        this.scene.add(this.controls.getHelper());
+        document.getElementById('editor-panel').style.display = 'block';
+        this.renderPanel();
+    }
+
+    exit() {
+        this.active = false;
+        this.select(null);
+        this.clearMeshes();
+        this.scene.remove(this.controls.getHelper());
+        document.getElementById('editor-panel').style.display = 'none';
+    }
+
+    loadCourse(course, undoable = true) {
+        if (undoable) this.snapshot();
+        this.course = {
+            id: course.id,
+            name: course.name,
+            description: course.description || '',
+            finish: { z: course.finish.z },
+            objects: course.objects.map(def => ({ ...def })),
+        };
+        this.selected = null;
+        if (this.active) {
+            this.rebuild();
+            this.renderPanel();
+        }
+    }
+
+    // --- Scene ---
+
+    // Force fields are groups; their body (fan or marker) is what gets clicked
+    createMesh(def) {
+        if (FIELD_TYPES.includes(def.type)) {
+            const field = new ForceField(def.type, { marker: true });
+            field.place(def);
+            field.mesh.userData.def = def;
+            field.mesh.userData.field = field;
+            field.body.userData.def = def;
+            return field.mesh;
+        }
+        const mesh = new THREE.Mesh(geometries[def.type], materials[def.type]);
+        mesh.position.set(def.x, def.y, def.z);
+        mesh.userData.def = def;
+        return mesh;
+    }
+
+    removeMesh(mesh) {
+        this.scene.remove(mesh);
+        if (mesh.userData.field) mesh.userData.field.dispose();
+    }
+
+    // Field shapes are built from their properties, so a change means a new mesh
+    replaceMesh(def) {
+        const index = this.meshes.indexOf(this.meshFor(def));
+        this.removeMesh(this.meshes[index]);
+        this.meshes[index] = this.createMesh(def);
+        this.scene.add(this.meshes[index]);
+        this.select(def);
+    }
+
+    clearMeshes() {
+        this.meshes.forEach(mesh => this.removeMesh(mesh));
+        this.meshes = [];
+        if (this.finishMesh) this.scene.remove(this.finishMesh);
+        this.finishMesh = null;
+        this.scene.remove(this.selectionBox);
+    }
+
+    rebuild() {
+        this.clearMeshes();
+        this.course.objects.forEach(def => {
+            const mesh = this.createMesh(def);
+            this.scene.add(mesh);
+            this.meshes.push(mesh);
+        });
+        this.finishMesh = createFinishGate(this.course.finish.z);
+        this.finishMesh.userData.def = this.course.finish;
+        this.scene.add(this.finishMesh);
+        this.select(this.selected);
+    }
+
+    meshFor(def) {
+        if (def === this.course.finish) return this.finishMesh;
+        return this.meshes.find(mesh => mesh.userData.def === def) || null;
+    }
+
+    select(def) {
+        this.selected = def;
+        const mesh = def ? this.meshFor(def) : null;
+        if (!mesh) {
+            this.selected = null;
+            this.controls.detach();
+            this.scene.remove(this.selectionBox);
+        } else {
+            // The finish line only moves along the course
+            const isFinish = def === this.course.finish;
+            this.controls.showX = !isFinish;
+            this.controls.showY = !isFinish;
+            this.controls.attach(mesh);
+            this.selectionBox.setFromObject(mesh);
+            this.scene.add(this.selectionBox);
+        }
+        if (this.active) this.renderProperties();
+    }
+
+    // Keeps a definition inside the flyable space and before the finish line
+    clampDef(def) {
+        if (def === this.course.finish) {
+            const lastZ = Math.min(0, ...this.course.objects.map(obj => obj.z));
+            def.z = round(Math.min(def.z, lastZ - 1));
+            return;
+        }
+        def.x = round(clamp(def.x, COURSE_BOUNDS.minX, COURSE_BOUNDS.maxX));
+        def.y = round(clamp(def.y, COURSE_BOUNDS.minY, COURSE_BOUNDS.maxY));
+        def.z = round(clamp(def.z, this.course.finish.z + 1, -1));
+    }
+
+    syncMesh(def) {
+        const mesh = this.meshFor(def);
+        if (!mesh) return;
+        if (def === this.course.finish) mesh.position.z = def.z;
+        else mesh.position.set(def.x, def.y, def.z);
+        this.selectionBox.setFromObject(mesh);
+    }
+
+    onGizmoMoved() {
+        const def = this.selected;
+        if (!def) return;
+        const mesh = this.meshFor(def);
+        if (def !== this.course.finish) {
+            def.x = mesh.position.x;
+            def.y = mesh.position.y;
+        }
+        def.z = mesh.position.z;
+        this.clampDef(def);
+        this.syncMesh(def);
+        this.renderProperties();
+        this.renderUndoButtons();
+    }
+
+    // --- Camera & Pointer ---
+
+    // bindings: the player's (see bindings.js); the flying keys steer the camera
+    update(dt, keys, bindings) {
+        if (!this.active) return;
+
+        this.time += dt;
+        this.meshes.forEach(mesh => {
+            if (mesh.userData.field) mesh.userData.field.update(dt, this.time);
+        });
+
+        if (!isTyping()) {
+            const speed = MOVE_SPEED * (keys['ShiftLeft'] || keys['ShiftRight'] ? FAST_MULTIPLIER : 1) * dt;
+            const forward = new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+            const right = new THREE.Vector3(-forward.z, 0, forward.x);
+
+            if (isActionActive(bindings, keys, 'up')) this.cameraPosition.addScaledVector(forward, speed);
+            if (isActionActive(bindings, keys, 'down')) this.cameraPosition.addScaledVector(forward, -speed);
+            if (isActionActive(bindings, keys, 'right')) this.cameraPosition.addScaledVector(right, speed);
+            if (isActionActive(bindings, keys, 'left')) this.cameraPosition.addScaledVector(right, -speed);
+            if (keys['KeyE']) this.cameraPosition.y += speed;
+            if (keys['KeyQ']) this.cameraPosition.y -= speed;
+        }
+
+        this.camera.position.copy(this.cameraPosition);
+        this.camera.rotation.order = 'YXZ';
+        this.camera.rotation.set(this.pitch, this.yaw, 0);
+    }
+
+    lookDirection() {
+        return new THREE.Vector3(0, 0, -1).applyEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ'));
+    }
+
+    onPointerMove(e) {
+        if (!this.active || !(e.buttons & 2)) return; // Right button held
+        this.yaw -= e.movementX * LOOK_SENSITIVITY;
+        this.pitch = clamp(this.pitch - e.movementY * LOOK_SENSITIVITY, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+    }
+
+    onPointerDown(e) {
+        if (!this.active || e.button !== 0) return;
+        if (this.controls.axis !== null) return; // Grabbing a gizmo handle, keep the selection
+
+        const rect = this.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+
+        const targets = this.meshes.map(mesh => (mesh.userData.field ? mesh.userData.field.body : mesh))
+            .concat(this.finishMesh.children);
+        const hit = this.raycaster.intersectObjects(targets, false)[0];
+        if (!hit) {
+            this.select(null);
+        } else if (this.finishMesh.children.includes(hit.object)) {
+            this.select(this.course.finish);
+        } else {
+            this.select(hit.object.userData.def);
+        }
+    }
+
+    // Returns true when the key was used by the editor
+    handleKey(e) {
+        if (!this.active || isTyping()) return false;
+        const ctrl = e.ctrlKey || e.metaKey;
+
+        if (ctrl && e.code === 'KeyZ') {
+            if (e.shiftKey) this.redo();
+            else this.undo();
+        } else if (ctrl && e.code === 'KeyY') {
+            this.redo();
+        } else if (e.code === 'Delete' || e.code === 'Backspace') {
+            this.deleteSelected();
+        } else if (e.code === 'Escape') {
+            this.select(null);
+        } else {
+            return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
+    // --- Editing ---
+
+    // before: the course as JSON before the edit; now if omitted
+    snapshot(before = JSON.stringify(this.course)) {
+        this.undoStack.push(before);
+        if (this.undoStack.length > MAX_UNDO) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    endDrag() {
+        if (this.dragStart !== null && this.dragStart !== JSON.stringify(this.course)) {
+            this.snapshot(this.dragStart);
+            this.renderUndoButtons();
+        }
+        this.dragStart = null;
+    }
+
+    restore(json) {
+        const selectedIndex = this.course.objects.indexOf(this.selected);
+        const finishSelected = this.selected === this.course.finish;
+        this.course = JSON.parse(json);
+        this.selected = finishSelected ? this.course.finish : (this.course.objects[selectedIndex] || null);
+        this.rebuild();
+        this.renderPanel();
+    }
+
+    undo() {
+        if (!this.undoStack.length) return;
+        this.redoStack.push(JSON.stringify(this.course));
+        this.restore(this.undoStack.pop());
+    }
+
+    redo() {
+        if (!this.redoStack.length) return;
+        this.undoStack.push(JSON.stringify(this.course));
+        this.restore(this.redoStack.pop());
+    }
+
+    addObject(type) {
+        this.snapshot();
+
+        const position = this.cameraPosition.clone().addScaledVector(this.lookDirection(), PLACE_DISTANCE);
+        const def = { type, x: position.x, y: position.y, z: position.z };
+        Object.entries(OBJECT_FIELDS[type]).forEach(([key, field]) => { def[key] = field.default; });
+
+        // Make room by pushing the finish line back if needed
+        if (def.z <= this.course.finish.z) this.course.finish.z = round(def.z - 100);
+        this.clampDef(def);
+
+        this.course.objects.push(def);
+        const mesh = this.createMesh(def);
+        this.scene.add(mesh);
+        this.meshes.push(mesh);
+        this.syncMesh(this.course.finish);
+        this.select(def);
+        this.renderUndoButtons();
+    }
+
+    deleteSelected() {
+        const def = this.selected;
+        if (!def || def === this.course.finish) return;
+        this.snapshot();
+        this.course.objects.splice(this.course.objects.indexOf(def), 1);
+        const mesh = this.meshFor(def);
+        this.removeMesh(mesh);
+        this.meshes.splice(this.meshes.indexOf(mesh), 1);
+        this.select(null);
+        this.renderUndoButtons();
+    }
+
+    setProperty(def, key, value) {
+        this.snapshot();
+        def[key] = value;
+        this.clampDef(def);
+        if (FIELD_TYPES.includes(def.type)) this.replaceMesh(def);
+        else this.syncMesh(def);
+        this.renderProperties();
+        this.renderUndoButtons();
+    }
+
+    setCourseField(key, value) {
+        this.snapshot();
+        this.course[key] = value;
+        this.renderUndoButtons();
+    }
+
+    // --- Validation, Test Fly & Files ---
+
+    // Returns the parsed course, or null after showing what's wrong
+    validate() {
+        try {
+            const course = parseCourse(serializeCourse(this.course));
+            this.setMessage('');
+            return course;
+        } catch (err) {
+            this.setMessage(err instanceof CourseError ? err.errors.join('\n') : err.message);
+            return null;
+        }
+    }
+
+    testFly() {
+        const course = this.validate();
+        if (!course) return;
+
+        let start;
+        if (this.selected && this.selected !== this.course.finish) {
+            start = { x: this.selected.x, y: this.selected.y, z: Math.min(0, this.selected.z + TEST_FLY_LEAD) };
+        } else {
+            start = {
+                x: clamp(this.cameraPosition.x, COURSE_BOUNDS.minX, COURSE_BOUNDS.maxX),
+                y: clamp(this.cameraPosition.y, COURSE_BOUNDS.minY, COURSE_BOUNDS.maxY),
+                z: Math.min(0, this.cameraPosition.z),
+            };
+        }
+        this.exit();
+        this.onTestFly(course, start);
+    }
+
+    save() {
+        const course = this.validate();
+        if (!course) return;
+        if (this.templates.some(template => template.id === course.id)) {
+            this.setMessage(`"${course.id}" is the id of a built-in course. Choose another id.`);
+            return;
+        }
+        try {
+            saveCourseToStorage(course);
+            this.setMessage(`Saved "${course.name}". It's now in the level select.`);
+            this.renderOpenList();
+        } catch (err) {
+            this.setMessage('Could not save: browser storage is unavailable or full.');
+        }
+    }
+
+    exportFile() {
+        if (!this.validate()) return;
+        const blob = new Blob([serializeCourse(this.course)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.course.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    importFile(file) {
+        file.text().then(text => {
+            try {
+                this.loadCourse(parseCourse(text));
+                this.setMessage(`Opened ${file.name}.`);
+            } catch (err) {
+                this.setMessage(err instanceof CourseError
+                    ? `${file.name} has problems:\n${err.errors.join('\n')}`
+                    : err.message);
+            }
+        });
+    }
+
+    openCourse(value) {
+        const [source, id] = value.split(':');
+        if (source === 'template') {
+            const template = this.templates.find(c => c.id === id);
+            if (!template) return;
+            this.loadCourse({ ...template, id: `${template.id}-copy`, name: `${template.name} (Copy)` });
+        } else {
+            const saved = loadSavedCourses().find(c => c.id === id);
+            if (saved) this.loadCourse(saved);
+        }
+        this.setMessage('');
+    }
+
+    // --- Panel ---
+
+    bindPanel() {
+        document.querySelectorAll('#editor-palette button').forEach(btn => {
+            btn.addEventListener('click', () => this.addObject(btn.dataset.type));
+        });
+        document.getElementById('editor-course-name').addEventListener('change', (e) => {
+            this.setCourseField('name', e.target.value);
+        });
+        document.getElementById('editor-course-id').addEventListener('change', (e) => {
+            const id = e.target.value.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+            e.target.value = id;
+            this.setCourseField('id', id);
+        });
+        document.getElementById('editor-course-description').addEventListener('change', (e) => {
+            this.setCourseField('description', e.target.value);
+        });
+        document.getElementById('editor-undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('editor-redo-btn').addEventListener('click', () => this.redo());
+        document.getElementById('editor-test-btn').addEventListener('click', () => this.testFly());
+        document.getElementById('editor-new-btn').addEventListener('click', () => this.loadCourse(createEmptyCourse()));
+        document.getElementById('editor-save-btn').addEventListener('click', () => this.save());
+        document.getElementById('editor-export-btn').addEventListener('click', () => this.exportFile());
+        document.getElementById('editor-import-btn').addEventListener('click', () => {
+            document.getElementById('editor-file-input').click();
+        });
+        document.getElementById('editor-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importFile(file);
+        });
+        document.getElementById('editor-open-btn').addEventListener('click', () => {
+            this.openCourse(document.getElementById('editor-open-list').value);
+        });
+        document.getElementById('editor-exit-btn').addEventListener('click', () => {
+            this.exit();
+            this.onExit();
+        });
+    }
+
+    renderPanel() {
+        document.getElementById('editor-course-name').value = this.course.name;
+        document.getElementById('editor-course-id').value = this.course.id;
+        document.getElementById('editor-course-description').value = this.course.description;
+        this.renderOpenList();
+        this.renderProperties();
+        this.renderUndoButtons();
+    }
+
+    renderUndoButtons() {
+        document.getElementById('editor-undo-btn').disabled = this.undoStack.length === 0;
+        document.getElementById('editor-redo-btn').disabled = this.redoStack.length === 0;
+    }
+
+    renderOpenList() {
+        const list = document.getElementById('editor-open-list');
+        list.innerHTML = '';
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = text;
+            list.appendChild(option);
+        };
+        loadSavedCourses().forEach(course => addOption(`saved:${course.id}`, course.name));
+        this.templates.forEach(course => addOption(`template:${course.id}`, `${course.name} (copy of built-in)`));
+    }
+
+    renderProperties() {
+        const panel = document.getElementById('editor-properties');
+        panel.innerHTML = '';
+        const def = this.selected;
+
+        if (!def) {
+            panel.innerText = 'Nothing selected. Click an object, or add one above.';
+            return;
+        }
+
+        const addField = (label, key, type, options = null) => {
+            const row = document.createElement('label');
+            row.className = 'editor-field';
+            row.append(label);
+            if (options) {
+                const select = document.createElement('select');
+                options.forEach(option => select.add(new Option(option, option)));
+                select.value = def[key];
+                select.addEventListener('change', () => this.setProperty(def, key, select.value));
+                row.appendChild(select);
+                panel.appendChild(row);
+                return;
+            }
+            const input = document.createElement('input');
+            input.type = type === 'boolean' ? 'checkbox' : 'number';
+            if (type === 'boolean') input.checked = def[key];
+            else {
+                input.value = def[key];
+                input.step = key === 'x' || key === 'y' || key === 'z' ? '1' : '0.5';
+            }
+            input.addEventListener('change', () => {
+                if (type === 'boolean') this.setProperty(def, key, input.checked);
+                else if (Number.isFinite(parseFloat(input.value))) this.setProperty(def, key, parseFloat(input.value));
+            });
+            row.appendChild(input);
+            panel.appendChild(row);
+        };
+
+        if (def === this.course.finish) {
+            const title = document.createElement('h3');
+            title.innerText = 'Finish Line';
+            panel.appendChild(title);
+            addField('Z', 'z', 'number');
+            return;
+        }
+
+        const title = document.createElement('h3');
+        title.innerText = TYPE_LABELS[def.type];
+        panel.appendChild(title);
+        addField('X', 'x', 'number');
+        addField('Y', 'y', 'number');
+        addField('Z', 'z', 'number');
+        Object.entries(OBJECT_FIELDS[def.type]).forEach(([key, field]) => addField(field.label, key, field.type, field.options));
+
+        const del = document.createElement('button');
+        del.innerText = 'Delete';
+        del.addEventListener('click', () => this.deleteSelected());
+        panel.appendChild(del);
+    }
+
+    setMessage(text) {
+        document.getElementById('editor-message').innerText = text;
+    }
+}
@@ -0,0 +1,394 @@
+import * as THREE from 'three';
+import { sweptSphereHitsSphere } from './collision.js';
+
+// Active hazards for the endless generator:
+//   hawk   circles ahead, then flashes and dives at where the eagle is going to be
+//   drone  patrols between waypoints, its light blinking faster as the eagle nears
+//   crow   a flock that wheels about, gathers when the eagle approaches, then
+//          sweeps across its path, steering with boids rules
+//
+// Every enemy telegraphs before it becomes dangerous. Behaviour depends only on
+// the spawn rng and the eagle's movement, so enemies stay deterministic for
+// replays. All enemies share one interface: mesh, spawn(x, y, z, rng),
+// update(dt, time, target), hits(from, to, radius) and dispose(). The
+// simulation recycles them, so spawn() starts one over from scratch.
+
+export const ENEMY_TYPES = ['hawk', 'drone', 'crow'];
+
+const HAWK_TRIGGER_DISTANCE = 170; // Starts its warning when the eagle is this far away along z
+const HAWK_TELEGRAPH_TIME = 1.2; // Seconds of warning before the dive
+const HAWK_SPEED = 60;
+const HAWK_TURN_RATE = 1.4; // Radians per second, so a sharp swerve beats it
+const HAWK_RADIUS = 1.5;
+
+const DRONE_SPEED = 15;
+const DRONE_RADIUS = 2.5;
+const DRONE_ALERT_DISTANCE = 150; // Light starts blinking red inside this range
+const DRONE_MAX_WAYPOINTS = 4;
+
+const CROW_TRIGGER_DISTANCE = 200;
+const CROW_GATHER_TIME = 1.0;
+const CROW_MAX_SPEED = 35;
+const CROW_RADIUS = 0.8;
+const BOIDS = {
+    SEPARATION_RADIUS: 3,
+    NEIGHBOR_RADIUS: 10,
+    SEPARATION: 12,
+    ALIGNMENT: 1.5,
+    COHESION: 1,
+    GOAL: 3,
+};
+
+const FORWARD = new THREE.Vector3(0, 0, -1); // Bird models face -z, like the eagle
+
+const geometries = {
+    birdBody: new THREE.ConeGeometry(0.8, 3, 6).rotateX(-Math.PI / 2),
+    hawkWing: new THREE.BoxGeometry(3, 0.15, 1.2),
+    hawkEye: new THREE.SphereGeometry(0.25, 6, 6),
+    crowBody: new THREE.ConeGeometry(0.4, 1.6, 5).rotateX(-Math.PI / 2),
+    crowWing: new THREE.BoxGeometry(1.4, 0.1, 0.6),
+    droneBody: new THREE.BoxGeometry(3, 0.8, 3),
+    droneRotor: new THREE.CylinderGeometry(0.9, 0.9, 0.1, 10),
+    droneLight: new THREE.SphereGeometry(0.45, 8, 8),
+};
+
+const materials = {
+    hawk: new THREE.MeshPhongMaterial({ color: 0x4A3B2A }),
+    crow: new THREE.MeshPhongMaterial({ color: 0x111111 }),
+    drone: new THREE.MeshPhongMaterial({ color: 0x555A60 }),
+    rotor: new THREE.MeshBasicMaterial({ color: 0x222222, transparent: true, opacity: 0.6 }),
+};
+
+const _vector = new THREE.Vector3();
+const _steer = new THREE.Vector3();
+const _alignment = new THREE.Vector3();
+const _centre = new THREE.Vector3();
+
+// Builds a bird whose wings pivot at the body, returned as [group, leftWing, rightWing]
+function createBird(bodyGeometry, wingGeometry, material) {
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(bodyGeometry, material));
+    const span = wingGeometry.parameters.width;
+    const wings = [-1, 1].map(side => {
+        const pivot = new THREE.Group();
+        const wing = new THREE.Mesh(wingGeometry, material);
+        wing.position.x = side * span / 2;
+        pivot.add(wing);
+        group.add(pivot);
+        return pivot;
+    });
+    return [group, wings[0], wings[1]];
+}
+
+// Turns unit vector dir towards desired by at most maxAngle radians
+function turnTowards(dir, desired, maxAngle) {
+    const angle = dir.angleTo(desired);
+    if (angle <= maxAngle) return dir.copy(desired);
+    const axis = _vector.crossVectors(dir, desired);
+    if (axis.lengthSq() < 1e-12) axis.set(0, 1, 0); // Pointing straight away; pick any axis
+    return dir.applyAxisAngle(axis.normalize(), maxAngle).normalize();
+}
+
+export class Hawk {
+    constructor() {
+        this.anchor = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+
+        const [mesh, leftWing, rightWing] = createBird(geometries.birdBody, geometries.hawkWing, materials.hawk);
+        this.mesh = mesh;
+        this.leftWing = leftWing;
+        this.rightWing = rightWing;
+        this.eyeMaterial = new THREE.MeshPhongMaterial({ color: 0xFFCC00, emissive: 0x000000 });
+        [-0.35, 0.35].forEach(eyeX => {
+            const eye = new THREE.Mesh(geometries.hawkEye, this.eyeMaterial);
+            eye.position.set(eyeX, 0.35, -1.2);
+            this.mesh.add(eye);
+        });
+    }
+
+    spawn(x, y, z, rng) {
+        // Perched off to one side and above the line of hoops
+        const side = rng() < 0.5 ? -1 : 1;
+        this.anchor.set(x + side * (30 + rng() * 20), Math.min(y + 10 + rng() * 10, 50), z - 60);
+        this.phase = rng() * Math.PI * 2;
+        this.state = 'circling';
+        this.timer = 0;
+        this.direction.set(0, 0, 1);
+        this.eyeMaterial.emissive.setHex(0x000000);
+        this.mesh.position.copy(this.anchor);
+    }
+
+    update(dt, time, target) {
+        const pos = this.mesh.position;
+        let flap = Math.sin(time * 10 + this.phase) * 0.4;
+
+        if (this.state === 'circling') {
+            const angle = time * 1.5 + this.phase;
+            pos.set(this.anchor.x + Math.cos(angle) * 6, this.anchor.y, this.anchor.z + Math.sin(angle) * 6);
+            this.direction.set(-Math.sin(angle), 0, Math.cos(angle));
+            if (pos.z - target.position.z > -HAWK_TRIGGER_DISTANCE) {
+                this.state = 'telegraph';
+                this.timer = HAWK_TELEGRAPH_TIME;
+            }
+        } else if (this.state === 'telegraph') {
+            // Hover facing the eagle, wings raised, eyes flashing red
+            this.direction.subVectors(target.position, pos).normalize();
+            flap = 0.9;
+            const flash = Math.sin(time * 25) > 0;
+            this.eyeMaterial.emissive.setHex(flash ? 0xFF0000 : 0x000000);
+            this.timer -= dt;
+            if (this.timer <= 0) {
+                this.state = 'attack';
+                this.eyeMaterial.emissive.setHex(0xFF0000);
+            }
+        } else if (this.state === 'attack') {
+            // Lead the eagle: aim where it will be when the hawk gets there
+            const distance = pos.distanceTo(target.position);
+            const eta = distance / HAWK_SPEED;
+            const aim = _steer.copy(target.position).addScaledVector(target.velocity, eta).sub(pos).normalize();
+            turnTowards(this.direction, aim, HAWK_TURN_RATE * dt);
+            flap = -0.3; // Wings swept back in the dive
+            if (pos.z > target.position.z + 10) this.state = 'leaving'; // Overshot; carry on past
+        }
+
+        if (this.state === 'attack' || this.state === 'leaving') {
+            pos.addScaledVector(this.direction, HAWK_SPEED * dt);
+            pos.y = Math.max(1, pos.y);
+        }
+
+        this.mesh.quaternion.setFromUnitVectors(FORWARD, this.direction);
+        this.leftWing.rotation.z = -flap;
+        this.rightWing.rotation.z = flap;
+    }
+
+    hits(from, to, radius) {
+        return sweptSphereHitsSphere(from, to, radius, this.mesh.position, HAWK_RADIUS);
+    }
+
+    dispose() {
+        this.eyeMaterial.dispose();
+    }
+}
+
+export class Drone {
+    constructor() {
+        this.points = Array.from({ length: DRONE_MAX_WAYPOINTS }, () => new THREE.Vector3());
+        this.waypoints = []; // The first few of points, this patrol's loop
+
+        this.mesh = new THREE.Group();
+        this.mesh.add(new THREE.Mesh(geometries.droneBody, materials.drone));
+        this.rotors = [[-1.5, -1.5], [1.5, -1.5], [-1.5, 1.5], [1.5, 1.5]].map(([rx, rz]) => {
+            const rotor = new THREE.Mesh(geometries.droneRotor, materials.rotor);
+            rotor.position.set(rx, 0.5, rz);
+            this.mesh.add(rotor);
+            return rotor;
+        });
+        this.lightMaterial = new THREE.MeshBasicMaterial({ color: 0x00FF00 });
+        const light = new THREE.Mesh(geometries.droneLight, this.lightMaterial);
+        light.position.y = -0.6;
+        this.mesh.add(light);
+    }
+
+    spawn(x, y, z, rng) {
+        // A loop of waypoints across the approach to the hoop
+        const centerZ = z - 40;
+        const count = 2 + Math.floor(rng() * (DRONE_MAX_WAYPOINTS - 1));
+        this.waypoints.length = 0;
+        for (let i = 0; i < count; i++) {
+            this.waypoints.push(this.points[i].set(
+                x + (rng() - 0.5) * 40,
+                Math.max(1, Math.min(y + (rng() - 0.5) * 20, 50)),
+                centerZ + (rng() - 0.5) * 20
+            ));
+        }
+        this.next = 1 % count;
+        this.lightMaterial.color.setHex(0x00FF00);
+        this.mesh.position.copy(this.waypoints[0]);
+    }
+
+    update(dt, time, target) {
+        const pos = this.mesh.position;
+        let travel = DRONE_SPEED * dt;
+        while (travel > 0) {
+            const waypoint = this.waypoints[this.next];
+            const distance = pos.distanceTo(waypoint);
+            if (distance > travel) {
+                pos.addScaledVector(_vector.subVectors(waypoint, pos).normalize(), travel);
+                break;
+            }
+            pos.copy(waypoint);
+            travel -= distance;
+            this.next = (this.next + 1) % this.waypoints.length;
+        }
+
+        this.rotors.forEach(rotor => { rotor.rotation.y += 40 * dt; });
+
+        // Warning light: steady green far away, blinking red and faster the closer the eagle is
+        const distanceZ = pos.z - target.position.z;
+        if (distanceZ < -DRONE_ALERT_DISTANCE || distanceZ > 0) {
+            this.lightMaterial.color.setHex(0x00FF00);
+        } else {
+            const closeness = 1 + distanceZ / DRONE_ALERT_DISTANCE; // 0 at the edge of range, 1 alongside
+            const rate = 2 + closeness * 10;
+            this.lightMaterial.color.setHex(Math.sin(time * rate * Math.PI * 2) > 0 ? 0xFF0000 : 0x330000);
+        }
+    }
+
+    hits(from, to, radius) {
+        return sweptSphereHitsSphere(from, to, radius, this.mesh.position, DRONE_RADIUS);
+    }
+
+    dispose() {
+        this.lightMaterial.dispose();
+    }
+}
+
+export class CrowFlock {
+    constructor() {
+        this.anchor = new THREE.Vector3();
+        this.goal = new THREE.Vector3();
+
+        // The group sits at the flock's centre, so distance cleanup works like any other object
+        this.mesh = new THREE.Group();
+        this.crows = [];
+        this.spare = []; // Crows left over from a bigger flock, out of the group
+    }
+
+    spawn(x, y, z, rng) {
+        const side = rng() < 0.5 ? -1 : 1;
+        this.anchor.set(x + side * (20 + rng() * 20), Math.max(5, Math.min(y + (rng() - 0.5) * 10, 45)), z - 80);
+        this.state = 'wheeling';
+        this.timer = 0;
+        this.goal.copy(this.anchor);
+        this.mesh.position.copy(this.anchor);
+
+        const count = 5 + Math.floor(rng() * 4);
+        while (this.crows.length > count) {
+            const crow = this.crows.pop();
+            this.mesh.remove(crow.bird);
+            this.spare.push(crow);
+        }
+        while (this.crows.length < count) {
+            const crow = this.spare.pop() || this.createCrow();
+            this.mesh.add(crow.bird);
+            this.crows.push(crow);
+        }
+        this.crows.forEach(crow => {
+            crow.position.set((rng() - 0.5) * 10, (rng() - 0.5) * 6, (rng() - 0.5) * 10).add(this.anchor);
+            crow.velocity.set((rng() - 0.5) * 10, 0, (rng() - 0.5) * 10);
+            crow.phase = rng() * Math.PI * 2;
+        });
+    }
+
+    createCrow() {
+        const [bird, leftWing, rightWing] = createBird(geometries.crowBody, geometries.crowWing, materials.crow);
+        return {
+            bird, leftWing, rightWing,
+            position: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            acceleration: new THREE.Vector3(),
+            phase: 0,
+        };
+    }
+
+    update(dt, time, target) {
+        let maxSpeed = CROW_MAX_SPEED * 0.5;
+        let flapRate = 12;
+        let cohesion = BOIDS.COHESION;
+
+        if (this.state === 'wheeling') {
+            // Circle the roost
+            const angle = time * 0.8;
+            this.goal.set(this.anchor.x + Math.cos(angle) * 8, this.anchor.y, this.anchor.z + Math.sin(angle) * 8);
+            if (this.mesh.position.z - target.position.z > -CROW_TRIGGER_DISTANCE) {
+                this.state = 'gathering';
+                this.timer = CROW_GATHER_TIME;
+            }
+        } else if (this.state === 'gathering') {
+            // Bunch up tight and flap hard: the flock is about to go
+            this.goal.copy(this.anchor);
+            cohesion *= 4;
+            flapRate = 30;
+            this.timer -= dt;
+            if (this.timer <= 0) this.state = 'sweeping';
+        } else if (this.state === 'sweeping') {
+            // Head for a point just ahead of the eagle
+            this.goal.copy(target.position).addScaledVector(target.velocity, 0.8);
+            maxSpeed = CROW_MAX_SPEED;
+            if (this.mesh.position.z > target.position.z + 10) this.state = 'scattering';
+        } else {
+            this.goal.copy(this.mesh.position).add(_steer.set(0, 20, 20));
+            maxSpeed = CROW_MAX_SPEED;
+        }
+
+        this.crows.forEach(crow => this.steer(crow, cohesion));
+        const centre = _vector.set(0, 0, 0);
+        this.crows.forEach(crow => {
+            crow.velocity.addScaledVector(crow.acceleration, dt);
+            if (crow.velocity.length() > maxSpeed) crow.velocity.setLength(maxSpeed);
+            crow.position.addScaledVector(crow.velocity, dt);
+            crow.position.y = Math.max(1, crow.position.y);
+            centre.add(crow.position);
+        });
+        centre.divideScalar(this.crows.length);
+        this.mesh.position.copy(centre);
+
+        this.crows.forEach(crow => {
+            crow.bird.position.subVectors(crow.position, centre);
+            if (crow.velocity.lengthSq() > 1e-6) {
+                crow.bird.quaternion.setFromUnitVectors(FORWARD, _steer.copy(crow.velocity).normalize());
+            }
+            const flap = Math.sin(time * flapRate + crow.phase) * 0.6;
+            crow.leftWing.rotation.z = -flap;
+            crow.rightWing.rotation.z = flap;
+        });
+    }
+
+    // Boids: keep apart, match neighbours' heading, stay together, head for the goal.
+    // Sets crow.acceleration.
+    steer(crow, cohesion) {
+        const separation = crow.acceleration.set(0, 0, 0);
+        const alignment = _alignment.set(0, 0, 0);
+        const centre = _centre.set(0, 0, 0);
+        let neighbours = 0;
+
+        this.crows.forEach(other => {
+            if (other === crow) return;
+            const distance = crow.position.distanceTo(other.position);
+            if (distance < BOIDS.SEPARATION_RADIUS && distance > 0) {
+                separation.add(_vector.subVectors(crow.position, other.position).divideScalar(distance * distance));
+            }
+            if (distance < BOIDS.NEIGHBOR_RADIUS) {
+                alignment.add(other.velocity);
+                centre.add(other.position);
+                neighbours++;
+            }
+        });
+
+        const acceleration = separation.multiplyScalar(BOIDS.SEPARATION);
+        if (neighbours > 0) {
+            acceleration.addScaledVector(alignment.divideScalar(neighbours).sub(crow.velocity), BOIDS.ALIGNMENT);
+            acceleration.addScaledVector(centre.divideScalar(neighbours).sub(crow.position), cohesion);
+        }
+        acceleration.addScaledVector(_vector.subVectors(this.goal, crow.position), BOIDS.GOAL);
+    }
+
+    hits(from, to, radius) {
+        return this.crows.some(crow => sweptSphereHitsSphere(from, to, radius, crow.position, CROW_RADIUS));
+    }
+
+    dispose() {}
+}
+
+const ENEMY_CLASSES = { hawk: Hawk, drone: Drone, crow: CrowFlock };
+
+// An enemy ready to spawn(x, y, z, rng), where x, y, z is the hoop it guards and
+// rng is the simulation's generator
+export function createEnemy(type) {
+    return new ENEMY_CLASSES[type]();
+}
+
+// Chance per spawn segment from a CONFIG.ENEMY_SPAWN curve
+export function enemyChance(curve, hoops) {
+    return Math.max(0, Math.min((hoops - curve.START) * curve.PER_POINT, curve.MAX));
+}
@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+import { createRng, hashString } from './random.js';
+
+// Force fields: regions of moving air that carry the eagle along. Each field
+// has a shape, a falloff from its core to its edge and a wind velocity in
+// units/s, which is added to the eagle's movement while it is inside.
+//
+//   fan        blows along (dirX, dirY, dirZ) through a cylinder in front of it
+//              (a negative force blows the other way)
+//   thermal    vertical column of rising air
+//   downdraft  vertical column of sinking air
+//   gust       box of crosswind along x that builds and dies every `period` seconds
+//   turbulence sphere of random buffeting
+//
+// Fields are objects in the course format (see course.js), so spawners and
+// course files place them through Simulation.addObject like anything else.
+// A ForceField is built for one type and can be placed again and again, so the
+// simulation recycles them.
+// Everything here depends only on the definition and the simulation clock, so
+// fields stay deterministic for replays.
+
+export const FIELD_TYPES = ['fan', 'thermal', 'downdraft', 'gust', 'turbulence'];
+
+// t runs from 0 at the core to 1 at the edge of the shape
+const FALLOFFS = {
+    none: () => 1,
+    linear: (t) => 1 - t,
+    smooth: (t) => 1 - t * t * (3 - 2 * t),
+};
+
+const PARTICLE_COUNTS = { fan: 30, thermal: 60, downdraft: 60, gust: 80, turbulence: 40 };
+const PARTICLE_COLORS = { fan: 0xCCEEFF, thermal: 0xFFCC88, downdraft: 0x6688CC, gust: 0xFFFFFF, turbulence: 0xBBBBBB };
+const STREAMER_SPEED = 0.5; // Particles drift at this share of the wind speed, so they stay readable
+
+const fanGeometry = new THREE.CylinderGeometry(3, 3, 2, 16).rotateX(Math.PI / 2); // Faces along z
+const fanMaterial = new THREE.MeshPhongMaterial({ color: 0x88CCFF });
+const markerGeometry = new THREE.OctahedronGeometry(2);
+
+// Shared by every field of a type
+const streamerMaterials = {};
+const markerMaterials = {};
+FIELD_TYPES.forEach(type => {
+    streamerMaterials[type] = new THREE.PointsMaterial({
+        color: PARTICLE_COLORS[type],
+        size: 0.6,
+        transparent: true,
+        opacity: 0.7,
+        depthWrite: false,
+    });
+    markerMaterials[type] = new THREE.MeshBasicMaterial({ color: PARTICLE_COLORS[type], wireframe: true });
+});
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+const _local = new THREE.Vector3();
+const _point = new THREE.Vector3();
+
+export class ForceField {
+    // type: one of FIELD_TYPES; place(def) before use
+    // marker: add a small pickable shape for fields with no body of their own (the editor)
+    constructor(type, { marker = false } = {}) {
+        this.type = type;
+        this.mesh = new THREE.Group();
+        this.inverseRotation = new THREE.Quaternion();
+        this.body = null;
+        if (type === 'fan') {
+            this.direction = new THREE.Vector3();
+            this.body = new THREE.Mesh(fanGeometry, fanMaterial);
+        } else if (type === 'gust') {
+            this.halfSize = new THREE.Vector3();
+        } else if (marker) {
+            this.body = new THREE.Mesh(markerGeometry, markerMaterials[type]);
+        }
+        if (this.body) this.mesh.add(this.body);
+
+        const positions = new Float32Array(PARTICLE_COUNTS[type] * 3);
+        this.basePositions = new Float32Array(positions.length); // Turbulence particles wobble around these
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.streamers = new THREE.Points(geometry, streamerMaterials[type]);
+        this.mesh.add(this.streamers);
+    }
+
+    // Sets the field up from a course definition of its type
+    place(def) {
+        this.falloff = FALLOFFS[def.falloff] || FALLOFFS.linear;
+        this.force = def.force;
+        this.mesh.position.set(def.x, def.y, def.z);
+        this.rng = createRng(hashString(`${def.type}:${def.x}:${def.y}:${def.z}`)); // Per-field phases
+        this.phase = this.rng() * Math.PI * 2;
+
+        if (def.type === 'fan') {
+            // The fan faces the way it blows, and its column extends that way
+            this.direction.set(def.dirX, def.dirY, def.dirZ);
+            if (this.direction.lengthSq() === 0) this.direction.set(1, 0, 0);
+            this.direction.normalize().multiplyScalar(Math.sign(def.force) || 1);
+            this.strength = Math.abs(def.force);
+            this.radius = def.radius;
+            this.length = def.length;
+            this.mesh.quaternion.setFromUnitVectors(FORWARD, this.direction);
+            this.inverseRotation.copy(this.mesh.quaternion).invert();
+            this.body.rotation.z = 0;
+        } else if (def.type === 'thermal' || def.type === 'downdraft') {
+            this.radius = def.radius;
+            this.height = def.height;
+        } else if (def.type === 'gust') {
+            this.halfSize.set(def.width / 2, def.height / 2, def.depth / 2);
+            this.period = def.period;
+        } else if (def.type === 'turbulence') {
+            this.radius = def.radius;
+            // Two sine waves per axis at unrelated rates make the buffeting irregular
+            this.waves = [0, 1].map(() => [0, 1].map(() => ({
+                rate: 3 + this.rng() * 5,
+                phase: this.rng() * Math.PI * 2,
+            })));
+        }
+
+        this.scatterStreamers();
+    }
+
+    // 0 at the core, 1 or more outside. p is in field-local space.
+    depth(p) {
+        if (this.type === 'fan') {
+            if (p.z < 0) return Infinity; // Behind the fan
+            return Math.max(p.z / this.length, Math.hypot(p.x, p.y) / this.radius);
+        }
+        if (this.type === 'thermal' || this.type === 'downdraft') {
+            if (Math.abs(p.y) > this.height / 2) return Infinity;
+            return Math.hypot(p.x, p.z) / this.radius;
+        }
+        if (this.type === 'gust') {
+            return Math.max(Math.abs(p.x) / this.halfSize.x, Math.abs(p.y) / this.halfSize.y, Math.abs(p.z) / this.halfSize.z);
+        }
+        return p.length() / this.radius;
+    }
+
+    // Gusts build from calm to full strength and back once per period
+    gustFactor(time) {
+        return 0.5 + 0.5 * Math.sin((time / this.period) * Math.PI * 2 + this.phase);
+    }
+
+    turbulenceAt(axis, time) {
+        const [a, b] = this.waves[axis];
+        return (Math.sin(time * a.rate + a.phase) + Math.sin(time * b.rate + b.phase)) / 2;
+    }
+
+    // Adds this field's wind at world position p to out
+    addWindAt(p, time, out) {
+        _local.copy(p).sub(this.mesh.position).applyQuaternion(this.inverseRotation);
+        const t = this.depth(_local);
+        if (t >= 1) return out;
+        const k = this.falloff(t);
+
+        if (this.type === 'fan') out.addScaledVector(this.direction, this.strength * k);
+        else if (this.type === 'thermal') out.y += this.force * k;
+        else if (this.type === 'downdraft') out.y -= this.force * k;
+        else if (this.type === 'gust') out.x += this.force * k * this.gustFactor(time);
+        else if (this.type === 'turbulence') {
+            out.x += this.force * k * this.turbulenceAt(0, time);
+            out.y += this.force * k * this.turbulenceAt(1, time);
+        }
+        return out;
+    }
+
+    // --- Visual cue ---
+
+    // A random point inside the shape, in local space
+    randomPoint(out) {
+        const r = () => this.rng() * 2 - 1;
+        if (this.type === 'fan') {
+            const angle = this.rng() * Math.PI * 2;
+            const radius = Math.sqrt(this.rng()) * this.radius;
+            return out.set(Math.cos(angle) * radius, Math.sin(angle) * radius, this.rng() * this.length);
+        }
+        if (this.type === 'thermal' || this.type === 'downdraft') {
+            const angle = this.rng() * Math.PI * 2;
+            const radius = Math.sqrt(this.rng()) * this.radius;
+            return out.set(Math.cos(angle) * radius, r() * this.height / 2, Math.sin(angle) * radius);
+        }
+        if (this.type === 'gust') return out.set(r() * this.halfSize.x, r() * this.halfSize.y, r() * this.halfSize.z);
+        do {
+            out.set(r(), r(), r());
+        } while (out.lengthSq() > 1);
+        return out.multiplyScalar(this.radius);
+    }
+
+    scatterStreamers() {
+        const attribute = this.streamers.geometry.attributes.position;
+        const positions = attribute.array;
+        for (let i = 0; i < positions.length; i += 3) this.randomPoint(_point).toArray(positions, i);
+        this.basePositions.set(positions);
+        attribute.needsUpdate = true;
+    }
+
+    // Moves the streamers with the wind, wrapping them back into the shape
+    update(dt, time) {
+        if (this.type === 'fan') this.body.rotation.z += Math.sign(this.force) * 10 * dt;
+
+        const attribute = this.streamers.geometry.attributes.position;
+        const positions = attribute.array;
+        const step = this.strength !== undefined ? this.strength : Math.abs(this.force);
+        const move = step * STREAMER_SPEED * dt;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            if (this.type === 'fan') {
+                positions[i + 2] += move;
+                if (positions[i + 2] > this.length) positions[i + 2] -= this.length;
+            } else if (this.type === 'thermal' || this.type === 'downdraft') {
+                const sign = this.type === 'thermal' ? 1 : -1;
+                positions[i + 1] += sign * move;
+                const half = this.height / 2;
+                if (positions[i + 1] > half) positions[i + 1] -= this.height;
+                if (positions[i + 1] < -half) positions[i + 1] += this.height;
+            } else if (this.type === 'gust') {
+                positions[i] += Math.sign(this.force) * move * this.gustFactor(time);
+                const half = this.halfSize.x;
+                if (positions[i] > half) positions[i] -= half * 2;
+                if (positions[i] < -half) positions[i] += half * 2;
+            } else {
+                const wobble = 2 + (i % 5); // Units either side of the base position
+                positions[i] = this.basePositions[i] + Math.sin(time * 4 + i) * wobble;
+                positions[i + 1] = this.basePositions[i + 1] + Math.cos(time * 5 + i) * wobble;
+            }
+        }
+        attribute.needsUpdate = true;
+    }
+
+    dispose() {
+        this.streamers.geometry.dispose();
+    }
+}
@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+
+// Momentum flight model, used by handling presets with MODEL: 'momentum'.
+// The eagle has an attitude (pitch, yaw, roll) and an airspeed. Steering
+// left/right banks, and the bank turns the heading; up/down pitches the nose.
+// Gravity along the flight path trades altitude for speed, drag pulls the
+// airspeed back towards cruise, and below the stall speed the controls go
+// soft and the nose drops until the eagle has picked up speed again.
+//
+// Angles are in radians and match the eagle's rotation (order 'YXZ'):
+// positive pitch is nose up, positive yaw turns left, positive roll banks left.
+
+export function createFlightState() {
+    return {
+        pitch: 0,
+        yaw: 0,
+        roll: 0,
+        airspeed: CONFIG.PLAYER_SPEED_BASE,
+        stalled: false,
+        velocity: new THREE.Vector3(0, 0, -CONFIG.PLAYER_SPEED_BASE),
+    };
+}
+
+function approach(value, target, maxDelta) {
+    if (value < target) return Math.min(value + maxDelta, target);
+    return Math.max(value - maxDelta, target);
+}
+
+// Advances one step. cruiseSpeed is the speed the eagle settles at in level
+// flight, including any boost. Sets flight.velocity for the caller to apply.
+export function updateFlight(flight, input, cruiseSpeed, preset, dt) {
+    // Stall with hysteresis, so the warning doesn't flicker at the threshold
+    if (flight.airspeed < preset.STALL_SPEED) flight.stalled = true;
+    else if (flight.airspeed > preset.STALL_RECOVERY_SPEED) flight.stalled = false;
+    const authority = flight.stalled ? preset.STALL_CONTROL : 1;
+
+    // Roll towards the bank the stick asks for
+    flight.roll = approach(flight.roll, -input.moveX * preset.MAX_ROLL, preset.ROLL_RATE * authority * dt);
+
+    // Pitch follows the stick and slowly levels out when it's released
+    flight.pitch += input.moveY * preset.PITCH_RATE * authority * dt;
+    if (input.moveY === 0) flight.pitch = approach(flight.pitch, 0, preset.PITCH_LEVELING * dt);
+    if (flight.stalled) flight.pitch -= preset.STALL_NOSE_DROP * dt;
+    flight.pitch = THREE.MathUtils.clamp(flight.pitch, -preset.MAX_PITCH, preset.MAX_PITCH);
+
+    // Banking turns the heading; limited so the eagle keeps flying down the course
+    flight.yaw += Math.sin(flight.roll) * preset.TURN_RATE * dt;
+    flight.yaw = THREE.MathUtils.clamp(flight.yaw, -preset.MAX_YAW, preset.MAX_YAW);
+
+    // Drag towards cruise speed, gravity along the flight path
+    const acceleration = (cruiseSpeed - flight.airspeed) * preset.DRAG - preset.GRAVITY * Math.sin(flight.pitch);
+    flight.airspeed = THREE.MathUtils.clamp(flight.airspeed + acceleration * dt, preset.MIN_AIRSPEED, preset.MAX_AIRSPEED);
+
+    const cosPitch = Math.cos(flight.pitch);
+    flight.velocity.set(
+        -Math.sin(flight.yaw) * cosPitch,
+        Math.sin(flight.pitch),
+        -Math.cos(flight.yaw) * cosPitch
+    ).multiplyScalar(flight.airspeed);
+}
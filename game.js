@@ -1,41 +1,126 @@
 import * as THREE from 'three';
-import { AudioController } from './audio.js';
-
-// --- Configuration ---
-const CONFIG = {
-    PLAYER_SPEED_BASE: 50,
-    PLAYER_SPEED_MAX: 100,
-    PLAYER_ACCEL: 50,
-    PLAYER_TURN_SPEED: 40,
-    HOOP_RADIUS: 8,
-    HOOP_THICKNESS: 0.5,
-    SPAWN_DISTANCE: 400,
-    REMOVE_DISTANCE: 50,
-    OBSTACLE_SPAWN_RATE: 0.5, // 0-1 chance per segment
-    HOOP_SPAWN_INTERVAL: 150, // Distance between hoops
-};
+import { AudioController, AUDIO_BUSES } from './audio.js';
+import { CONFIG } from './config.js';
+import { Simulation, materials } from './simulation.js';
+import { ParticleSystem } from './particles.js';
+import { applyGhostLook, EAGLE_COLORS } from './eagle.js';
+import { GamepadInput, BUTTONS } from './gamepad.js';
+import {
+    ACTIONS, DEFAULT_BINDINGS, SLOTS_PER_ACTION, loadBindings, saveBindings, cloneBindings, rebind,
+    isActionActive, isReservedCode, actionLabel, keyLabel, describeAction, loadKeyboardLayout, VERSUS_BINDINGS
+} from './bindings.js';
+import { randomSeed, formatSeed, parseSeed, dailySeed, dailyKey, hashString } from './random.js';
+import { parseCourse, CourseError, loadSavedCourses } from './course.js';
+import { BUILT_IN_COURSES } from './courses/index.js';
+import { CourseEditor } from './editor.js';
+import { loadSettings, saveSettings, WEATHER_MODES } from './settings.js';
+import { POWERUP_TYPES, TIMED_POWERUPS } from './powerups.js';
+import { comboMultiplier } from './scoring.js';
+import { ScorePopups } from './popups.js';
+import { splitsKey, loadBestSplits, saveBestSplits, formatRaceTime, formatDelta } from './splits.js';
+import { RaceConnection } from './network.js';
+import { Opponents } from './opponents.js';
+import { Landscape } from './landscape.js';
+import { createTerrain } from './terrain.js';
+import { Sky } from './sky.js';
+import { WEATHER_CHOICES, weatherLabel } from './weather.js';
+import { STATUS, rankStandings } from './protocol.js';
+import {
+    getHighScores, qualifies, addHighScore, cleanInitials, loadLastInitials, saveLastInitials
+} from './highscores.js';
+import {
+    createRecording, recordInput, finishRecording, ReplayPlayer,
+    encodeReplay, decodeReplay, replayToJSON, loadBestReplay, saveBestReplay
+} from './replay.js';
 
 // --- Game State ---
+// Rules state (score, misses, ...) lives in sim.state; this is the app/UI side.
 let state = {
     isRunning: false,
-    score: 0,
-    misses: 0,
-    gameOver: false,
     isPaused: false,
     wasAutoPausedByVisibility: false, // NEW: Track if paused due to visibility change
-    speed: CONFIG.PLAYER_SPEED_BASE,
-    distanceTraveled: 0,
-    lastSpawnZ: 0,
+    mode: 'endless', // 'endless', 'daily', 'course', 'versus' (split-screen, two players on a seed) or 'online'
+    seed: 0,
+    course: null, // Parsed authored course in 'course' mode
+    seedPinned: false, // True when the player chose the seed (typed or via URL)
+    isReplaying: false, // Playing back a recorded run instead of reading input
+    isEditing: false, // Course editor open
+    testStart: null, // { x, y, z } while test flying a course from the editor
 };
 
 // --- Objects ---
 let camera, scene, renderer;
-let eagle;
-let leftWing, rightWing;
+let versusCamera; // Second player's view in split-screen
+let sim;
 let audioCtrl;
-let objects = []; // Hoops and Obstacles
-let explosions = []; // Particle systems
+let particles; // Trails, sparkles, feathers and speed lines
+let trailEmitters = []; // Per player: [left wingtip, right wingtip]
+let speedLines; // Emitter around the camera
+let popups; // Floating score text
+let network; // Connection to the race server
+let opponents; // Other racers' eagles in online races
+let landscape; // Streamed ground tiles
+let sky; // Time of day and weather
+let lastStrike = null; // Run time of the lightning strike last heard
+let weatherInfoText = ''; // What the weather HUD shows, to skip rewriting it every frame
 let keys = {};
+let bindings = loadBindings();
+let settings = loadSettings();
+let rebindTarget = null; // { action, slot } while waiting for a key on the controls page
+let settingsReturnTo = null; // Screen to show again when leaving settings
+let gamepad;
+let gamepadLoopRunning = false;
+let musicMilestone = 0; // Multiples of KEY_CHANGE_SCORE reached this run
+let debugCounter = null; // Element showing pooled objects and draw calls, with ?debug in the URL
+let debugCounterTimer = 0;
+
+const NEAR_MISS_POPUP_OFFSET = new THREE.Vector3(0, 2, -8);
+const KEY_CHANGE_SCORE = 250; // The music changes key each time the score passes a multiple of this
+const _popupPosition = new THREE.Vector3();
+
+const SPEED_LINES_FROM = 75; // Speed lines stream past above this speed, thickest at PLAYER_SPEED_MAX
+const WINGTIP = new THREE.Vector3(3, 0, 0.75); // Trailing corner of the right wing, in its own space (mirrored for the left)
+const _wingtip = new THREE.Vector3();
+const _speedLinesAhead = new THREE.Vector3();
+
+const MODE_LABELS = {
+    endless: 'Endless',
+    daily: 'Daily Challenge',
+    course: 'Course',
+    versus: '2 Players',
+    online: 'Online Race',
+};
+
+// Course files loaded by the player this session, and courses saved from the editor
+let loadedCourses = [];
+let savedCourses = [];
+let editor;
+
+// Run waiting for initials before it goes into the high-score table
+let pendingHighScore = null;
+
+// Replays & Ghost
+let recording = null; // Run being recorded
+let replayPlayer = null; // Feeds recorded input during playback
+let lastReplay = null; // Most recent finished or imported run, offered on the game over screen
+let importedReplay = null; // A teammate's run, raced as the ghost on its seed
+let ghost = null; // { sim, player } replaying the best run alongside the player
+let ghostSim = null; // Reused by every ghost, so restarts don't build a new eagle and course each time
+
+// Time trial
+let bestSplits = null; // Personal best for this course or seed, loaded when the run starts
+let splitInfoTime = 0; // Seconds the last checkpoint's split stays on screen
+const SPLIT_INFO_DURATION = 3;
+
+// Online races
+let onlineRace = null; // { rules, weather, players, selfId, results } for the current or last race
+let pendingOnlineAction = null; // Sent once the connection opens
+let sendTimer = 0; // Seconds until the next position update
+let standingsKey = ''; // What the standings HUD shows, to skip rebuilding it every frame
+
+// Frame timing for the fixed-step loop
+let lastFrameTime = null;
+let accumulator = 0;
 
 // On-screen control states
 let isAccelerateBtnPressed = false;
@@ -54,27 +139,6 @@ const TOUCH_ACCEL_THRESHOLD = 20; // Pixels moved before considering it a signif
 const TOUCH_MOVE_SPEED_MULTIPLIER = 0.5; // Reduce touch movement speed by half
 
 
-// Geometries & Materials Cache
-const geometries = {
-    hoop: new THREE.TorusGeometry(CONFIG.HOOP_RADIUS, CONFIG.HOOP_THICKNESS, 8, 16),
-    wall: new THREE.BoxGeometry(20, 15, 2),
-    fan: new THREE.CylinderGeometry(3, 3, 2, 16),
-    log: new THREE.CylinderGeometry(1, 1, 30, 8)
-};
-
-const materials = {
-    hoop: new THREE.MeshPhongMaterial({ color: 0xFFD700, emissive: 0xAA6600, emissiveIntensity: 0.2 }),
-    hoopPassed: new THREE.MeshPhongMaterial({ color: 0x00FF00, emissive: 0x00AA00, emissiveIntensity: 0.5 }),
-    wall: new THREE.MeshPhongMaterial({ color: 0xA52A2A }),
-    fan: new THREE.MeshPhongMaterial({ color: 0x88CCFF }),
-    log: new THREE.MeshPhongMaterial({ color: 0x5D4037 })
-};
-
-// Rotate geometries once if needed
-geometries.fan.rotateX(Math.PI / 2);
-geometries.log.rotateZ(Math.PI / 2);
-
-
 // --- Helper functions for D-pad ---
 function handleDpadTouch(clientX, clientY, rect) {
     resetDpadControls(); // Reset all before setting new ones
@@ -107,45 +171,87 @@ function resetDpadControls() {
 function init() {
     // Scene setup
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x87CEEB);
-    scene.fog = new THREE.Fog(0x87CEEB, 100, 500);
 
     // Camera
     camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.set(0, 5, 10);
+    versusCamera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
 
     // Renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     document.body.appendChild(renderer.domElement);
 
-    // Lights
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    scene.add(ambientLight);
-    const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    dirLight.position.set(100, 200, 100);
-    scene.add(dirLight);
-
-    // Ground (Infinite scrolling illusion later, but for now just a large plane below)
-    const planeGeo = new THREE.PlaneGeometry(2000, 10000);
-    const planeMat = new THREE.MeshLambertMaterial({ color: 0x2E8B57 });
-    const ground = new THREE.Mesh(planeGeo, planeMat);
-    ground.rotation.x = -Math.PI / 2;
-    ground.position.y = -50;
-    scene.add(ground);
+    // Sky, fog and lights, following the run's time of day and weather
+    sky = new Sky(scene);
+
+    // Ground, generated from the seed as the eagle flies
+    landscape = new Landscape(scene);
+
+    // Simulation (Eagle, course and rules)
+    sim = new Simulation({ scene });
+    sim.on('hoop', onHoopPassed);
+    sim.on('miss', onHoopMissed);
+    sim.on('out', onPlayerOut);
+    sim.on('gameover', gameOver);
+    sim.on('powerup', onPowerUp);
+    sim.on('powerupend', onPowerUpEnd);
+    sim.on('shield', onShieldHit);
+    sim.on('nearmiss', onNearMiss);
+    sim.on('checkpoint', onCheckpoint);
+    sim.on('remove', ({ obj }) => audioCtrl.releaseSpatial(obj));
+    popups = new ScorePopups(scene);
+    particles = new ParticleSystem(scene, settings.quality);
+    speedLines = particles.createEmitter('speedLines');
+    createPowerUpUI();
+
+    // Online races
+    opponents = new Opponents(scene);
+    network = new RaceConnection();
+    network.on('open', onServerOpen);
+    network.on('close', onServerClose);
+    network.on('lobby', onLobbyUpdate);
+    network.on('start', onOnlineStart);
+    network.on('state', (message) => opponents.receive(message, performance.now() / 1000));
+    network.on('out', onOpponentOut);
+    network.on('results', onOnlineResults);
+    network.on('error', ({ message }) => {
+        pendingOnlineAction = null;
+        setOnlineMessage(message);
+    });
 
-    // Eagle (Player)
-    createEagle();
+    // Course Editor
+    editor = new CourseEditor({
+        scene,
+        camera,
+        domElement: renderer.domElement,
+        templates: BUILT_IN_COURSES,
+        onTestFly: startTestFlight,
+        onExit: exitEditor,
+    });
 
     // Audio
     audioCtrl = new AudioController();
+    AUDIO_BUSES.forEach(bus => audioCtrl.setVolume(bus, settings.audio[bus]));
+    audioCtrl.setMuted(settings.audio.muted);
+    createMixers();
 
     // Event Listeners (Keyboard)
     window.addEventListener('resize', onWindowResize, false);
     document.addEventListener('keydown', (e) => {
-        if (e.code === 'KeyP') {
+        if (state.isEditing && editor.handleKey(e)) return;
+        if (rebindTarget) {
+            e.preventDefault();
+            handleRebindKey(e.code);
+            return;
+        }
+        if (bindings.pause.includes(e.code) && !e.repeat && !settingsReturnTo) {
             togglePause();
         }
+        // Enter and Space would otherwise click whichever button last had focus
+        if (state.isRunning && state.mode === 'versus' && VERSUS_BINDINGS.some(set => actionForVersusCode(set, e.code))) {
+            e.preventDefault();
+        }
         keys[e.code] = true;
     });
     document.addEventListener('keyup', (e) => keys[e.code] = false);
@@ -153,6 +259,15 @@ function init() {
     // NEW: Visibility API event listener for auto-pause/resume
     document.addEventListener('visibilitychange', handleVisibilityChange);
 
+    // Gamepad
+    gamepad = new GamepadInput({ deadZone: CONFIG.GAMEPAD_DEAD_ZONE });
+    window.addEventListener('gamepadconnected', () => {
+        if (!gamepadLoopRunning) {
+            gamepadLoopRunning = true;
+            pollGamepad();
+        }
+    });
+
     // --- New On-screen Control Event Listeners ---
     // Accelerate Button
     const accelerateBtn = document.getElementById('accelerate-btn');
@@ -222,9 +337,96 @@ function init() {
     }
 
 
-    document.getElementById('start-btn').addEventListener('click', startGame);
+    document.getElementById('start-btn').addEventListener('click', startEndless);
+    document.getElementById('daily-btn').addEventListener('click', startDaily);
+    document.getElementById('versus-btn').addEventListener('click', startVersus);
+    document.getElementById('online-btn').addEventListener('click', openOnline);
+    document.getElementById('online-create-btn').addEventListener('click', createOnlineLobby);
+    document.getElementById('online-join-btn').addEventListener('click', joinOnlineLobby);
+    document.getElementById('lobby-code-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') joinOnlineLobby();
+    });
+    document.getElementById('online-start-btn').addEventListener('click', () => network.send('start'));
+    document.getElementById('online-leave-btn').addEventListener('click', leaveOnlineLobby);
+    document.getElementById('online-menu-btn').addEventListener('click', closeOnline);
+    document.getElementById('rematch-btn').addEventListener('click', retrySeed);
+    document.getElementById('versus-new-btn').addEventListener('click', restartGame);
+    document.getElementById('versus-menu-btn').addEventListener('click', showMainMenu);
     document.getElementById('restart-btn').addEventListener('click', restartGame);
+    document.getElementById('retry-seed-btn').addEventListener('click', retrySeed);
     document.getElementById('resume-btn').addEventListener('click', togglePause);
+    document.getElementById('end-run-btn').addEventListener('click', endRunFromPause);
+    document.querySelectorAll('.open-settings-btn').forEach(btn => {
+        btn.addEventListener('click', () => openSettings(btn.closest('#start-screen, #pause-screen')));
+    });
+    document.getElementById('settings-back-btn').addEventListener('click', closeSettings);
+    document.getElementById('reset-bindings-btn').addEventListener('click', () => {
+        bindings = cloneBindings(DEFAULT_BINDINGS);
+        saveBindings(bindings);
+        setBindingsMessage('Controls reset to defaults.');
+        renderBindingsTable();
+        updateControlsHelp();
+    });
+    const handlingSelect = document.getElementById('handling-select');
+    Object.entries(CONFIG.HANDLING_PRESETS).forEach(([id, preset]) => {
+        handlingSelect.add(new Option(preset.LABEL, id));
+    });
+    handlingSelect.value = settings.handling;
+    handlingSelect.addEventListener('change', () => {
+        settings.handling = handlingSelect.value;
+        saveSettings(settings);
+    });
+    const qualitySelect = document.getElementById('quality-select');
+    Object.entries(CONFIG.QUALITY_LEVELS).forEach(([id, level]) => {
+        qualitySelect.add(new Option(level.LABEL, id));
+    });
+    qualitySelect.value = settings.quality;
+    qualitySelect.addEventListener('change', () => {
+        settings.quality = qualitySelect.value;
+        saveSettings(settings);
+        particles.setQuality(settings.quality);
+    });
+    const rulesSelect = document.getElementById('rules-select');
+    Object.entries(CONFIG.RULE_SETS).forEach(([id, ruleSet]) => {
+        rulesSelect.add(new Option(ruleSet.LABEL, id));
+    });
+    rulesSelect.value = settings.rules;
+    rulesSelect.addEventListener('change', () => {
+        settings.rules = rulesSelect.value;
+        saveSettings(settings);
+        updateRulesDescription();
+    });
+    updateRulesDescription();
+    renderWeatherSettings();
+    document.getElementById('save-score-btn').addEventListener('click', submitHighScore);
+    document.getElementById('initials-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitHighScore();
+    });
+    document.getElementById('leaderboard-filter').addEventListener('change', renderStartLeaderboard);
+
+    document.getElementById('course-list').addEventListener('change', updateCourseDescription);
+    document.getElementById('fly-course-btn').addEventListener('click', () => {
+        const course = findCourse(document.getElementById('course-list').value);
+        if (course) startCourse(course);
+    });
+    document.getElementById('load-course-btn').addEventListener('click', () => document.getElementById('course-file-input').click());
+    document.getElementById('course-file-input').addEventListener('change', loadCourseFile);
+    document.getElementById('menu-btn').addEventListener('click', showMainMenu);
+    document.getElementById('editor-btn').addEventListener('click', openEditor);
+    document.getElementById('back-to-editor-btn').addEventListener('click', backToEditor);
+    savedCourses = loadSavedCourses();
+    renderCourseList();
+    renderStartLeaderboard();
+
+    document.getElementById('watch-replay-btn').addEventListener('click', () => {
+        if (lastReplay) playReplay(lastReplay);
+    });
+    document.getElementById('export-replay-btn').addEventListener('click', exportReplay);
+    document.getElementById('copy-replay-btn').addEventListener('click', copyReplayCode);
+    document.querySelectorAll('.import-replay-btn').forEach(btn => {
+        btn.addEventListener('click', () => document.getElementById('import-replay-input').click());
+    });
+    document.getElementById('import-replay-input').addEventListener('change', importReplay);
     // Removed old document.getElementById('mobile-pause-btn') listener as it's replaced
 
 
@@ -236,6 +438,30 @@ function init() {
         }
     }
 
+    // Instructions reflect the current bindings, with layout-specific key names where supported
+    updateControlsHelp();
+    loadKeyboardLayout().then(updateControlsHelp);
+
+    // Seed passed via URL, e.g. ?seed=1Z4K9Q or ?mode=daily
+    const params = new URLSearchParams(window.location.search);
+    const urlSeed = parseSeed(params.get('seed'));
+    if (urlSeed !== null) {
+        document.getElementById('seed-input').value = formatSeed(urlSeed);
+    }
+    if (params.get('mode') === 'daily') {
+        document.getElementById('daily-btn').classList.add('highlight');
+    }
+    if (params.has('debug')) {
+        debugCounter = document.getElementById('debug-counter');
+        debugCounter.style.display = 'block';
+    }
+    if (findCourse(params.get('course'))) {
+        document.getElementById('course-list').value = params.get('course');
+        document.getElementById('fly-course-btn').classList.add('highlight');
+        updateCourseDescription();
+    }
+    document.getElementById('daily-info').innerText = `Daily Challenge ${dailyKey()}: ${formatSeed(dailySeed())}`;
+
     // Hide mobile controls initially (they will be shown by startGame if on mobile)
     const mobileControls = document.getElementById('mobile-controls-container');
     if (mobileControls) {
@@ -247,57 +473,58 @@ function init() {
     animate();
 }
 
-function createEagle() {
-    const eagleGroup = new THREE.Group();
-
-    // Body
-    const bodyGeo = new THREE.ConeGeometry(1, 4, 8);
-    bodyGeo.rotateX(Math.PI / 2);
-    const bodyMat = new THREE.MeshPhongMaterial({ color: 0x8B4513 }); // SaddleBrown
-    const body = new THREE.Mesh(bodyGeo, bodyMat);
-    eagleGroup.add(body);
-
-    // Wings
-    const wingMat = new THREE.MeshPhongMaterial({ color: 0xA0522D });
-
-    const wingGeoLeft = new THREE.BoxGeometry(3, 0.2, 1.5);
-    wingGeoLeft.translate(-1.5, 0, 0); // Pivot at the right edge
-    leftWing = new THREE.Mesh(wingGeoLeft, wingMat);
-    leftWing.position.set(0, 0.5, 0);
-    eagleGroup.add(leftWing);
+function startEndless() {
+    const typedSeed = parseSeed(document.getElementById('seed-input').value);
+    startGame('endless', typedSeed);
+}
 
-    const wingGeoRight = new THREE.BoxGeometry(3, 0.2, 1.5);
-    wingGeoRight.translate(1.5, 0, 0); // Pivot at the left edge
-    rightWing = new THREE.Mesh(wingGeoRight, wingMat);
-    rightWing.position.set(0, 0.5, 0);
-    eagleGroup.add(rightWing);
+function startDaily() {
+    startGame('daily', dailySeed());
+}
 
-    // Head
-    const headGeo = new THREE.SphereGeometry(0.8, 8, 8);
-    const headMat = new THREE.MeshPhongMaterial({ color: 0xFFFFFF });
-    const head = new THREE.Mesh(headGeo, headMat);
-    head.position.set(0, 0.5, -2);
-    eagleGroup.add(head);
+function startVersus() {
+    const typedSeed = parseSeed(document.getElementById('seed-input').value);
+    startGame('versus', typedSeed);
+}
 
-    // Beak
-    const beakGeo = new THREE.ConeGeometry(0.3, 1, 8);
-    beakGeo.rotateX(Math.PI / 2);
-    const beakMat = new THREE.MeshPhongMaterial({ color: 0xFFD700 });
-    const beak = new THREE.Mesh(beakGeo, beakMat);
-    beak.position.set(0, 0.3, -2.8);
-    eagleGroup.add(beak);
+// Authored courses don't use random spawns, but the seed still keys their ghost
+function startCourse(course) {
+    state.course = course;
+    startGame('course', hashString(`course-${course.id}`));
+}
 
-    eagle = eagleGroup;
-    scene.add(eagle);
+// Replays of authored courses need that course to be available
+function playReplay(replay) {
+    if (replay.courseId) {
+        const course = findCourse(replay.courseId);
+        if (!course) {
+            showReplayMessage(`This replay is for the course "${replay.courseId}". Load that course first.`);
+            return;
+        }
+        state.course = course;
+    }
+    startGame(replay.mode, replay.seed, replay);
 }
 
-function startGame() {
+// seed === null means "pick a random course". Passing a replay plays it back;
+// passing testStart flies state.course from that point as an editor test flight.
+function startGame(mode = state.mode, seed = null, replay = null, testStart = null) {
+    if (mode !== 'course') state.course = null;
+    state.mode = mode;
+    state.seedPinned = seed !== null;
+    state.seed = seed !== null ? seed : randomSeed();
+    state.isReplaying = replay !== null;
+    state.testStart = testStart;
+    if (replay) lastReplay = replay;
+    if (testStart) lastReplay = null; // Test flights aren't recorded
+
     document.getElementById('start-screen').style.display = 'none';
     document.getElementById('game-over-screen').style.display = 'none';
+    document.getElementById('winner-screen').style.display = 'none';
     
     // Show mobile controls if on a mobile viewport
     const mobileControls = document.getElementById('mobile-controls-container');
-    if (mobileControls && window.innerWidth <= 768) { // Check for mobile viewport
+    if (mobileControls && window.innerWidth <= 768 && mode !== 'versus') { // Check for mobile viewport
         mobileControls.style.display = 'flex';
     }
 
@@ -306,304 +533,550 @@ function startGame() {
     audioCtrl.resumeMusic();
 }
 
+// Same mode; endless runs get a fresh course unless the player picked the seed
 function restartGame() {
-    startGame();
+    if (state.testStart) startGame('course', state.seed, null, state.testStart);
+    else if (state.mode === 'course') startCourse(state.course);
+    else if (state.mode === 'daily') startGame('daily', dailySeed());
+    else startGame(state.mode, state.seedPinned ? state.seed : null);
 }
 
-function resetGame() {
-    state.score = 0;
-    state.misses = 0;
-    state.gameOver = false;
-    state.distanceTraveled = 0;
-    state.lastSpawnZ = 0;
-    state.speed = CONFIG.PLAYER_SPEED_BASE;
-
-    if (audioCtrl) audioCtrl.setIntensity(0);
+function retrySeed() {
+    startGame(state.mode, state.seed, null, state.testStart);
+}
 
-    eagle.position.set(0, 0, 0);
-    eagle.rotation.set(0, 0, 0);
+function updateSeedUI() {
+    const seedText = formatSeed(state.seed);
+    let text = `Seed: ${seedText}`;
+    if (state.mode === 'daily') text = `Daily Challenge ${dailyKey()}: ${seedText}`;
+    else if (state.mode === 'course') text = `Course: ${state.course.name}`;
+    document.getElementById('seed-display').innerText = text;
+    document.getElementById('final-seed').innerText = text;
+
+    // Keep the address bar shareable
+    const params = new URLSearchParams(window.location.search);
+    params.delete('seed');
+    params.delete('mode');
+    params.delete('course');
+    if (state.mode === 'course') {
+        params.set('course', state.course.id);
+    } else {
+        params.set('seed', seedText);
+        if (state.mode === 'daily') params.set('mode', 'daily');
+    }
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+}
 
-    // Clear objects
-    objects.forEach(obj => scene.remove(obj.mesh));
-    objects = [];
-    
-    // Clear explosions
-    explosions.forEach(exp => exp.meshes.forEach(m => scene.remove(m)));
-    explosions = [];
+function resetGame() {
+    // Replays must be flown with the handling, rules and weather they were recorded with;
+    // online races use the lobby's rules and weather
+    sim.handling = state.isReplaying ? lastReplay.handling : settings.handling;
+    sim.rules = state.isReplaying ? lastReplay.rules : state.mode === 'online' ? onlineRace.rules : settings.rules;
+    sim.weather = state.isReplaying ? lastReplay.weather : state.mode === 'online' ? onlineRace.weather : settings.weather[state.mode];
+    sim.playerCount = state.mode === 'versus' ? 2 : 1;
+    sim.reset(state.seed, state.course, state.testStart);
+    landscape.setTerrain(sim.terrain);
+    accumulator = 0;
+    document.getElementById('ui').classList.toggle('versus', state.mode === 'versus');
+    document.getElementById('ui').classList.toggle('online', state.mode === 'online');
+    onWindowResize(); // Split or join the viewports
+
+    if (state.isReplaying) {
+        replayPlayer = new ReplayPlayer(lastReplay);
+        recording = null;
+    } else if (state.testStart || isMultiplayer()) { // Multiplayer runs aren't recorded
+        replayPlayer = null;
+        recording = null;
+    } else {
+        replayPlayer = null;
+        recording = createRecording(state.seed, state.mode, state.course ? state.course.id : null, sim.handling, sim.rules, sim.weather);
+    }
+    setupGhost();
 
-    // Show eagle
-    eagle.visible = true;
+    if (audioCtrl) {
+        audioCtrl.setSeed(state.seed);
+        audioCtrl.setIntensity(0);
+        audioCtrl.setPitch(1);
+    }
+    musicMilestone = 0;
+    updatePowerUpUI();
+
+    // Time trial: race against the best splits, but not during editor test flights
+    const trial = sim.ruleSet.TIME_TRIAL;
+    bestSplits = trial && !state.testStart && !isMultiplayer() ? loadBestSplits(currentSplitsKey()) : null;
+    splitInfoTime = 0;
+    document.getElementById('split-info').innerText = '';
+    document.getElementById('race-clock').style.display = trial ? 'block' : 'none';
+    updateRaceClock();
+
+    if (state.mode === 'online') opponents.reset(onlineRace.players, onlineRace.selfId);
+    else opponents.clear();
+    sendTimer = 0;
+    standingsKey = '';
+    lastStrike = null;
+    weatherInfoText = '';
+
+    particles.clear();
+    popups.clear();
 
     // Reset UI
     updateUI();
+    updateVersusUI();
+    updateSeedUI();
+    updateRunInfoUI();
 }
 
 function updateUI() {
-    document.getElementById('score').innerText = `Score: ${state.score}`;
-    document.getElementById('misses').innerText = `Misses: ${state.misses}/3`;
+    const multiplier = comboMultiplier(sim.state.streak);
+    document.getElementById('score').innerText = `Score: ${sim.state.score}${multiplier > 1 ? ` (x${multiplier})` : ''}`;
+    const maxMisses = sim.ruleSet.MAX_MISSES;
+    document.getElementById('misses').innerText = maxMisses === Infinity ? `Misses: ${sim.state.misses}` : `Misses: ${sim.state.misses}/${maxMisses}`;
 }
 
-function updateSpeedUI(currentSpeed) {
-    // Convert speed to MPH (CONFIG.PLAYER_SPEED_MAX = 100 MPH)
-    const mph = Math.round((currentSpeed / CONFIG.PLAYER_SPEED_MAX) * 100);
-    document.getElementById('speed-meter').innerText = `Speed: ${mph} MPH`;
+// One row per timed power-up, shown while it's active
+function createPowerUpUI() {
+    const container = document.getElementById('powerups');
+    TIMED_POWERUPS.forEach(kind => {
+        const row = document.createElement('div');
+        row.className = 'powerup';
+        row.id = `powerup-${kind}`;
+        row.style.display = 'none';
+        const color = `#${POWERUP_TYPES[kind].color.toString(16).padStart(6, '0')}`;
+        row.innerHTML = `<span class="powerup-label"></span><div class="powerup-bar"><div class="powerup-fill" style="background: ${color};"></div></div>`;
+        row.querySelector('.powerup-label').innerText = POWERUP_TYPES[kind].label;
+        container.appendChild(row);
+    });
 }
 
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+function updatePowerUpUI() {
+    TIMED_POWERUPS.forEach(kind => {
+        const remaining = sim.state.powerups[kind];
+        const row = document.getElementById(`powerup-${kind}`);
+        row.style.display = remaining > 0 ? 'flex' : 'none';
+        if (remaining > 0) {
+            const duration = CONFIG.POWERUPS[`${kind.toUpperCase()}_DURATION`];
+            row.querySelector('.powerup-fill').style.width = `${(remaining / duration) * 100}%`;
+            row.querySelector('.powerup-label').innerText = `${POWERUP_TYPES[kind].label} ${Math.ceil(remaining)}s`;
+        }
+    });
+}
+
+function updateRunInfoUI() {
+    let text = '';
+    if (state.isReplaying) text = 'REPLAY';
+    else if (state.mode === 'online') text = network.lobby ? `Online race · Lobby ${network.lobby.code}` : 'Online race';
+    else if (ghost) text = `Racing ghost: ${ghost.player.replay.score} points`;
+    document.getElementById('run-info').innerText = text;
+}
+
+// Convert speed to MPH (CONFIG.PLAYER_SPEED_MAX = 100 MPH)
+function toMph(speed) {
+    return Math.round((speed / CONFIG.PLAYER_SPEED_MAX) * 100);
+}
+
+function updateSpeedUI(currentSpeed, stalled = false) {
+    const meter = document.getElementById('speed-meter');
+    meter.innerText = `Speed: ${toMph(currentSpeed)} MPH${stalled ? ' — STALL' : ''}`;
+    meter.classList.toggle('stalled', stalled);
+}
+
+function updateRaceClock() {
+    if (!sim.ruleSet.TIME_TRIAL) return;
+    document.getElementById('race-clock').innerText = `Time: ${formatRaceTime(sim.raceTime())}`;
+}
+
+function currentSplitsKey() {
+    return splitsKey(state.course ? state.course.id : null, state.seed, sim.weather);
 }
 
-function createExplosion(pos) {
-    const particleCount = 20;
-    const meshes = [];
-    const geo = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-    const mat = new THREE.MeshPhongMaterial({ color: 0xFF4500 }); // OrangeRed
-
-    for (let i = 0; i < particleCount; i++) {
-        const mesh = new THREE.Mesh(geo, mat);
-        mesh.position.copy(pos);
-        // Random velocity
-        mesh.userData.velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 20,
-            (Math.random() - 0.5) * 20,
-            (Math.random() - 0.5) * 20
-        );
-        scene.add(mesh);
-        meshes.push(mesh);
+function checkpointCount() {
+    return state.course ? state.course.hoopCount : sim.ruleSet.TIME_TRIAL.CHECKPOINTS;
+}
+
+function onCheckpoint({ index, time, missed }) {
+    if (state.mode === 'versus') return; // Each player's clock is in their panel
+    const info = document.getElementById('split-info');
+    let text = `Checkpoint ${index + 1}/${checkpointCount()}  ${formatRaceTime(time)}`;
+    if (missed) text += `  +${sim.ruleSet.TIME_TRIAL.MISS_PENALTY}s`;
+    info.className = '';
+    if (bestSplits && index < bestSplits.splits.length) {
+        const delta = time - bestSplits.splits[index];
+        text += `  (${formatDelta(delta)})`;
+        info.className = delta <= 0 ? 'ahead' : 'behind';
     }
-    
-    explosions.push({
-        meshes: meshes,
-        life: 2.0 // seconds
+    info.innerText = text;
+    splitInfoTime = SPLIT_INFO_DURATION;
+}
+
+function updateSplitInfo(dt) {
+    if (splitInfoTime <= 0) return;
+    splitInfoTime -= dt;
+    if (splitInfoTime <= 0) document.getElementById('split-info').innerText = '';
+}
+
+function onWindowResize() {
+    // Split-screen gives each player half the width
+    const split = isSplitScreen();
+    const aspect = (split ? window.innerWidth / 2 : window.innerWidth) / window.innerHeight;
+    [camera, versusCamera].forEach(cam => {
+        cam.aspect = aspect;
+        cam.updateProjectionMatrix();
     });
+    renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
-function updateExplosions(dt) {
-    for (let i = explosions.length - 1; i >= 0; i--) {
-        const exp = explosions[i];
-        exp.life -= dt;
-        
-        if (exp.life <= 0) {
-            exp.meshes.forEach(m => scene.remove(m));
-            explosions.splice(i, 1);
-            continue;
-        }
+function isSplitScreen() {
+    return sim.players.length > 1 && !state.isEditing;
+}
 
-        exp.meshes.forEach(m => {
-            m.position.addScaledVector(m.userData.velocity, dt);
-            m.rotation.x += dt * 5;
-            m.rotation.y += dt * 5;
-        });
-    }
+// Embers and a puff of the eagle's own feathers
+function createCrashEffect(eagle) {
+    particles.burst('embers', eagle.position);
+    particles.burst('feathers', eagle.position, { tint: eagle.userData.leftWing.material.color });
+}
+
+// Wing trails while boosting and, at speed, speed lines around the view
+function updateEffects() {
+    sim.players.forEach(player => {
+        const emitters = trailEmitters[player.index] ||
+            (trailEmitters[player.index] = [particles.createEmitter('trail'), particles.createEmitter('trail')]);
+        const { leftWing, rightWing } = player.eagle.userData;
+        const strength = player.state.gameOver ? 0 : player.state.boost;
+        player.eagle.updateMatrixWorld();
+        emitters[0].position.copy(leftWing.localToWorld(_wingtip.copy(WINGTIP).setX(-WINGTIP.x)));
+        emitters[1].position.copy(rightWing.localToWorld(_wingtip.copy(WINGTIP)));
+        emitters.forEach(emitter => emitter.strength = strength);
+    });
+    trailEmitters.slice(sim.players.length).forEach(emitters => emitters.forEach(emitter => emitter.strength = 0));
+
+    // One view's worth; split-screen goes without
+    const speed = sim.state.gameOver || isSplitScreen() ? 0 : sim.state.currentSpeed;
+    speedLines.strength = THREE.MathUtils.clamp((speed - SPEED_LINES_FROM) / (CONFIG.PLAYER_SPEED_MAX - SPEED_LINES_FROM), 0, 1);
+    speedLines.quaternion.copy(camera.quaternion);
+    speedLines.position.copy(camera.position).add(_speedLinesAhead.set(0, 0, -25).applyQuaternion(camera.quaternion));
 }
 
-// --- Game Logic ---
+// --- Settings: Controls ---
+
+function openSettings(fromScreen) {
+    settingsReturnTo = fromScreen;
+    fromScreen.style.display = 'none';
+    setBindingsMessage('');
+    renderBindingsTable();
+    document.getElementById('settings-screen').style.display = 'block';
+}
 
-function spawnObjects(playerZ) {
-    const spawnZ = playerZ - CONFIG.SPAWN_DISTANCE;
+function closeSettings() {
+    rebindTarget = null;
+    document.getElementById('settings-screen').style.display = 'none';
+    settingsReturnTo.style.display = 'block';
+    settingsReturnTo = null;
+}
 
-    // Spawn periodically
-    if (state.lastSpawnZ - spawnZ >= CONFIG.HOOP_SPAWN_INTERVAL) {
-        state.lastSpawnZ = spawnZ;
-        
-        // Random Position
-        const x = (Math.random() - 0.5) * 80; // +/- 40 range
-        const y = (Math.random() * 30) + 5;   // 5 to 35 height
-        
-        spawnHoop(x, y, spawnZ);
+function renderBindingsTable() {
+    const table = document.getElementById('bindings-table');
+    table.innerHTML = '';
+    ACTIONS.forEach(({ id, label }) => {
+        const row = table.insertRow();
+        row.insertCell().innerText = label;
+        for (let slot = 0; slot < SLOTS_PER_ACTION; slot++) {
+            const btn = document.createElement('button');
+            btn.className = 'binding-btn';
+            const waiting = rebindTarget && rebindTarget.action === id && rebindTarget.slot === slot;
+            btn.innerText = waiting ? 'Press a key…' : keyLabel(bindings[id][slot]);
+            btn.addEventListener('click', () => {
+                rebindTarget = { action: id, slot: slot };
+                setBindingsMessage(`Press a key for ${label}. Esc cancels, Delete clears.`);
+                renderBindingsTable();
+            });
+            row.insertCell().appendChild(btn);
+        }
+    });
+}
 
-        // Increase obstacle chance with score
-        const obstacleChance = Math.min(0.2 + (state.score * 0.05), 0.8);
+function handleRebindKey(code) {
+    const { action, slot } = rebindTarget;
+    rebindTarget = null;
 
-        if (Math.random() < obstacleChance) {
-             // Type of obstacle
-             const type = Math.random();
-             if (type < 0.33) spawnWall(x, y, spawnZ);
-             else if (type < 0.66) spawnFan(x, y, spawnZ);
-             else spawnLog(x, y, spawnZ);
+    if (code === 'Delete' || code === 'Backspace') {
+        bindings[action][slot] = null;
+        setBindingsMessage(`${actionLabel(action)} key cleared.`);
+    } else if (isReservedCode(code)) {
+        setBindingsMessage('');
+    } else {
+        const previous = bindings[action][slot];
+        const conflict = rebind(bindings, action, slot, code);
+        if (conflict) {
+            setBindingsMessage(`${keyLabel(code)} was bound to ${actionLabel(conflict.action)}; ` +
+                `it now uses ${keyLabel(previous)} instead.`);
+        } else {
+            setBindingsMessage('');
         }
     }
+
+    saveBindings(bindings);
+    renderBindingsTable();
+    updateControlsHelp();
 }
 
-function spawnHoop(x, y, z) {
-    const mesh = new THREE.Mesh(geometries.hoop, materials.hoop.clone());
-    mesh.position.set(x, y, z);
-    scene.add(mesh);
-    
-    objects.push({
-        type: 'hoop',
-        mesh: mesh,
-        passed: false,
-        active: true
-    });
+function setBindingsMessage(text) {
+    document.getElementById('bindings-message').innerText = text;
 }
 
-function spawnWall(targetX, targetY, z) {
-    const mesh = new THREE.Mesh(geometries.wall, materials.wall);
-    
-    // Position it near the hoop to block it
-    const offsetX = (Math.random() - 0.5) * 10;
-    mesh.position.set(targetX + offsetX, targetY, z - 20); 
-    
-    scene.add(mesh);
-    objects.push({
-        type: 'wall',
-        mesh: mesh,
-        active: true,
-        moving: Math.random() > 0.5,
-        speed: (Math.random() - 0.5) * 20
+function updateControlsHelp() {
+    // One "W/A/S/D" group per slot that has all four directions bound
+    const directions = ['up', 'left', 'down', 'right'];
+    const moveGroups = [];
+    for (let slot = 0; slot < SLOTS_PER_ACTION; slot++) {
+        const codes = directions.map(action => bindings[action][slot]);
+        if (codes.every(Boolean)) moveGroups.push(codes.map(keyLabel).join('/'));
+    }
+    const move = moveGroups.length ? moveGroups.join(' or ') : directions.map(a => describeAction(bindings, a)).join(', ');
+
+    document.getElementById('controls-help').innerText =
+        `Controls: ${move} to Move. ${describeAction(bindings, 'accelerate')} to Accelerate. ` +
+        `${describeAction(bindings, 'pause')} to Pause.`;
+    document.getElementById('pause-help').innerText = `Press ${describeAction(bindings, 'pause')} to Resume`;
+    // The editor's camera flies on the same keys
+    document.getElementById('editor-help').innerText =
+        `Right-drag to look, ${move} to fly, Q/E down/up, Shift to go faster. ` +
+        'Click to select and drag the arrows to move. Delete removes, Ctrl+Z / Ctrl+Y undo and redo.';
+}
+
+// --- Settings: Weather ---
+
+// One choice per mode; online races use the host's
+function renderWeatherSettings() {
+    const table = document.getElementById('weather-table');
+    table.innerHTML = '';
+    WEATHER_MODES.forEach(mode => {
+        const row = table.insertRow();
+        const select = document.createElement('select');
+        select.id = `weather-${mode}`;
+        WEATHER_CHOICES.forEach(choice => select.add(new Option(weatherLabel(choice), choice)));
+        select.value = settings.weather[mode];
+        select.addEventListener('change', () => {
+            settings.weather[mode] = select.value;
+            saveSettings(settings);
+        });
+        const label = document.createElement('label');
+        label.htmlFor = select.id;
+        label.innerText = mode === 'online' ? 'Online Race (as host)' : MODE_LABELS[mode];
+        row.insertCell().appendChild(label);
+        row.insertCell().appendChild(select);
     });
 }
 
-function spawnFan(targetX, targetY, z) {
-    const mesh = new THREE.Mesh(geometries.fan, materials.fan);
-    
-    // Offset from hoop
-    mesh.position.set(targetX + 10, targetY, z - 10);
-    
-    scene.add(mesh);
-    
-    objects.push({
-        type: 'fan',
-        mesh: mesh,
-        active: true,
-        force: -30 // Push left
+// --- Settings: Sound ---
+
+const BUS_LABELS = { master: 'Master', music: 'Music', sfx: 'Effects' };
+
+// The same sliders appear in Settings and on the pause screen; moving either moves both
+function createMixers() {
+    document.querySelectorAll('.mixer').forEach((mixer, i) => {
+        AUDIO_BUSES.forEach(bus => {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = 100;
+            slider.id = `mixer-${i}-${bus}`;
+            slider.dataset.bus = bus;
+            slider.addEventListener('input', () => {
+                settings.audio[bus] = slider.value / 100;
+                audioCtrl.setVolume(bus, settings.audio[bus]);
+                updateMixers();
+            });
+            slider.addEventListener('change', () => saveSettings(settings));
+            const label = document.createElement('label');
+            label.htmlFor = slider.id;
+            label.innerText = BUS_LABELS[bus];
+            const value = document.createElement('span');
+            value.className = 'mixer-value';
+            value.dataset.bus = bus;
+            mixer.append(label, slider, value);
+        });
+
+        const mute = document.createElement('label');
+        mute.className = 'mixer-mute';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.addEventListener('change', () => {
+            settings.audio.muted = checkbox.checked;
+            audioCtrl.setMuted(settings.audio.muted);
+            saveSettings(settings);
+            updateMixers();
+        });
+        mute.append(checkbox, ' Mute');
+        mixer.appendChild(mute);
     });
+    updateMixers();
 }
 
-function spawnLog(targetX, targetY, z) {
-    const mesh = new THREE.Mesh(geometries.log, materials.log);
-    
-    mesh.position.set(targetX, targetY + (Math.random() * 10 - 5), z - 15);
-    scene.add(mesh);
-    
-    objects.push({
-        type: 'log',
-        mesh: mesh,
-        active: true,
-        swinging: true,
-        angle: 0
+function updateMixers() {
+    document.querySelectorAll('.mixer input[type="range"]').forEach(slider => {
+        slider.value = Math.round(settings.audio[slider.dataset.bus] * 100);
+    });
+    document.querySelectorAll('.mixer-value').forEach(value => {
+        value.innerText = `${Math.round(settings.audio[value.dataset.bus] * 100)}%`;
     });
+    document.querySelectorAll('.mixer-mute input').forEach(checkbox => checkbox.checked = settings.audio.muted);
 }
 
-function updateObjects(dt) {
-    const playerPos = eagle.position;
-    
-    // Check misses first
-    for (const obj of objects) {
-        if (obj.type === 'hoop' && obj.active && !obj.passed && !obj.missed) {
-             // If hoop is behind player by more than a tiny bit, it's missed
-             // Player goes negative Z. If hoop.z > player.z + 1, it's behind.
-             if (obj.mesh.position.z > playerPos.z + 1) {
-                 obj.missed = true;
-                 state.misses++;
-                 obj.active = false; // No longer interactive
-                 obj.mesh.material.color.setHex(0xFF0000); // Turn red
-                 
-                 updateUI();
-                 audioCtrl.setIntensity(state.misses / 3.0 + state.score * 0.05);
-
-                 if (state.misses >= 3) {
-                     gameOver();
-                 }
-             }
-        }
+// --- Replays & Ghost ---
+
+function setupGhost() {
+    removeGhost();
+    if (state.isReplaying || state.testStart || isMultiplayer()) return;
+
+    const replay = (importedReplay && importedReplay.seed === state.seed) ? importedReplay : loadBestReplay(state.seed);
+    if (!replay) return;
+
+    // The ghost runs its own simulation on a private scene; only its eagle is shown
+    if (!ghostSim) {
+        ghostSim = new Simulation({ instanced: false });
+        applyGhostLook(ghostSim.eagle);
     }
+    ghostSim.handling = replay.handling;
+    ghostSim.rules = replay.rules;
+    ghostSim.weather = replay.weather;
+    ghostSim.reset(replay.seed, state.course);
+    scene.add(ghostSim.eagle);
+    ghost = { sim: ghostSim, player: new ReplayPlayer(replay) };
+}
 
-    // Filter out objects that are too far behind
-    for (let i = objects.length - 1; i >= 0; i--) {
-        const obj = objects[i];
-        
-        // Logic for obstacles
-        if (obj.type === 'wall' && obj.moving) {
-            obj.mesh.position.x += obj.speed * dt;
-            if (Math.abs(obj.mesh.position.x - playerPos.x) > 50) obj.speed *= -1; // Bounce vaguely
-        }
-        else if (obj.type === 'log' && obj.swinging) {
-            obj.angle += dt * 2;
-            obj.mesh.position.y += Math.sin(obj.angle) * 0.1;
-        }
-        else if (obj.type === 'fan') {
-            obj.mesh.rotation.z += 10 * dt;
-            // Fan Logic applied in checkCollisions if close
-        }
+function stepGhost() {
+    if (!ghost) return;
+    if (ghost.player.finished || ghost.sim.state.gameOver) {
+        ghost.sim.eagle.visible = false;
+        return;
+    }
+    ghost.sim.step(ghost.player.next());
+}
 
-        // Cleanup
-        if (obj.mesh.position.z > playerPos.z + CONFIG.REMOVE_DISTANCE) {
-            scene.remove(obj.mesh);
-            
-            if (obj.type === 'hoop') {
-                obj.mesh.material.dispose();
-            }
-            
-            objects.splice(i, 1);
+function removeGhost() {
+    if (!ghost) return;
+    scene.remove(ghost.sim.eagle);
+    ghost = null;
+}
+
+function showReplayMessage(text) {
+    document.querySelectorAll('.replay-message').forEach(el => el.innerText = text);
+}
+
+function exportReplay() {
+    if (!lastReplay) return;
+    const blob = new Blob([replayToJSON(lastReplay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `eagle-rider-${formatSeed(lastReplay.seed)}-${lastReplay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function copyReplayCode() {
+    if (!lastReplay || !navigator.clipboard) return;
+    navigator.clipboard.writeText(encodeReplay(lastReplay))
+        .then(() => showReplayMessage('Replay code copied to clipboard.'))
+        .catch(() => showReplayMessage('Could not copy to clipboard.'));
+}
+
+// Accepts an exported .json file or a text file holding a copied replay code
+function importReplay(e) {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    file.text().then(text => {
+        try {
+            const replay = decodeReplay(text);
+            importedReplay = replay;
+            showReplayMessage('');
+            playReplay(replay);
+        } catch (err) {
+            showReplayMessage(err.message);
         }
+    });
+}
+
+// --- Simulation Events ---
+
+// The gamepad belongs to the first player
+function rumbleFor(player, strong, weak, duration) {
+    if (player.index === 0) gamepad.rumble(strong, weak, duration);
+}
+
+function onHoopPassed({ obj, clipped, scored }, player) {
+    updateUI();
+    const { points, multiplier, perfect } = scored;
+    let label = perfect ? `PERFECT +${points}` : `+${points}`;
+    if (multiplier > 1) label += ` x${multiplier}`;
+    if (state.mode === 'versus') label = `P${player.index + 1} ${label}`;
+    popups.spawn(label, _popupPosition.copy(obj.mesh.position).setY(obj.mesh.position.y + 3),
+        perfect ? '#FFD700' : clipped ? '#FFA500' : '#FFFFFF');
+    particles.burst('sparkle', obj.mesh.position, { radius: CONFIG.HOOP_RADIUS * obj.mesh.scale.x });
+    audioCtrl.playCollectSound();
+    updateMusic();
+    if (clipped) rumbleFor(player, 0.5, 0.3, 120); // Bumped the rim
+    else rumbleFor(player, 0, 0.4, 80);
+}
+
+// Shown just ahead of the eagle, since the obstacle is already behind it
+function onNearMiss({ scored }, player) {
+    updateUI();
+    popups.spawn(`NEAR MISS +${scored.points}`, _popupPosition.copy(player.eagle.position).add(NEAR_MISS_POPUP_OFFSET), '#66CCFF');
+    rumbleFor(player, 0.3, 0, 60);
+}
+
+function onPowerUp({ kind }, player) {
+    updateUI(); // An extra life changes the miss count
+    audioCtrl.playPowerUpSound();
+    if (kind === 'slowmo') audioCtrl.setPitch(CONFIG.POWERUPS.SLOWMO_SCALE);
+    rumbleFor(player, 0, 0.3, 60);
+}
+
+// Slow-mo runs until nobody has it left
+function onPowerUpEnd({ kind }) {
+    if (kind === 'slowmo' && sim.timeScale === 1) audioCtrl.setPitch(1);
+}
+
+function onShieldHit(data, player) {
+    audioCtrl.playShieldSound();
+    rumbleFor(player, 0.8, 0.4, 200);
+}
+
+function onHoopMissed({ clipped }, player) {
+    updateUI();
+    if (clipped) rumbleFor(player, 0.5, 0.3, 120);
+    updateMusic();
+}
+
+// The music builds with hoops passed and with misses, following whoever is doing
+// best, and changes key on score milestones
+function updateMusic() {
+    const flying = sim.players.filter(p => !p.state.gameOver);
+    if (flying.length === 0) return;
+    const intensity = Math.max(...flying.map(p => p.state.misses / sim.ruleSet.MAX_MISSES + p.state.hoops * 0.05));
+    audioCtrl.setIntensity(intensity);
+
+    const milestone = Math.floor(Math.max(...flying.map(p => p.state.score)) / KEY_CHANGE_SCORE);
+    if (milestone > musicMilestone) {
+        musicMilestone = milestone;
+        audioCtrl.changeKey();
     }
 }
 
-function checkCollisions(dt) {
-    const playerPos = eagle.position;
-    // Simple bounding sphere for player
-    const playerRadius = 1.5;
-
-    for (const obj of objects) {
-        if (!obj.active) continue;
-
-        const dz = obj.mesh.position.z - playerPos.z;
-        
-        // Only check objects nearby in Z
-        if (Math.abs(dz) < 5) {
-            const dx = obj.mesh.position.x - playerPos.x;
-            const dy = obj.mesh.position.y - playerPos.y;
-            const distSq = dx*dx + dy*dy;
-            
-            if (obj.type === 'hoop') {
-                if (distSq < (CONFIG.HOOP_RADIUS * CONFIG.HOOP_RADIUS)) {
-                    // Inside hoop radius
-                    // Mark passed only if we are very close to the center plane
-                    if (Math.abs(dz) < 1.0) {
-                        obj.passed = true;
-                        obj.active = false; // Don't check again
-                        obj.mesh.material.color.setHex(0x00FF00); // Turn green
-                        state.score++;
-                        updateUI();
-                        audioCtrl.playCollectSound();
-                        
-                        // Increase speed slightly
-                        state.speed = Math.min(state.speed + 1, CONFIG.PLAYER_SPEED_MAX);
-                    }
-                }
-            } else if (obj.type === 'wall' || obj.type === 'log') {
-                // Approximate collision for obstacles
-                // Wall is box, Log is cylinder. Simplified to sphere check for now or basic bounds
-                let collisionDist = 3; // Generic size
-                if (obj.type === 'wall') collisionDist = 8;
-                if (obj.type === 'log') collisionDist = 2; // Radius
-                
-                // For log (horizontal), x distance matters less if within length
-                if (obj.type === 'log') {
-                   if (Math.abs(dx) < 15 && Math.abs(dy) < 2) { // 15 = half length, 2 = radius
-                       gameOver();
-                   }
-                } else if (obj.type === 'wall') {
-                   if (Math.abs(dx) < 10 && Math.abs(dy) < 7.5) {
-                       gameOver();
-                   }
-                }
-            } else if (obj.type === 'fan') {
-                // Fan pushes player
-                if (distSq < 100) { // Range of effect
-                    eagle.position.x += (obj.force * dt * (1 - Math.sqrt(distSq)/10));
-                }
-            }
-        }
+// One eagle's run is over; gameOver follows once they all are
+function onPlayerOut({ reason }, player) {
+    if (reason === 'crash') rumbleFor(player, 1, 0.6, 400);
+    if (reason !== 'finish' && reason !== 'quit') {
+        createCrashEffect(player.eagle);
+        player.eagle.visible = false;
+        if (sim.players.some(p => !p.state.gameOver)) audioCtrl.playCrashSound(); // Others fly on
     }
 }
 
 function togglePause() {
-    if (!state.isRunning || state.gameOver) return; // Keep this line
+    if (!state.isRunning || sim.gameOver) return; // Keep this line
     state.isPaused = !state.isPaused;
     console.log('togglePause called. state.isPaused is now:', state.isPaused); // NEW LOG
 
@@ -619,6 +1092,7 @@ function togglePause() {
         }
     } else {
         pauseScreen.style.display = 'none';
+        document.activeElement.blur(); // A focused volume slider would take the arrow keys meant for steering
         audioCtrl.resumeMusic(); // Resume music - ADDED
         console.log('Game unpaused. Music resumed.'); // NEW LOG
         if (window.innerWidth <= 768 && mobileControls) {
@@ -630,9 +1104,14 @@ function togglePause() {
     // once isPaused is false. Removed animate() call from original else block.
 }
 
-function gameOver() {
-    if (state.gameOver) return; // Prevent multiple triggers
-    state.gameOver = true;
+// Zen runs can't be lost, so this is how they end; it works under any rules
+function endRunFromPause() {
+    if (!state.isPaused) return;
+    togglePause();
+    sim.endRun('quit');
+}
+
+function gameOver({ reason }) {
     state.isRunning = false;
     
     // Hide mobile controls
@@ -641,24 +1120,668 @@ function gameOver() {
         mobileControls.style.display = 'none';
     }
 
-    // Explosion
-    createExplosion(eagle.position);
-    eagle.visible = false;
+    const finished = reason === 'finish';
+    const quit = reason === 'quit';
 
-    audioCtrl.playCrashSound();
-    audioCtrl.playGameOverMusic();
-    
-    document.getElementById('final-score').innerText = `Score: ${state.score}`;
+    if (recording) {
+        lastReplay = finishRecording(recording, sim.state);
+        recording = null;
+        showReplayMessage(saveBestReplay(lastReplay) ? 'New best on this seed! Race its ghost with Same Course.' : '');
+    } else {
+        showReplayMessage('');
+    }
+    replayPlayer = null;
+    removeGhost();
+    audioCtrl.setPitch(1);
+
+    if (finished) {
+        audioCtrl.playCollectSound();
+        audioCtrl.setIntensity(0);
+    } else {
+        if (!quit) audioCtrl.playCrashSound();
+        audioCtrl.playGameOverMusic();
+    }
+
+    if (state.mode === 'versus') {
+        showWinnerScreen();
+        return;
+    }
+    if (state.mode === 'online') {
+        network.send('out', { reason, ...onlineStats() });
+        showOnlineScreen(network.connected ? 'Waiting for the other racers to finish…' : '');
+        return;
+    }
+
+    document.getElementById('game-over-title').innerText = finished ? 'Course Complete!' : quit ? 'Run Ended' : 'Game Over';
+    document.getElementById('final-score').innerText = `Score: ${sim.state.score}`;
+    renderScoreBreakdown();
+    renderTimeTrialResults(finished);
+    updateCourseResults(finished);
+    offerHighScore();
+    document.getElementById('replay-controls-main').style.display = lastReplay ? 'inline' : 'none';
+    document.getElementById('back-to-editor-btn').style.display = state.testStart ? 'inline-block' : 'none';
     document.getElementById('game-over-screen').style.display = 'block';
 }
 
+// --- Two Players ---
+
+// Best first. Time trials rank finishers by race time; otherwise points, then distance.
+function versusStandings() {
+    const trial = sim.ruleSet.TIME_TRIAL;
+    return sim.players.slice().sort((a, b) => {
+        if (trial) {
+            const finishedA = a.state.endReason === 'finish';
+            const finishedB = b.state.endReason === 'finish';
+            if (finishedA !== finishedB) return finishedA ? -1 : 1;
+            if (finishedA) return sim.raceTime(a) - sim.raceTime(b);
+        }
+        return (b.state.score - a.state.score) || (b.state.distanceTraveled - a.state.distanceTraveled);
+    });
+}
+
+function versusResult(player) {
+    const s = player.state;
+    const parts = [`Score: ${s.score}`, `Hoops: ${s.hoops}`, `Misses: ${s.misses}`, `${Math.round(s.distanceTraveled)}m`];
+    if (sim.ruleSet.TIME_TRIAL) parts.push(`Time: ${formatRaceTime(sim.raceTime(player))}`);
+    return parts.join(' · ');
+}
+
+function updateVersusUI() {
+    if (state.mode !== 'versus') return;
+    sim.players.forEach(player => {
+        const panel = document.getElementById(`versus-p${player.index + 1}`);
+        const s = player.state;
+        const maxMisses = sim.ruleSet.MAX_MISSES;
+        const lines = [
+            `P${player.index + 1} · Score: ${s.score}${comboMultiplier(s.streak) > 1 ? ` (x${comboMultiplier(s.streak)})` : ''}`,
+            `Misses: ${s.misses}${maxMisses === Infinity ? '' : `/${maxMisses}`} · ${toMph(s.currentSpeed)} MPH`,
+        ];
+        if (sim.ruleSet.TIME_TRIAL) lines.push(`Time: ${formatRaceTime(sim.raceTime(player))}`);
+        const active = TIMED_POWERUPS.filter(kind => s.powerups[kind] > 0)
+            .map(kind => `${POWERUP_TYPES[kind].label} ${Math.ceil(s.powerups[kind])}s`);
+        if (active.length) lines.push(active.join(' · '));
+        if (s.gameOver) lines.push('OUT');
+        panel.innerText = lines.join('\n');
+    });
+}
+
+function showWinnerScreen() {
+    const standings = versusStandings();
+    const [first, second] = standings;
+    const tie = !sim.ruleSet.TIME_TRIAL && first.state.score === second.state.score &&
+        Math.round(first.state.distanceTraveled) === Math.round(second.state.distanceTraveled);
+    document.getElementById('winner-title').innerText = tie ? 'Draw!' : `Player ${first.index + 1} Wins!`;
+
+    const table = document.getElementById('winner-results');
+    table.innerHTML = '';
+    sim.players.forEach(player => {
+        const row = table.insertRow();
+        if (!tie && player === first) row.className = 'winner';
+        row.insertCell().innerText = `Player ${player.index + 1}`;
+        row.insertCell().innerText = versusResult(player);
+    });
+    document.getElementById('winner-seed').innerText = `Seed: ${formatSeed(state.seed)}`;
+    document.getElementById('winner-screen').style.display = 'block';
+}
+
+function isMultiplayer() {
+    return state.mode === 'versus' || state.mode === 'online';
+}
+
+function showMainMenu() {
+    state.testStart = null;
+    document.getElementById('winner-screen').style.display = 'none';
+    document.getElementById('game-over-screen').style.display = 'none';
+    document.getElementById('start-screen').style.display = 'block';
+    renderStartLeaderboard();
+}
+
+// --- Online Races ---
+
+const LOBBY_STATUS_LABELS = {
+    [STATUS.WAITING]: 'In lobby',
+    [STATUS.RACING]: 'Racing',
+    [STATUS.OUT]: 'Out',
+    [STATUS.LEFT]: 'Left',
+};
+
+function openOnline() {
+    document.getElementById('start-screen').style.display = 'none';
+    document.getElementById('server-url-input').value = settings.serverUrl;
+    document.getElementById('player-name-input').value = settings.playerName;
+    showOnlineScreen('');
+}
+
+// Back to the main menu, leaving the lobby and the server
+function closeOnline() {
+    pendingOnlineAction = null;
+    network.disconnect();
+    onlineRace = null;
+    opponents.clear();
+    document.getElementById('ui').classList.remove('online');
+    document.getElementById('online-screen').style.display = 'none';
+    showMainMenu();
+}
+
+function showOnlineScreen(message) {
+    setOnlineMessage(message);
+    renderOnlineLobby();
+    document.getElementById('online-screen').style.display = 'block';
+}
+
+function setOnlineMessage(text) {
+    document.getElementById('online-message').innerText = text;
+}
+
+// Connects first if needed; action runs once the server is reachable
+function withServer(action) {
+    const url = document.getElementById('server-url-input').value.trim();
+    if (!/^wss?:\/\//i.test(url)) {
+        setOnlineMessage('The server address must start with ws:// or wss://');
+        return;
+    }
+    settings.serverUrl = url;
+    settings.playerName = document.getElementById('player-name-input').value.trim();
+    saveSettings(settings);
+
+    if (network.connected) {
+        action();
+        return;
+    }
+    pendingOnlineAction = action;
+    setOnlineMessage(`Connecting to ${url}…`);
+    network.connect(url);
+}
+
+function createOnlineLobby() {
+    withServer(() => network.createLobby(settings.playerName, settings.rules, settings.weather.online));
+}
+
+function joinOnlineLobby() {
+    const code = document.getElementById('lobby-code-input').value.trim();
+    if (!code) {
+        setOnlineMessage('Enter the lobby code from the host.');
+        return;
+    }
+    withServer(() => network.joinLobby(settings.playerName, code));
+}
+
+function leaveOnlineLobby() {
+    network.leaveLobby();
+    onlineRace = null;
+    document.getElementById('online-results-container').style.display = 'none';
+    showOnlineScreen('');
+}
+
+function onServerOpen() {
+    setOnlineMessage('');
+    if (pendingOnlineAction) pendingOnlineAction();
+    pendingOnlineAction = null;
+}
+
+// Mid-race the run carries on without the others; its result just isn't shared
+function onServerClose({ wasOpen }) {
+    pendingOnlineAction = null;
+    const message = wasOpen ? 'Lost the connection to the race server.'
+        : `Could not reach the race server at ${settings.serverUrl}. Is it running? (npm run server)`;
+    if (state.mode === 'online' && state.isRunning) {
+        opponents.clear();
+        document.getElementById('run-info').innerText = 'Connection lost: finish your run offline';
+    }
+    setOnlineMessage(message);
+    renderOnlineLobby();
+}
+
+function onLobbyUpdate(lobby) {
+    if (onlineRace) {
+        lobby.players.filter(p => p.status === STATUS.LEFT).forEach(p => opponents.markLeft(p.id));
+    }
+    renderOnlineLobby();
+}
+
+function onOnlineStart({ seed, rules, weather, players }) {
+    onlineRace = { rules, weather, players, selfId: network.lobby.you, results: null };
+    document.getElementById('online-screen').style.display = 'none';
+    document.getElementById('online-results-container').style.display = 'none';
+    startGame('online', seed);
+}
+
+function onOpponentOut(message) {
+    const racer = opponents.markOut(message);
+    if (racer && message.reason !== 'finish' && message.reason !== 'quit') createCrashEffect(racer.eagle);
+}
+
+function onOnlineResults({ standings }) {
+    if (!onlineRace) return;
+    onlineRace.results = standings;
+    renderOnlineResults(standings);
+    if (!state.isRunning) {
+        const winner = standings[0];
+        showOnlineScreen(winner.id === onlineRace.selfId ? 'You win!' : `${winner.name} wins!`);
+    }
+}
+
+function renderOnlineLobby() {
+    const lobby = network.lobby;
+    document.getElementById('online-connect').style.display = lobby ? 'none' : 'block';
+    document.getElementById('online-lobby').style.display = lobby ? 'block' : 'none';
+    if (!lobby) return;
+
+    document.getElementById('lobby-title').innerText = `Lobby ${lobby.code}`;
+    document.getElementById('lobby-rules').innerText = `Rules: ${rulesLabel(lobby.rules)} · Weather: ${weatherLabel(lobby.weather)}`;
+    const table = document.getElementById('lobby-players');
+    table.innerHTML = '';
+    lobby.players.forEach(player => {
+        const row = table.insertRow();
+        let name = player.name;
+        if (player.id === lobby.host) name += ' (host)';
+        if (player.id === lobby.you) name += ' (you)';
+        row.insertCell().innerText = name;
+        row.insertCell().innerText = LOBBY_STATUS_LABELS[player.status];
+    });
+    document.getElementById('online-start-btn').style.display = network.isHost && !lobby.racing ? 'inline-block' : 'none';
+    if (!network.isHost && !lobby.racing && !state.isRunning && !onlineRace) {
+        setOnlineMessage('Waiting for the host to start the race…');
+    }
+}
+
+function renderOnlineResults(standings) {
+    const trial = Boolean(CONFIG.RULE_SETS[onlineRace.rules].TIME_TRIAL);
+    const table = document.getElementById('online-results');
+    table.innerHTML = '';
+    const header = table.insertRow();
+    ['#', 'Name', 'Score', 'Hoops', 'Distance', ...(trial ? ['Time'] : []), ''].forEach(text => {
+        const th = document.createElement('th');
+        th.innerText = text;
+        header.appendChild(th);
+    });
+    standings.forEach((entry, i) => {
+        const row = table.insertRow();
+        if (entry.id === onlineRace.selfId) row.className = 'self';
+        row.insertCell().innerText = i + 1;
+        row.insertCell().innerText = entry.name;
+        row.insertCell().innerText = entry.score;
+        row.insertCell().innerText = entry.hoops;
+        row.insertCell().innerText = `${Math.round(entry.distance)}m`;
+        if (trial) row.insertCell().innerText = entry.reason === 'finish' ? formatRaceTime(entry.time) : '-';
+        row.insertCell().innerText = standingLabel(entry);
+    });
+    document.getElementById('online-results-container').style.display = 'block';
+}
+
+// What the local run reports to the others
+function onlineStats() {
+    return {
+        score: sim.state.score,
+        hoops: sim.state.hoops,
+        misses: sim.state.misses,
+        distance: Math.round(sim.state.distanceTraveled),
+        time: sim.raceTime(),
+    };
+}
+
+function sendOnlineState(elapsed) {
+    sendTimer -= elapsed;
+    if (sendTimer > 0 || sim.gameOver || !network.connected) return;
+    sendTimer = 1 / CONFIG.NETWORK.SEND_RATE;
+    const { position, quaternion } = sim.eagle;
+    network.send('state', {
+        x: position.x, y: position.y, z: position.z,
+        qx: quaternion.x, qy: quaternion.y, qz: quaternion.z, qw: quaternion.w,
+        ...onlineStats(),
+    });
+}
+
+function onlineStandings(now) {
+    const self = onlineRace.players.find(p => p.id === onlineRace.selfId);
+    const entries = [{
+        id: onlineRace.selfId,
+        name: self ? self.name : 'You',
+        status: sim.gameOver ? STATUS.OUT : STATUS.RACING,
+        reason: sim.state.endReason,
+        colorIndex: 0,
+        ...onlineStats(),
+    }];
+    opponents.racers.forEach(racer => entries.push({
+        id: racer.id,
+        name: racer.name,
+        status: racer.status,
+        reason: racer.reason,
+        colorIndex: racer.colorIndex,
+        lagging: opponents.isLagging(racer, now),
+        ...racer.stats,
+    }));
+    return rankStandings(entries, Boolean(sim.ruleSet.TIME_TRIAL));
+}
+
+function standingLabel(entry) {
+    if (entry.status === STATUS.LEFT) return 'Left';
+    if (entry.status === STATUS.RACING) return entry.lagging ? 'Lagging' : '';
+    return entry.reason === 'finish' ? 'Finished' : entry.reason === 'quit' ? 'Quit' : 'Out';
+}
+
+function updateStandingsUI(now) {
+    if (!onlineRace) return;
+    const standings = onlineStandings(now);
+    const key = JSON.stringify(standings.map(e => [e.id, e.score, standingLabel(e)]));
+    if (key === standingsKey) return;
+    standingsKey = key;
+
+    const container = document.getElementById('standings');
+    container.innerHTML = '';
+    standings.forEach((entry, i) => {
+        const row = document.createElement('div');
+        row.className = 'standing';
+        if (entry.id === onlineRace.selfId) row.classList.add('self');
+        if (entry.status !== STATUS.RACING) row.classList.add('out');
+        const swatch = document.createElement('span');
+        swatch.className = 'eagle-swatch';
+        swatch.style.background = `#${EAGLE_COLORS[entry.colorIndex].body.toString(16).padStart(6, '0')}`;
+        const label = document.createElement('span');
+        const status = standingLabel(entry);
+        label.innerText = `${i + 1}. ${entry.name} ${entry.score}${status ? ` · ${status}` : ''}`;
+        row.append(swatch, label);
+        container.appendChild(row);
+    });
+}
+
+// --- Course Editor ---
+
+function openEditor() {
+    document.getElementById('start-screen').style.display = 'none';
+    enterEditorScene();
+    editor.enter();
+}
+
+// Clears the run from the scene so only the editor's objects show
+function enterEditorScene() {
+    state.isEditing = true;
+    sim.playerCount = 1;
+    sim.reset(0, null);
+    landscape.setTerrain(createTerrain(0, { authored: true })); // Courses are flown over an open valley
+    sky.reset(); // Build in daylight
+    document.getElementById('ui').classList.remove('versus');
+    onWindowResize();
+    sim.eagle.visible = false;
+    removeGhost();
+}
+
+function startTestFlight(course, start) {
+    state.isEditing = false;
+    sim.eagle.visible = true;
+    state.course = course;
+    startGame('course', hashString(`course-${course.id}`), null, start);
+}
+
+function backToEditor() {
+    document.getElementById('game-over-screen').style.display = 'none';
+    state.testStart = null;
+    enterEditorScene();
+    editor.enter();
+}
+
+function exitEditor() {
+    state.isEditing = false;
+    sim.eagle.visible = true;
+    savedCourses = loadSavedCourses();
+    renderCourseList();
+    document.getElementById('start-screen').style.display = 'block';
+    renderStartLeaderboard();
+}
+
+// --- Courses ---
+
+// Later entries win when ids clash: loaded files over saved courses over built-ins
+function allCourses() {
+    const byId = new Map();
+    BUILT_IN_COURSES.concat(savedCourses, loadedCourses).forEach(course => byId.set(course.id, course));
+    return Array.from(byId.values());
+}
+
+function findCourse(id) {
+    return allCourses().find(course => course.id === id) || null;
+}
+
+function renderCourseList() {
+    const list = document.getElementById('course-list');
+    const selected = list.value;
+    list.innerHTML = '';
+    allCourses().forEach(course => {
+        const option = document.createElement('option');
+        option.value = course.id;
+        option.innerText = course.name;
+        list.appendChild(option);
+    });
+    if (findCourse(selected)) list.value = selected;
+    updateCourseDescription();
+
+    // Each course has its own high-score table
+    const filter = document.getElementById('leaderboard-filter');
+    filter.querySelectorAll('option[data-course]').forEach(option => option.remove());
+    allCourses().forEach(course => {
+        const option = document.createElement('option');
+        option.value = `course:${course.id}`;
+        option.dataset.course = course.id;
+        option.innerText = `Course: ${course.name}`;
+        filter.appendChild(option);
+    });
+}
+
+function updateCourseDescription() {
+    const course = findCourse(document.getElementById('course-list').value);
+    document.getElementById('course-description').innerText = course
+        ? `${course.description} (${course.hoopCount} hoops)`
+        : '';
+}
+
+function loadCourseFile(e) {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow loading the same file again after fixing it
+    if (!file) return;
+
+    const message = document.getElementById('course-message');
+    file.text().then(text => {
+        try {
+            const course = parseCourse(text);
+            loadedCourses = loadedCourses.filter(c => c.id !== course.id).concat(course);
+            renderCourseList();
+            document.getElementById('course-list').value = course.id;
+            updateCourseDescription();
+            message.innerText = `Loaded "${course.name}".`;
+        } catch (err) {
+            message.innerText = err instanceof CourseError
+                ? `${file.name} has problems:\n${err.errors.join('\n')}`
+                : err.message;
+        }
+    });
+}
+
+function renderScoreBreakdown() {
+    const table = document.getElementById('score-breakdown');
+    const b = sim.state.breakdown;
+    table.innerHTML = '';
+    [
+        [`Hoops (${sim.state.hoops})`, b.hoopPoints],
+        [`Precision (${b.perfects} perfect)`, b.precisionPoints],
+        [`Near misses (${b.nearMisses})`, b.nearMissPoints],
+        [`Combo (best streak ${b.bestStreak})`, b.streakPoints],
+    ].forEach(([label, points]) => {
+        const row = table.insertRow();
+        row.insertCell().innerText = label;
+        row.insertCell().innerText = points;
+    });
+}
+
+// Each checkpoint's race clock and segment time, against the best loaded at the start
+function renderTimeTrialResults(finished) {
+    const table = document.getElementById('time-trial-results');
+    const trial = sim.ruleSet.TIME_TRIAL;
+    document.getElementById('score-breakdown').style.display = trial ? 'none' : '';
+    table.style.display = trial ? '' : 'none';
+    if (!trial) return;
+
+    const splits = sim.state.splits;
+    const total = sim.raceTime();
+    const newBest = finished && !state.isReplaying && !state.testStart && saveBestSplits(currentSplitsKey(), splits, total);
+    table.innerHTML = '';
+
+    const header = table.createTHead().insertRow();
+    ['Checkpoint', 'Time', 'Split', 'vs Best'].forEach(text => {
+        const th = document.createElement('th');
+        th.innerText = text;
+        header.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    const addRow = (label, time, split, best) => {
+        const row = body.insertRow();
+        [label, formatRaceTime(time), split === null ? '' : formatRaceTime(split)].forEach(value => { row.insertCell().innerText = value; });
+        const deltaCell = row.insertCell();
+        if (best !== undefined) {
+            deltaCell.innerText = formatDelta(time - best);
+            deltaCell.className = time <= best ? 'ahead' : 'behind';
+        }
+    };
+    splits.forEach((time, i) => {
+        addRow(`${i + 1}`, time, time - (i > 0 ? splits[i - 1] : 0), bestSplits ? bestSplits.splits[i] : undefined);
+    });
+    addRow(finished ? 'Finish' : 'DNF', total, null, finished && bestSplits ? bestSplits.total : undefined);
+
+    const summary = body.insertRow().insertCell();
+    summary.colSpan = 4;
+    summary.innerText = `Penalties: ${sim.state.penalty}s${newBest ? ' · New personal best!' : ''}`;
+}
+
+function updateCourseResults(finished) {
+    const results = document.getElementById('course-results');
+    if (state.mode !== 'course') {
+        results.style.display = 'none';
+        return;
+    }
+    const parts = [
+        `Hoops: ${sim.state.hoops}/${state.course.hoopCount}`,
+        `Misses: ${sim.state.misses}`,
+        `Time: ${sim.state.time.toFixed(1)}s`,
+    ];
+    if (!finished) {
+        const progress = Math.min(100, Math.round(sim.state.distanceTraveled / -state.course.finish.z * 100));
+        parts.push(`Progress: ${progress}%`);
+    }
+    results.innerText = parts.join(' · ');
+    results.style.display = 'block';
+}
+
+// --- High Scores ---
+
+// Table shown after a run: same mode, rules and weather, and the same day's seed or the same authored course
+function runLeaderboardFilter() {
+    const rules = sim.rules;
+    const weather = sim.weather;
+    if (state.mode === 'daily') return { mode: 'daily', seed: state.seed, rules, weather };
+    if (state.mode === 'course') return { mode: 'course', course: state.course.id, rules, weather };
+    return { mode: state.mode, rules, weather };
+}
+
+function offerHighScore() {
+    const entry = document.getElementById('initials-entry');
+    pendingHighScore = null;
+
+    // Time trials are ranked by their best splits instead
+    const trial = sim.ruleSet.TIME_TRIAL;
+    document.getElementById('final-leaderboard-container').style.display = trial ? 'none' : '';
+
+    const run = {
+        score: sim.state.score,
+        hoops: sim.state.hoops,
+        distance: Math.round(sim.state.distanceTraveled),
+        maxSpeed: toMph(sim.state.maxSpeed),
+        seed: state.seed,
+        mode: state.mode,
+        course: state.course ? state.course.id : null,
+        rules: sim.rules,
+        weather: sim.weather,
+    };
+    if (!trial && !state.isReplaying && !state.testStart && qualifies(run)) {
+        pendingHighScore = run;
+        const input = document.getElementById('initials-input');
+        input.value = loadLastInitials();
+        entry.style.display = 'block';
+    } else {
+        entry.style.display = 'none';
+    }
+    renderLeaderboard(document.getElementById('final-leaderboard'), runLeaderboardFilter(), null);
+}
+
+function submitHighScore() {
+    if (!pendingHighScore) return;
+    const initials = cleanInitials(document.getElementById('initials-input').value) || '???';
+    saveLastInitials(initials);
+
+    const stored = addHighScore({ ...pendingHighScore, initials });
+    pendingHighScore = null;
+    document.getElementById('initials-entry').style.display = 'none';
+
+    renderLeaderboard(document.getElementById('final-leaderboard'), runLeaderboardFilter(), stored.id);
+    renderStartLeaderboard();
+}
+
+function renderStartLeaderboard() {
+    const choice = document.getElementById('leaderboard-filter').value;
+    let filter = {};
+    if (choice === 'today') filter = { mode: 'daily', seed: dailySeed() };
+    else if (choice.startsWith('course:')) filter = { mode: 'course', course: choice.slice('course:'.length) };
+    else if (choice !== 'all') filter = { mode: choice };
+    renderLeaderboard(document.getElementById('start-leaderboard'), filter, null);
+}
+
+function rulesLabel(rules) {
+    return CONFIG.RULE_SETS[rules] ? CONFIG.RULE_SETS[rules].LABEL : rules;
+}
+
+function updateRulesDescription() {
+    document.getElementById('rules-description').innerText = CONFIG.RULE_SETS[settings.rules].DESCRIPTION;
+}
+
+function renderLeaderboard(table, filter, highlightId) {
+    const entries = getHighScores(filter);
+    table.innerHTML = '';
+
+    if (entries.length === 0) {
+        table.insertRow().insertCell().innerText = 'No scores yet.';
+        return;
+    }
+
+    const header = table.createTHead().insertRow();
+    ['#', 'Name', 'Score', 'Distance', 'Top Speed', 'Mode', 'Seed', 'Date'].forEach(text => {
+        const th = document.createElement('th');
+        th.innerText = text;
+        header.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    entries.forEach((e, i) => {
+        const row = body.insertRow();
+        if (e.id === highlightId) row.className = 'new-entry';
+        [
+            i + 1,
+            e.initials,
+            e.score,
+            `${e.distance}m`,
+            `${e.maxSpeed} MPH`,
+            `${e.course ? (findCourse(e.course) || { name: e.course }).name : (MODE_LABELS[e.mode] || e.mode)} · ${rulesLabel(e.rules)} · ${weatherLabel(e.weather)}`,
+            e.seed === null || e.course ? '—' : formatSeed(e.seed),
+            e.date ? new Date(e.date).toLocaleDateString() : '—',
+        ].forEach(value => { row.insertCell().innerText = value; });
+    });
+}
+
 // NEW: Function to handle visibility changes
 function handleVisibilityChange() {
     console.log('Visibility changed:', document.visibilityState); // NEW LOG
     if (document.visibilityState === 'hidden') {
-        console.log('Document hidden. state.isRunning:', state.isRunning, 'state.isPaused:', state.isPaused, 'state.gameOver:', state.gameOver); // NEW LOG
+        console.log('Document hidden. state.isRunning:', state.isRunning, 'state.isPaused:', state.isPaused, 'sim.gameOver:', sim.gameOver); // NEW LOG
         // If the game is running and not already manually paused, auto-pause it
-        if (state.isRunning && !state.isPaused && !state.gameOver) {
+        if (state.isRunning && !state.isPaused && !sim.gameOver) {
             console.log('Auto-pausing due to visibility hidden.'); // NEW LOG
             togglePause();
             state.wasAutoPausedByVisibility = true; // Mark as auto-paused
@@ -677,72 +1800,226 @@ function handleVisibilityChange() {
 }
 
 
-function animate() {
-    if (state.isPaused) return; 
-    requestAnimationFrame(animate);
+// --- Gamepad ---
 
-    const dt = 0.016; 
-    
-    updateExplosions(dt);
+// Runs on its own loop (not animate) so Start and menu navigation still work while paused
+function pollGamepad() {
+    gamepad.poll();
+    if (!gamepad.connected) {
+        gamepadLoopRunning = false; // Restarted by the next gamepadconnected event
+        return;
+    }
+    requestAnimationFrame(pollGamepad);
 
-    if (!state.isRunning) {
+    if (state.isRunning && gamepad.justPressed[BUTTONS.START]) {
+        togglePause();
+        return;
+    }
+
+    const screen = visibleMenuScreen();
+    if (screen) navigateMenu(screen);
+}
+
+function visibleMenuScreen() {
+    return ['settings-screen', 'pause-screen', 'game-over-screen', 'winner-screen', 'online-screen', 'start-screen']
+        .map(id => document.getElementById(id))
+        .find(el => el.style.display !== 'none') || null;
+}
+
+// D-pad/stick moves focus through the screen's buttons, A (or Start) activates
+function navigateMenu(screen) {
+    const items = Array.from(screen.querySelectorAll('button, input'))
+        .filter(el => el.offsetParent !== null);
+    if (items.length === 0) return;
+
+    const current = items.indexOf(document.activeElement);
+    const direction = gamepad.justNavigated.y || gamepad.justNavigated.x;
+    if (direction) {
+        const next = current === -1 ? 0 : (current + direction + items.length) % items.length;
+        items[next].focus();
+    } else if (gamepad.justPressed[BUTTONS.A] || gamepad.justPressed[BUTTONS.START]) {
+        (current === -1 ? items[0] : items[current]).click();
+    }
+}
+
+// Input Handling (Keyboard, on-screen controls & gamepad)
+function readInput() {
+    const moveLeft = isActionActive(bindings, keys, 'left') || isDpadLeft;
+    const moveRight = isActionActive(bindings, keys, 'right') || isDpadRight;
+    const moveUp = isActionActive(bindings, keys, 'up') || isDpadUp;
+    const moveDown = isActionActive(bindings, keys, 'down') || isDpadDown;
+    const accelerate = isActionActive(bindings, keys, 'accelerate') || isAccelerateBtnPressed;
+
+    // If any D-pad control is active, steer at reduced speed
+    const scale = (isDpadUp || isDpadDown || isDpadLeft || isDpadRight) ? TOUCH_MOVE_SPEED_MULTIPLIER : 1;
+
+    const pad = gamepad.readInput();
+
+    return {
+        moveX: clampUnit(((moveRight ? 1 : 0) - (moveLeft ? 1 : 0)) * scale + pad.moveX),
+        moveY: clampUnit(((moveUp ? 1 : 0) - (moveDown ? 1 : 0)) * scale + pad.moveY),
+        boost: accelerate ? 1 : pad.boost,
+    };
+}
+
+// Split-screen: each player has one side of the keyboard, and the gamepad is the first player's
+function readVersusInputs() {
+    const pad = gamepad.readInput();
+    return VERSUS_BINDINGS.map((set, i) => {
+        const held = (action) => isActionActive(set, keys, action);
+        const input = {
+            moveX: (held('right') ? 1 : 0) - (held('left') ? 1 : 0),
+            moveY: (held('up') ? 1 : 0) - (held('down') ? 1 : 0),
+            boost: held('accelerate') ? 1 : 0,
+        };
+        if (i === 0) {
+            input.moveX = clampUnit(input.moveX + pad.moveX);
+            input.moveY = clampUnit(input.moveY + pad.moveY);
+            input.boost = input.boost || pad.boost;
+        }
+        return input;
+    });
+}
+
+function actionForVersusCode(set, code) {
+    return Object.keys(set).some(action => set[action].includes(code));
+}
+
+function clampUnit(value) {
+    return Math.max(-1, Math.min(1, value));
+}
+
+function updateCamera(cam = camera, eagle = sim.eagle) {
+    cam.position.z = eagle.position.z + 10;
+    cam.position.y = eagle.position.y + 3;
+    cam.position.x = eagle.position.x * 0.5; // Slight lag/pan
+    cam.lookAt(eagle.position.x, eagle.position.y, eagle.position.z - 20);
+}
+
+// Sky, glowing hoops at night, thunder after lightning and the weather HUD
+function updateWeather(elapsed) {
+    sky.update(sim.climate, sim.time, elapsed, sim.state.currentSpeed);
+
+    // Each hoop glows in whatever colour its state gives it
+    materials.hoopInstance.emissiveIntensity = 0.2 + sky.darkness * CONFIG.SKY.HOOP_GLOW;
+
+    const strike = sim.climate.lastStrike(sim.time);
+    if (strike !== null && strike !== lastStrike) {
+        lastStrike = strike;
+        audioCtrl.playThunderSound(0.3 + Math.random()); // Sound travels slower than light
+    }
+
+    const text = `${formatTimeOfDay(sim.climate.timeOfDay(sim.time))} · ${weatherLabel(sky.conditions.type)}`;
+    if (text !== weatherInfoText) {
+        weatherInfoText = text;
+        document.getElementById('weather-info').innerText = text;
+    }
+}
+
+// 0..1 through the day as a 24-hour clock, to the nearest ten minutes
+function formatTimeOfDay(timeOfDay) {
+    const minutes = Math.floor(timeOfDay * 24 * 6) * 10;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Ground around every view
+function updateLandscape() {
+    if (isSplitScreen()) landscape.update(camera.position.z, versusCamera.position.z);
+    else landscape.update(camera.position.z);
+}
+
+// Live, pooled and ever allocated objects per pool, and the last frame's draw calls.
+// Refreshed a few times a second so it's readable.
+function updateDebugCounter(elapsed) {
+    if (!debugCounter) return;
+    debugCounterTimer -= elapsed;
+    if (debugCounterTimer > 0) return;
+    debugCounterTimer = 0.25;
+    const lines = [...sim.poolStats(), particles.stats()].map(({ name, live, pooled, allocated }) =>
+        `${name}: ${live} live · ${pooled} pooled · ${allocated} allocated`);
+    lines.push(`Draw calls: ${renderer.info.render.calls}`);
+    debugCounter.innerText = lines.join('\n');
+}
+
+// Split-screen draws the same scene twice, side by side
+function renderScene() {
+    if (!isSplitScreen()) {
+        sky.follow(camera);
         renderer.render(scene, camera);
         return;
     }
+    const width = window.innerWidth / 2;
+    const height = window.innerHeight;
+    renderer.setScissorTest(true);
+    [camera, versusCamera].forEach((cam, i) => {
+        renderer.setViewport(i * width, 0, width, height);
+        renderer.setScissor(i * width, 0, width, height);
+        sky.follow(cam);
+        renderer.render(scene, cam);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+}
+
+// Real time is fed into an accumulator and the simulation advances in fixed
+// steps, so game speed doesn't depend on the display's refresh rate.
+function animate(now = performance.now()) {
+    if (state.isPaused) {
+        lastFrameTime = null; // Don't count the paused time when resuming
+        return;
+    }
+    requestAnimationFrame(animate);
 
-    // Input Handling (Keyboard & On-screen controls)
-    let moveLeft = keys['ArrowLeft'] || keys['KeyA'] || isDpadLeft;
-    let moveRight = keys['ArrowRight'] || keys['KeyD'] || isDpadRight;
-    let moveUp = keys['ArrowUp'] || keys['KeyW'] || isDpadUp;
-    let moveDown = keys['ArrowDown'] || keys['KeyS'] || isDpadDown;
-    let accelerate = keys['Space'] || isAccelerateBtnPressed;
+    const elapsed = lastFrameTime === null ? 0 : Math.min((now - lastFrameTime) / 1000, CONFIG.MAX_FRAME_TIME);
+    lastFrameTime = now;
 
-    let currentTurnSpeed = CONFIG.PLAYER_TURN_SPEED; // Initialize with base turn speed
+    particles.update(elapsed);
+    popups.update(elapsed);
+    updateDebugCounter(elapsed);
+    if (state.mode === 'online') {
+        opponents.update(now / 1000);
+        updateStandingsUI(now / 1000); // Keeps going while waiting for the others
+    }
 
-    if (isDpadUp || isDpadDown || isDpadLeft || isDpadRight) { // If any D-pad control is active
-        currentTurnSpeed = CONFIG.PLAYER_TURN_SPEED * TOUCH_MOVE_SPEED_MULTIPLIER;
+    if (!state.isRunning) {
+        audioCtrl.stopSpatial(); // The course falls quiet behind the menus
+        particles.stopEmitters();
+        if (state.isEditing) editor.update(elapsed, keys, bindings);
+        else sky.update(sim.climate, sim.time, elapsed); // The rain keeps falling behind the menus
+        updateLandscape();
+        renderScene();
+        return;
     }
-    
-    if (moveUp) eagle.position.y += currentTurnSpeed * dt * 0.5;
-    if (moveDown) eagle.position.y -= currentTurnSpeed * dt * 0.5;
-    if (moveLeft) eagle.position.x -= currentTurnSpeed * dt;
-    if (moveRight) eagle.position.x += currentTurnSpeed * dt;
-    
-    // Clamp X/Y
-    eagle.position.y = Math.max(1, Math.min(eagle.position.y, 50));
-    eagle.position.x = Math.max(-100, Math.min(eagle.position.x, 100));
-
-    // Banking effect
-    const targetRotZ = (moveLeft) ? 0.5 : (moveRight) ? -0.5 : 0;
-    eagle.rotation.z += (targetRotZ - eagle.rotation.z) * 5 * dt;
-
-    // Wing flapping
-    const wingBop = Math.sin(Date.now() * 0.015) * 0.4;
-    leftWing.rotation.z = wingBop;
-    rightWing.rotation.z = -wingBop;
-
-    // Movement
-    let currentSpeed = state.speed;
-    if (accelerate) currentSpeed += CONFIG.PLAYER_ACCEL;
-    
-    updateSpeedUI(currentSpeed);
-
-    const moveDist = currentSpeed * dt;
-    eagle.position.z -= moveDist;
-    state.distanceTraveled += moveDist;
-
-    // Camera follow
-    camera.position.z = eagle.position.z + 10;
-    camera.position.y = eagle.position.y + 3;
-    camera.position.x = eagle.position.x * 0.5; // Slight lag/pan
-    camera.lookAt(eagle.position.x, eagle.position.y, eagle.position.z - 20);
-
-    // Spawning & Logic
-    spawnObjects(eagle.position.z);
-    updateObjects(dt);
-    checkCollisions(dt);
-    
-    renderer.render(scene, camera);
+
+    const input = state.mode === 'versus' ? readVersusInputs() : readInput();
+    accumulator += elapsed;
+    while (accumulator >= CONFIG.FIXED_DT && state.isRunning) {
+        const stepInput = replayPlayer ? replayPlayer.next() : input;
+        if (recording) recordInput(recording, stepInput);
+        sim.step(stepInput);
+        stepGhost();
+        accumulator -= CONFIG.FIXED_DT;
+
+        // A replay that ran out without ending the run was ended from the pause menu
+        // (or has desynced), so it ends the same way
+        if (replayPlayer && replayPlayer.finished && state.isRunning) sim.endRun('quit');
+    }
+
+    if (state.mode === 'online') sendOnlineState(elapsed);
+
+    updateSpeedUI(sim.state.currentSpeed, sim.state.stalled);
+    updateRaceClock();
+    updateSplitInfo(elapsed);
+    updatePowerUpUI();
+    updateVersusUI();
+    updateCamera();
+    if (isSplitScreen()) updateCamera(versusCamera, sim.players[1].eagle);
+    updateEffects();
+    audioCtrl.updateSpatial(camera, sim.objects); // Split-screen shares one pair of speakers: the first player's view
+
+    updateWeather(elapsed);
+    updateLandscape();
+    renderScene();
 }
 
 // Start
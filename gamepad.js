@@ -0,0 +1,115 @@
+// Gamepad API support. Polled once per frame; only the first connected pad is used.
+// Button indices follow the "standard" mapping (Xbox layout names below).
+
+export const BUTTONS = {
+    A: 0,
+    B: 1,
+    LT: 6,
+    RT: 7,
+    START: 9,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15,
+};
+
+const STICK_NAV_THRESHOLD = 0.5; // How far the stick must be pushed to move through menus
+
+export class GamepadInput {
+    constructor({ deadZone = 0.2 } = {}) {
+        this.deadZone = deadZone;
+        this.pad = null;
+        this.pressed = {}; // Buttons held this poll
+        this.justPressed = {}; // Buttons that went down this poll
+        this.stickNav = { x: 0, y: 0 }; // Last menu direction from the stick, for edge detection
+        this.justNavigated = { x: 0, y: 0 };
+    }
+
+    get connected() {
+        return this.pad !== null;
+    }
+
+    poll() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        this.pad = Array.from(pads).find(p => p && p.connected) || null;
+
+        const previous = this.pressed;
+        this.pressed = {};
+        this.justPressed = {};
+        this.justNavigated = { x: 0, y: 0 };
+        if (!this.pad) return;
+
+        this.pad.buttons.forEach((button, i) => {
+            if (button.pressed) {
+                this.pressed[i] = true;
+                if (!previous[i]) this.justPressed[i] = true;
+            }
+        });
+
+        // Treat the left stick like a D-pad for menus, firing once per push
+        const [ax, ay] = this.stick();
+        const navX = Math.abs(ax) > STICK_NAV_THRESHOLD ? Math.sign(ax) : 0;
+        const navY = Math.abs(ay) > STICK_NAV_THRESHOLD ? Math.sign(ay) : 0;
+        if (navX !== this.stickNav.x) this.justNavigated.x = navX;
+        if (navY !== this.stickNav.y) this.justNavigated.y = navY;
+        this.stickNav = { x: navX, y: navY };
+
+        if (this.justPressed[BUTTONS.DPAD_LEFT]) this.justNavigated.x = -1;
+        if (this.justPressed[BUTTONS.DPAD_RIGHT]) this.justNavigated.x = 1;
+        if (this.justPressed[BUTTONS.DPAD_UP]) this.justNavigated.y = -1;
+        if (this.justPressed[BUTTONS.DPAD_DOWN]) this.justNavigated.y = 1;
+    }
+
+    // Left stick with a radial dead zone, rescaled so output still starts at 0 and reaches 1.
+    // Returns [x, y] with screen orientation (y down positive).
+    stick() {
+        if (!this.pad || this.pad.axes.length < 2) return [0, 0];
+        const x = this.pad.axes[0];
+        const y = this.pad.axes[1];
+        const magnitude = Math.hypot(x, y);
+        if (magnitude < this.deadZone) return [0, 0];
+
+        const scaled = Math.min(1, (magnitude - this.deadZone) / (1 - this.deadZone));
+        return [x / magnitude * scaled, y / magnitude * scaled];
+    }
+
+    trigger(index) {
+        if (!this.pad || !this.pad.buttons[index]) return 0;
+        return this.pad.buttons[index].value;
+    }
+
+    // Steering and boost in the simulation's input shape.
+    // Values are rounded to hundredths so recorded replays stay compact.
+    readInput() {
+        if (!this.pad) return { moveX: 0, moveY: 0, boost: 0 };
+
+        let [x, y] = this.stick();
+        if (this.pressed[BUTTONS.DPAD_LEFT]) x = -1;
+        if (this.pressed[BUTTONS.DPAD_RIGHT]) x = 1;
+        if (this.pressed[BUTTONS.DPAD_UP]) y = -1;
+        if (this.pressed[BUTTONS.DPAD_DOWN]) y = 1;
+
+        const boost = this.pressed[BUTTONS.A] ? 1 : this.trigger(BUTTONS.RT);
+
+        return {
+            moveX: quantize(x),
+            moveY: quantize(-y),
+            boost: quantize(boost),
+        };
+    }
+
+    // Dual-motor rumble where supported; silently ignored elsewhere
+    rumble(strong, weak, duration) {
+        const actuator = this.pad && this.pad.vibrationActuator;
+        if (!actuator || !actuator.playEffect) return;
+        actuator.playEffect('dual-rumble', {
+            duration: duration,
+            strongMagnitude: strong,
+            weakMagnitude: weak,
+        }).catch(() => {});
+    }
+}
+
+function quantize(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,148 @@
+// Headless entry point: runs the simulation in Node without a canvas.
+//
+//   node headless.js --seed 1Z4K9Q --steps 3600 --autopilot
+//   node headless.js --seed 1Z4K9Q --script inputs.json
+//   node headless.js --course courses/slalom.json --autopilot
+//   node headless.js --seed 1Z4K9Q --handling sim --autopilot
+//   node headless.js --seed 1Z4K9Q --rules hard --autopilot
+//   node headless.js --seed 1Z4K9Q --weather storm --autopilot
+//
+// A script is a JSON array of input segments, each held for `frames` steps:
+//   [{ "frames": 120, "moveX": -1 }, { "frames": 60, "moveY": 1, "boost": 1 }]
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { Simulation, NEUTRAL_INPUT } from './simulation.js';
+import { CONFIG } from './config.js';
+import { parseSeed, formatSeed } from './random.js';
+import { parseCourse } from './course.js';
+import { WEATHER_CHOICES } from './weather.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+// Expands script segments into a per-step input function
+export function scriptedInput(segments) {
+    const frames = [];
+    for (const segment of segments) {
+        const input = {
+            moveX: segment.moveX || 0,
+            moveY: segment.moveY || 0,
+            boost: segment.boost || 0,
+        };
+        for (let i = 0; i < (segment.frames || 1); i++) frames.push(input);
+    }
+    return (frame) => frames[frame] || NEUTRAL_INPUT;
+}
+
+// Steers straight at the next hoop that hasn't been passed or missed
+export function autopilot(frame, sim) {
+    const pos = sim.eagle.position;
+    const target = sim.objects
+        .filter(obj => obj.type === 'hoop' && obj.active && obj.mesh.position.z < pos.z)
+        .sort((a, b) => b.mesh.position.z - a.mesh.position.z)[0];
+    if (!target) return NEUTRAL_INPUT;
+
+    const dx = target.mesh.position.x - pos.x;
+    const dy = target.mesh.position.y - pos.y;
+    return {
+        moveX: Math.abs(dx) > 0.5 ? Math.sign(dx) : 0,
+        moveY: Math.abs(dy) > 0.5 ? Math.sign(dy) : 0,
+        boost: 0,
+    };
+}
+
+// Same as a new player's settings, so a headless run matches the game's
+function defaultWeather(course) {
+    return DEFAULT_SETTINGS.weather[course ? 'course' : 'endless'];
+}
+
+// Steps a fresh simulation until the run ends or maxSteps is reached.
+// input is either an array of per-step inputs or a function (frame, sim) => input.
+// course is a parsed authored course, or null for the endless generator.
+// handling is a key of CONFIG.HANDLING_PRESETS, rules a key of CONFIG.RULE_SETS,
+// weather one of the choices in weather.js; by default the game's default for
+// an endless run or an authored course.
+export function runHeadless({
+    seed = 0, course = null, handling = CONFIG.HANDLING, rules = CONFIG.RULES,
+    weather = defaultWeather(course),
+    input = NEUTRAL_INPUT, maxSteps = 60 * 60,
+} = {}) {
+    const sim = new Simulation({ seed, course, handling, rules, weather, instanced: false });
+    const events = [];
+    ['hoop', 'miss', 'nearmiss', 'hit', 'checkpoint', 'gameover'].forEach(type => {
+        sim.on(type, (data) => events.push({ type, frame: sim.frame, reason: data && data.reason }));
+    });
+
+    const inputAt = typeof input === 'function' ? input
+        : Array.isArray(input) ? (frame) => input[frame] || NEUTRAL_INPUT
+        : () => input;
+
+    while (!sim.gameOver && sim.frame < maxSteps) {
+        sim.step(inputAt(sim.frame, sim));
+    }
+
+    return { sim, state: { ...sim.state, raceTime: sim.raceTime() }, events };
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) args[arg.slice(2)] = true;
+        else args[arg.slice(2)] = argv[++i];
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const seed = parseSeed(args.seed) ?? 0;
+    const maxSteps = args.steps ? parseInt(args.steps, 10) : 60 * 60;
+
+    let input = NEUTRAL_INPUT;
+    if (args.script) input = scriptedInput(JSON.parse(readFileSync(args.script, 'utf8')));
+    else if (args.autopilot) input = autopilot;
+
+    const course = args.course ? parseCourse(readFileSync(args.course, 'utf8')) : null;
+
+    const handling = args.handling || CONFIG.HANDLING;
+    if (!CONFIG.HANDLING_PRESETS[handling]) {
+        console.error(`Unknown handling "${handling}", expected one of ${Object.keys(CONFIG.HANDLING_PRESETS).join(', ')}`);
+        process.exit(1);
+    }
+
+    const rules = args.rules || CONFIG.RULES;
+    if (!CONFIG.RULE_SETS[rules]) {
+        console.error(`Unknown rules "${rules}", expected one of ${Object.keys(CONFIG.RULE_SETS).join(', ')}`);
+        process.exit(1);
+    }
+
+    const weather = args.weather || defaultWeather(course);
+    if (!WEATHER_CHOICES.includes(weather)) {
+        console.error(`Unknown weather "${weather}", expected one of ${WEATHER_CHOICES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const { state, events } = runHeadless({ seed, course, handling, rules, weather, input, maxSteps });
+    console.log(JSON.stringify({
+        seed: formatSeed(seed),
+        course: course ? course.id : undefined,
+        handling,
+        rules,
+        weather,
+        steps: state.frame,
+        seconds: +(state.frame * CONFIG.FIXED_DT).toFixed(2),
+        score: state.score,
+        hoops: state.hoops,
+        misses: state.misses,
+        gameOver: state.gameOver,
+        distance: Math.round(state.distanceTraveled),
+        raceTime: CONFIG.RULE_SETS[rules].TIME_TRIAL ? +state.raceTime.toFixed(2) : undefined,
+        splits: CONFIG.RULE_SETS[rules].TIME_TRIAL ? state.splits.map(t => +t.toFixed(2)) : undefined,
+        events,
+    }, null, 2));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,161 @@
+// Local high-score table, kept in localStorage as a top-10 list per game mode,
+// rule set and weather (and per seed for the Daily Challenge).
+//
+// Storage layout (SCHEMA_VERSION 2):
+//   { version: 2, entries: [{ id, initials, score, hoops, distance, maxSpeed, date, seed, mode, course, rules, weather }] }
+// score is in points (see scoring.js) and hoops is the number passed.
+// course is the authored course id, or null for generated courses.
+// rules is the CONFIG.RULE_SETS key; entries from before rule sets were Normal.
+// weather is the weather choice (see weather.js); entries from before weather were Clear.
+// Older layouts are migrated on load; anything unreadable is discarded.
+
+const STORAGE_KEY = 'eagleRider.highScores';
+const INITIALS_KEY = 'eagleRider.lastInitials';
+const SCHEMA_VERSION = 2;
+
+export const MAX_ENTRIES_PER_MODE = 10;
+export const INITIALS_LENGTH = 3;
+
+// Each migration takes data at version N and returns data at version N + 1
+const MIGRATIONS = {
+    // Version 0: a bare array of entries without the version wrapper or a mode
+    0: (entries) => ({
+        version: 1,
+        entries: entries.map(e => ({ ...e, mode: e.mode || 'endless' })),
+    }),
+    // Version 1: score was the hoop count; each hoop was then worth 10 points
+    1: (data) => ({
+        version: 2,
+        entries: (Array.isArray(data.entries) ? data.entries : []).map(e => (
+            e && Number.isFinite(e.score) ? { ...e, score: e.score * 10, hoops: e.score } : e)),
+    }),
+};
+
+function migrate(data) {
+    let version = Array.isArray(data) ? 0 : data.version;
+    let current = data;
+    while (version < SCHEMA_VERSION) {
+        if (!MIGRATIONS[version]) return null;
+        current = MIGRATIONS[version](current);
+        version = current.version;
+    }
+    return version === SCHEMA_VERSION ? current : null;
+}
+
+// Returns a clean entry, or null if the stored one is unusable
+function sanitizeEntry(e) {
+    if (!e || typeof e !== 'object') return null;
+    if (!Number.isFinite(e.score) || typeof e.mode !== 'string') return null;
+    return {
+        id: Number.isFinite(e.id) ? e.id : 0,
+        initials: typeof e.initials === 'string' ? e.initials.slice(0, INITIALS_LENGTH) : '???',
+        score: e.score,
+        hoops: Number.isFinite(e.hoops) ? e.hoops : 0,
+        distance: Number.isFinite(e.distance) ? e.distance : 0,
+        maxSpeed: Number.isFinite(e.maxSpeed) ? e.maxSpeed : 0,
+        date: Number.isFinite(e.date) ? e.date : 0,
+        seed: Number.isInteger(e.seed) ? e.seed : null,
+        mode: e.mode,
+        course: typeof e.course === 'string' ? e.course : null,
+        rules: typeof e.rules === 'string' ? e.rules : 'normal',
+        weather: typeof e.weather === 'string' ? e.weather : 'clear',
+    };
+}
+
+function compareEntries(a, b) {
+    return (b.score - a.score) || (b.distance - a.distance) || (a.date - b.date);
+}
+
+export function loadHighScores() {
+    let data;
+    try {
+        data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (e) {
+        return []; // Corrupt JSON
+    }
+    if (!data || typeof data !== 'object') return [];
+
+    const migrated = migrate(data);
+    if (!migrated || !Array.isArray(migrated.entries)) return [];
+
+    return migrated.entries.map(sanitizeEntry).filter(Boolean).sort(compareEntries);
+}
+
+function saveHighScores(entries) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, entries }));
+    } catch (e) {
+        // Storage unavailable; the table just won't persist
+    }
+}
+
+// filter: { mode, seed, course, rules, weather } — any may be omitted
+export function getHighScores(filter = {}) {
+    return loadHighScores().filter(e =>
+        (filter.mode === undefined || e.mode === filter.mode) &&
+        (filter.seed === undefined || e.seed === filter.seed) &&
+        (filter.course === undefined || e.course === filter.course) &&
+        (filter.rules === undefined || e.rules === filter.rules) &&
+        (filter.weather === undefined || e.weather === filter.weather));
+}
+
+// The getHighScores filter for the table an entry competes in. Authored courses
+// each get their own top 10 within the 'course' mode, as does each day's Daily
+// Challenge seed, and every rule set and weather has its own tables.
+function tableFilter(e) {
+    const filter = { mode: e.mode, rules: e.rules, weather: e.weather };
+    if (e.course) filter.course = e.course;
+    if (e.mode === 'daily') filter.seed = e.seed;
+    return filter;
+}
+
+function tableKey(e) {
+    return Object.entries(tableFilter(e)).map(([key, value]) => `${key}=${value}`).join('/');
+}
+
+// run: { mode, score, distance, course, seed, rules, weather }, as it would be stored
+export function qualifies({ mode, score, distance, course = null, seed = null, rules = 'normal', weather = 'clear' }) {
+    if (score <= 0) return false;
+    const table = getHighScores(tableFilter({ mode, course, seed, rules, weather }));
+    if (table.length < MAX_ENTRIES_PER_MODE) return true;
+    const last = table[table.length - 1];
+    return compareEntries({ score, distance, date: Date.now() }, last) < 0;
+}
+
+// Adds the entry and trims its table back to the top 10. Returns the stored entry.
+export function addHighScore(entry) {
+    const stored = sanitizeEntry({ ...entry, id: Date.now(), date: Date.now() });
+    const entries = loadHighScores();
+    entries.push(stored);
+    entries.sort(compareEntries);
+
+    const perTable = {};
+    const kept = entries.filter(e => {
+        const key = tableKey(e);
+        perTable[key] = (perTable[key] || 0) + 1;
+        return perTable[key] <= MAX_ENTRIES_PER_MODE;
+    });
+
+    saveHighScores(kept);
+    return stored;
+}
+
+export function cleanInitials(text) {
+    return String(text).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, INITIALS_LENGTH);
+}
+
+export function loadLastInitials() {
+    try {
+        return cleanInitials(localStorage.getItem(INITIALS_KEY) || '');
+    } catch (e) {
+        return '';
+    }
+}
+
+export function saveLastInitials(initials) {
+    try {
+        localStorage.setItem(INITIALS_KEY, initials);
+    } catch (e) {
+        // Ignore
+    }
+}
@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+
+// Many copies of one geometry and material drawn as a single InstancedMesh:
+// one draw call however many hoops or walls are out on the course. Each copy
+// holds a slot with its own transform and, optionally, colour. Freed slots are
+// hidden and handed out again; when every slot is taken the batch doubles.
+
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+const _color = new THREE.Color();
+
+export class InstancedBatch {
+    // parent: where the InstancedMesh goes (usually the scene)
+    constructor(parent, geometry, material, capacity = 16) {
+        this.parent = parent;
+        this.free = [];
+        this.used = 0; // Slots handed out at least once; the rest are beyond mesh.count
+        this.mesh = this.createMesh(geometry, material, capacity);
+        parent.add(this.mesh);
+    }
+
+    createMesh(geometry, material, capacity) {
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+        mesh.frustumCulled = false; // Instances are spread along the course; its bounds would always be in view
+        return mesh;
+    }
+
+    // A free slot; set its matrix before the next render
+    add() {
+        if (this.free.length > 0) return this.free.pop();
+        if (this.used === this.mesh.instanceMatrix.count) this.grow();
+        this.mesh.count = ++this.used;
+        return this.used - 1;
+    }
+
+    remove(slot) {
+        this.setMatrix(slot, HIDDEN);
+        this.free.push(slot);
+    }
+
+    // Everything hidden and free again, e.g. when the course restarts
+    clear() {
+        this.free = [];
+        this.used = 0;
+        this.mesh.count = 0;
+    }
+
+    setMatrix(slot, matrix) {
+        this.mesh.setMatrixAt(slot, matrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    setColor(slot, color) {
+        this.mesh.setColorAt(slot, color);
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    grow() {
+        const old = this.mesh;
+        const mesh = this.createMesh(old.geometry, old.material, old.instanceMatrix.count * 2);
+        mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+        if (old.instanceColor) {
+            mesh.setColorAt(0, _color.fromArray(old.instanceColor.array)); // Creates the attribute
+            mesh.instanceColor.array.set(old.instanceColor.array);
+        }
+        this.parent.remove(old);
+        old.dispose();
+        this.parent.add(mesh);
+        this.mesh = mesh;
+    }
+
+    dispose() {
+        this.parent.remove(this.mesh);
+        this.mesh.dispose();
+    }
+}
+
+// Makes an instanced material glow in each instance's own colour: instance
+// colours normally only tint the lit surface, not the emissive.
+export function tintEmissive(material) {
+    material.onBeforeCompile = (shader) => {
+        shader.fragmentShader = shader.fragmentShader.replace(
+            '#include <emissivemap_fragment>',
+            '#include <emissivemap_fragment>\n#ifdef USE_COLOR\n\ttotalEmissiveRadiance *= vColor.rgb;\n#endif'
+        );
+    };
+    return material;
+}
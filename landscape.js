@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+
+// Draws the terrain from terrain.js as square ground tiles streamed around the
+// camera: tiles are built ahead as the eagle flies and tiles left behind are
+// recycled, so the world never runs out. Purely visual; the simulation asks
+// the terrain itself for heights.
+
+const T = CONFIG.TERRAIN;
+const VERTS = T.CHUNK_SEGMENTS + 1; // Per side
+const STEP = T.CHUNK_SIZE / T.CHUNK_SEGMENTS;
+const MAX_TREES_PER_CHUNK = Math.ceil((T.CHUNK_SIZE / T.TREE_CELL + 1) ** 2);
+
+const COLORS = {
+    grass: new THREE.Color(0x3A8F3A),
+    meadow: new THREE.Color(0x6FA84A), // Higher ground
+    sand: new THREE.Color(0xC8B476), // River banks
+    rock: new THREE.Color(0x7A7268), // Cliffs and steep slopes
+};
+const STEEP = 0.75; // Normals pointing less upwards than this are bare rock
+
+const treeGeometries = {
+    trunk: new THREE.CylinderGeometry(0.4, 0.6, 1, 6).translate(0, 0.5, 0), // Unit height, scaled per tree
+    canopy: new THREE.ConeGeometry(1, 1, 7).translate(0, 0.5, 0),
+};
+const treeMaterials = {
+    trunk: new THREE.MeshLambertMaterial({ color: 0x5D4037 }),
+    canopy: new THREE.MeshLambertMaterial({ color: 0x1F5F2A }),
+};
+const TRUNK_SHARE = 0.3; // Of the tree's height below the canopy
+
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _color = new THREE.Color();
+const _identity = new THREE.Quaternion();
+
+export class Landscape {
+    constructor(scene) {
+        this.scene = scene;
+        this.terrain = null;
+        this.chunks = new Map(); // "column,row" -> chunk in use
+        this.pool = []; // Chunks waiting to be reused
+        this.material = new THREE.MeshLambertMaterial({ vertexColors: true });
+        this.heights = new Float32Array((VERTS + 2) * (VERTS + 2)); // Scratch, with a border for normals
+        this.trees = []; // Scratch
+
+        // One sheet of water follows the camera; it shows wherever the ground dips below it
+        this.water = new THREE.Mesh(
+            new THREE.PlaneGeometry(T.CHUNK_SIZE * T.CHUNK_COLUMNS, T.CHUNK_SIZE * (T.CHUNKS_AHEAD + T.CHUNKS_BEHIND + 1)),
+            new THREE.MeshPhongMaterial({ color: 0x3A7BC8, transparent: true, opacity: 0.8, shininess: 80 })
+        );
+        this.water.rotation.x = -Math.PI / 2;
+        this.water.position.y = T.WATER_LEVEL;
+        scene.add(this.water);
+    }
+
+    // Rebuilds every tile when the terrain changes (a new seed or course)
+    setTerrain(terrain) {
+        if (this.terrain && terrain.seed === this.terrain.seed && terrain.flatHalfWidth === this.terrain.flatHalfWidth) return;
+        this.terrain = terrain;
+        this.chunks.forEach(chunk => this.release(chunk));
+        this.chunks.clear();
+    }
+
+    // Keeps tiles from CHUNKS_AHEAD in front of nearZ to CHUNKS_BEHIND behind farZ.
+    // The course runs towards negative z, so "in front" is smaller z.
+    update(nearZ, farZ = nearZ) {
+        if (!this.terrain) return;
+        const size = T.CHUNK_SIZE;
+        const firstRow = Math.floor(Math.min(nearZ, farZ) / size) - T.CHUNKS_AHEAD;
+        const lastRow = Math.floor(Math.max(nearZ, farZ) / size) + T.CHUNKS_BEHIND;
+        const firstColumn = -Math.floor(T.CHUNK_COLUMNS / 2);
+
+        this.chunks.forEach((chunk, key) => {
+            if (chunk.row < firstRow || chunk.row > lastRow) {
+                this.release(chunk);
+                this.chunks.delete(key);
+            }
+        });
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column < firstColumn + T.CHUNK_COLUMNS; column++) {
+                const key = `${column},${row}`;
+                if (!this.chunks.has(key)) this.chunks.set(key, this.build(column, row));
+            }
+        }
+
+        this.water.position.z = (firstRow + lastRow + 1) / 2 * size;
+    }
+
+    release(chunk) {
+        chunk.group.visible = false;
+        this.pool.push(chunk);
+    }
+
+    // Fills a pooled (or new) tile with the ground for this column and row
+    build(column, row) {
+        const chunk = this.pool.pop() || this.createChunk();
+        chunk.column = column;
+        chunk.row = row;
+        const size = T.CHUNK_SIZE;
+        const originX = (column + 0.5) * size; // Tile centre
+        const originZ = (row + 0.5) * size;
+        chunk.group.position.set(originX, 0, originZ);
+        chunk.group.visible = true;
+
+        // Heights on the tile's grid plus a one-vertex border, so normals
+        // match across tile edges
+        const heights = this.heights;
+        const stride = VERTS + 2;
+        const left = originX - size / 2;
+        const top = originZ - size / 2;
+        for (let j = -1; j <= VERTS; j++) {
+            for (let i = -1; i <= VERTS; i++) {
+                heights[(j + 1) * stride + (i + 1)] = this.terrain.heightAt(left + i * STEP, top + j * STEP);
+            }
+        }
+
+        const position = chunk.ground.geometry.attributes.position;
+        const normal = chunk.ground.geometry.attributes.normal;
+        const color = chunk.ground.geometry.attributes.color;
+        for (let j = 0; j < VERTS; j++) {
+            for (let i = 0; i < VERTS; i++) {
+                const index = j * VERTS + i;
+                const at = (j + 1) * stride + (i + 1);
+                const h = heights[at];
+                position.setY(index, h);
+
+                _normal.set(heights[at - 1] - heights[at + 1], 2 * STEP, heights[at - stride] - heights[at + stride]).normalize();
+                normal.setXYZ(index, _normal.x, _normal.y, _normal.z);
+
+                groundColor(h, _normal.y);
+                color.setXYZ(index, _color.r, _color.g, _color.b);
+            }
+        }
+        position.needsUpdate = true;
+        normal.needsUpdate = true;
+        color.needsUpdate = true;
+        chunk.ground.geometry.computeBoundingSphere();
+
+        this.placeTrees(chunk, left, top);
+        return chunk;
+    }
+
+    placeTrees(chunk, left, top) {
+        this.trees.length = 0;
+        const size = T.CHUNK_SIZE;
+        this.terrain.treesIn(left, left + size, top, top + size, this.trees);
+        let count = 0;
+        for (const tree of this.trees) {
+            // Each tree belongs to the tile it stands in, so none is drawn twice
+            if (tree.x < left || tree.x >= left + size || tree.z < top || tree.z >= top + size) continue;
+            const x = tree.x - chunk.group.position.x;
+            const z = tree.z - chunk.group.position.z;
+            const trunkHeight = tree.height * TRUNK_SHARE;
+
+            _matrix.compose(_position.set(x, tree.y - 0.5, z), _identity, _scale.set(1, trunkHeight + 0.5, 1));
+            chunk.trunks.setMatrixAt(count, _matrix);
+            _matrix.compose(_position.set(x, tree.y + trunkHeight, z), _identity,
+                _scale.set(tree.radius, tree.height - trunkHeight, tree.radius));
+            chunk.canopies.setMatrixAt(count, _matrix);
+            count++;
+        }
+        chunk.trunks.count = count;
+        chunk.canopies.count = count;
+        chunk.trunks.instanceMatrix.needsUpdate = true;
+        chunk.canopies.instanceMatrix.needsUpdate = true;
+        chunk.trunks.computeBoundingSphere();
+        chunk.canopies.computeBoundingSphere();
+    }
+
+    createChunk() {
+        const geometry = new THREE.PlaneGeometry(T.CHUNK_SIZE, T.CHUNK_SIZE, T.CHUNK_SEGMENTS, T.CHUNK_SEGMENTS);
+        geometry.rotateX(-Math.PI / 2); // Rows now run along +z, matching the height grid
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(VERTS * VERTS * 3), 3));
+
+        const group = new THREE.Group();
+        const ground = new THREE.Mesh(geometry, this.material);
+        const trunks = new THREE.InstancedMesh(treeGeometries.trunk, treeMaterials.trunk, MAX_TREES_PER_CHUNK);
+        const canopies = new THREE.InstancedMesh(treeGeometries.canopy, treeMaterials.canopy, MAX_TREES_PER_CHUNK);
+        group.add(ground, trunks, canopies);
+        this.scene.add(group);
+        return { group, ground, trunks, canopies, column: 0, row: 0 };
+    }
+}
+
+// Sets _color for ground at height h whose normal points up by normalY
+function groundColor(h, normalY) {
+    if (normalY < STEEP || h > T.TREE_LINE) {
+        _color.copy(COLORS.rock);
+    } else if (h < T.WATER_LEVEL + 1) {
+        _color.copy(COLORS.sand);
+    } else {
+        _color.copy(COLORS.grass).lerp(COLORS.meadow, Math.min(1, Math.max(0, h / T.HILL_HEIGHT)));
+    }
+}
@@ -0,0 +1,317 @@
+import { createRng } from './random.js';
+
+// Procedural soundtrack. The music is written a bar at a time from a seeded
+// random sequence, so a course always gets the same tune:
+// - A key (root and major/minor scale) and a four-bar chord progression per phrase.
+// - Stems that each play their own part over the chords: a pad, a bassline,
+//   drums, a lead melody built from bar-long motifs, and a driving arpeggio.
+// - Intensity (0 calm, 1 frantic) sets the tempo and fades stems in and out;
+//   high intensity also turns phrases minor.
+// Tempo and pitch changes wait for the next beat and key changes for the next
+// bar, so the rhythm never stumbles.
+//
+// Times are AudioContext seconds. Pitches are MIDI note numbers.
+
+const STEPS_PER_BEAT = 4; // 16th notes
+const STEPS_PER_BAR = 16;
+const BARS_PER_PHRASE = 4;
+const LOOKAHEAD = 0.1; // Seconds of music scheduled ahead of the clock
+const SCHEDULE_INTERVAL = 25; // ms between scheduling passes
+
+const BASE_NOTE = 48; // C3
+const KEY_ROOTS = [0, 2, 3, 5, 7, 9]; // Semitones above BASE_NOTE a run can start in
+const KEY_CHANGES = [2, 5]; // Up a tone or a fourth
+const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+};
+const DRAMATIC_INTENSITY = 0.6; // Phrases starting at or above this are minor
+
+// Chords per bar as scale degrees (0 is the tonic)
+const PROGRESSIONS = {
+    major: [[0, 5, 3, 4], [0, 3, 4, 3], [5, 3, 0, 4], [0, 4, 5, 3]],
+    minor: [[0, 5, 2, 6], [0, 3, 4, 0], [0, 6, 5, 4], [5, 6, 0, 4]],
+};
+
+// Lead motifs, one bar each: scale steps above the chord root per 16th, null for a rest
+const MOTIFS = [
+    [0, null, null, null, 2, null, 4, null, 7, null, null, null, 4, null, 2, null],
+    [4, null, 2, null, 0, null, null, null, 2, null, 4, null, 5, null, 4, null],
+    [7, null, null, 6, 4, null, null, null, 2, null, 4, null, 0, null, null, null],
+    [0, null, 2, null, 4, null, 2, null, 0, null, null, null, null, null, -1, null],
+    [4, null, null, null, 4, null, 5, null, 4, null, 2, null, 0, null, null, null],
+    [2, null, 0, null, 2, null, 4, null, 7, null, null, null, null, null, null, null],
+];
+
+// Bass: scale steps above the chord root per 16th
+const BASS_PATTERNS = {
+    calm: [0, null, null, null, null, null, null, null, 0, null, null, null, 4, null, null, null],
+    driving: [0, null, 0, null, 7, null, 0, null, 0, null, 0, null, 4, null, 7, null],
+};
+
+// Drums: x marks a hit
+const DRUM_PATTERNS = {
+    calm: { kick: 'x.......x.......', snare: '....x.......x...', hat: '..x...x...x...x.' },
+    driving: { kick: 'x.....x.x..x....', snare: '....x.......x..x', hat: 'x.x.x.x.x.x.x.x.' },
+};
+
+// Each stem fades in as intensity goes from the first value to the second
+const STEMS = {
+    pad: [-1, 0], // Always on
+    bass: [0.1, 0.3],
+    drums: [0.25, 0.45],
+    lead: [0.4, 0.6],
+    drive: [0.7, 0.9],
+};
+const STEM_FADE = 0.5; // Time constant of a stem fade, in seconds
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+export class MusicEngine {
+    constructor() {
+        this.ctx = null;
+        this.output = null;
+        this.stems = {}; // Stem -> GainNode, created in connect()
+        this.noise = null; // Shared white noise buffer for the drums
+        this.timer = null;
+        this.nextStepTime = 0;
+
+        this.intensity = 0;
+        this.tempo = 100;
+        this.targetTempo = 100; // Applied on the next beat
+        this.pitch = 1; // Playback rate: below 1 slows and deepens the music (slow-mo)
+        this.targetPitch = 1;
+        this.levels = {}; // Stem -> 0..1 for the current intensity
+        this.setSeed(0);
+        this.setIntensity(0);
+    }
+
+    // output: the node the music plays into (the mixer's music bus)
+    connect(ctx, output) {
+        this.ctx = ctx;
+        this.output = output;
+        Object.keys(STEMS).forEach(stem => {
+            this.stems[stem] = ctx.createGain();
+            this.stems[stem].gain.value = this.levels[stem];
+            this.stems[stem].connect(output);
+        });
+        this.noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = this.noise.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+
+    // Starts the tune over for a course
+    setSeed(seed) {
+        this.random = createRng(seed);
+        this.keyRoot = KEY_ROOTS[Math.floor(this.random() * KEY_ROOTS.length)];
+        this.pendingKeyChange = 0;
+        this.step = 0;
+        this.bar = 0; // Within the phrase
+        this.scale = SCALES.major;
+        this.progression = PROGRESSIONS.major[0];
+        this.phraseMotifs = [MOTIFS[0], MOTIFS[1], MOTIFS[0], MOTIFS[2]];
+        this.chord = 0;
+        this.motif = MOTIFS[0];
+    }
+
+    setIntensity(level) {
+        this.intensity = Math.max(0, Math.min(1, level));
+        this.targetTempo = 100 + this.intensity * 60;
+        Object.entries(STEMS).forEach(([stem, [from, to]]) => {
+            this.levels[stem] = smoothstep(from, to, this.intensity);
+            if (this.ctx && this.timer !== null) this.stems[stem].gain.setTargetAtTime(this.levels[stem], this.ctx.currentTime, STEM_FADE);
+        });
+    }
+
+    // Like slowing down a tape: tempo and pitch drop together, from the next beat
+    setPitch(rate) {
+        this.targetPitch = rate;
+    }
+
+    // Modulates at the start of the next bar
+    changeKey() {
+        this.pendingKeyChange += KEY_CHANGES[Math.floor(this.random() * KEY_CHANGES.length)];
+    }
+
+    start() {
+        if (!this.ctx) return;
+        this.stop();
+        const time = this.ctx.currentTime;
+        Object.entries(this.stems).forEach(([stem, node]) => {
+            node.gain.cancelScheduledValues(time);
+            node.gain.setTargetAtTime(this.levels[stem], time, 0.05);
+        });
+        this.nextStepTime = time + 0.05;
+        this.schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule() {
+        while (this.nextStepTime < this.ctx.currentTime + LOOKAHEAD) {
+            this.playStep(this.nextStepTime);
+            this.nextStepTime += 60 / (this.tempo * this.pitch) / STEPS_PER_BEAT;
+            this.step++;
+        }
+        this.timer = setTimeout(() => this.schedule(), SCHEDULE_INTERVAL);
+    }
+
+    playStep(time) {
+        if (this.step % STEPS_PER_BEAT === 0) {
+            this.tempo = this.targetTempo;
+            this.pitch = this.targetPitch;
+        }
+        const stepInBar = this.step % STEPS_PER_BAR;
+        if (stepInBar === 0) this.startBar(time);
+
+        const driving = this.intensity >= DRAMATIC_INTENSITY;
+        if (this.isAudible('drums')) this.playDrums(time, stepInBar, DRUM_PATTERNS[driving ? 'driving' : 'calm']);
+        if (this.isAudible('bass')) {
+            const offset = BASS_PATTERNS[driving ? 'driving' : 'calm'][stepInBar];
+            if (offset !== null) this.tone(time, this.note(this.chord + offset, -1), this.stepLength() * 2, 'triangle', 0.25, this.stems.bass);
+        }
+        if (this.isAudible('lead')) {
+            const offset = this.motif[stepInBar];
+            if (offset !== null) this.tone(time, this.note(this.chord + offset, 1), this.stepLength() * 3, 'square', 0.06, this.stems.lead);
+        }
+        if (this.isAudible('drive')) {
+            // Up and down the chord in 16ths
+            const arpeggio = [0, 2, 4, 7, 4, 2];
+            this.tone(time, this.note(this.chord + arpeggio[this.step % arpeggio.length], 1), this.stepLength(), 'sawtooth', 0.05, this.stems.drive);
+        }
+    }
+
+    startBar(time) {
+        if (this.pendingKeyChange) {
+            // Into the new key on its tonic, folded back to within an octave of the base
+            this.keyRoot = (this.keyRoot + this.pendingKeyChange) % 12;
+            this.pendingKeyChange = 0;
+            this.bar = 0;
+        }
+        if (this.bar % BARS_PER_PHRASE === 0) this.startPhrase();
+        this.chord = this.progression[this.bar];
+        this.motif = this.phraseMotifs[this.bar];
+        this.bar = (this.bar + 1) % BARS_PER_PHRASE;
+
+        if (this.isAudible('pad')) {
+            const length = this.stepLength() * STEPS_PER_BAR;
+            [0, 2, 4].forEach(third => this.tone(time, this.note(this.chord + third, 0), length, 'triangle', 0.08, this.stems.pad, 0.3));
+        }
+    }
+
+    // A phrase is four bars on one progression, its motifs in an A B A C shape
+    startPhrase() {
+        const mode = this.intensity >= DRAMATIC_INTENSITY ? 'minor' : 'major';
+        this.scale = SCALES[mode];
+        const progressions = PROGRESSIONS[mode];
+        this.progression = progressions[Math.floor(this.random() * progressions.length)];
+        const pick = () => MOTIFS[Math.floor(this.random() * MOTIFS.length)];
+        const a = pick();
+        this.phraseMotifs = [a, pick(), a, pick()];
+    }
+
+    // A scale degree (any integer, 7 per octave) in the current key, octaves above the base
+    note(degree, octave) {
+        const size = this.scale.length;
+        const wrapped = ((degree % size) + size) % size;
+        return BASE_NOTE + this.keyRoot + 12 * (octave + Math.floor(degree / size)) + this.scale[wrapped];
+    }
+
+    stepLength() {
+        return 60 / (this.tempo * this.pitch) / STEPS_PER_BEAT;
+    }
+
+    // Worth scheduling notes for: on, or still fading out
+    isAudible(stem) {
+        return this.levels[stem] > 0 || this.stems[stem].gain.value > 0.001;
+    }
+
+    tone(time, note, duration, type, volume, destination, attack = 0.01) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(midiToFrequency(note) * this.pitch, time);
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + attack);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + Math.max(duration, attack + 0.01));
+        osc.connect(gain);
+        gain.connect(destination);
+        osc.start(time);
+        osc.stop(time + duration + 0.05);
+    }
+
+    playDrums(time, stepInBar, pattern) {
+        const out = this.stems.drums;
+        if (pattern.kick[stepInBar] === 'x') {
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            osc.frequency.setValueAtTime(150 * this.pitch, time);
+            osc.frequency.exponentialRampToValueAtTime(40 * this.pitch, time + 0.3);
+            gain.gain.setValueAtTime(0.8, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.4);
+            osc.connect(gain);
+            gain.connect(out);
+            osc.start(time);
+            osc.stop(time + 0.4);
+        }
+        if (pattern.snare[stepInBar] === 'x') this.noiseHit(time, 0.15, 1200, 0.3, out);
+        if (pattern.hat[stepInBar] === 'x' || (this.intensity > 0.9 && stepInBar % 2 === 1)) {
+            this.noiseHit(time, 0.04, 7000, 0.12, out);
+        }
+    }
+
+    noiseHit(time, duration, highpass, volume, destination) {
+        const source = this.ctx.createBufferSource();
+        source.buffer = this.noise;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = highpass;
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(destination);
+        source.start(time, Math.random() * 0.5);
+        source.stop(time + duration);
+    }
+
+    // Stops the loop and plays a short falling phrase in the current key
+    playGameOverSting() {
+        if (!this.ctx) return;
+        this.stop();
+        const time = this.ctx.currentTime;
+        Object.values(this.stems).forEach(node => {
+            node.gain.cancelScheduledValues(time);
+            node.gain.setTargetAtTime(0, time, 0.1);
+        });
+
+        const root = BASE_NOTE + this.keyRoot + 12;
+        this.pitch = 1; // Never slowed by slow-mo
+        // Down the minor triad, landing on a held minor chord over a sagging drone
+        [19, 15, 12].forEach((offset, i) => this.tone(time + i * 0.15, root + offset, 0.3, 'square', 0.08, this.output));
+        const chordTime = time + 0.45;
+        [0, 3, 7].forEach(offset => this.tone(chordTime, root + offset, 2.5, 'sawtooth', 0.05, this.output, 0.02));
+        const drone = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        drone.type = 'sawtooth';
+        drone.frequency.setValueAtTime(midiToFrequency(root - 24), chordTime);
+        drone.frequency.linearRampToValueAtTime(midiToFrequency(root - 26), chordTime + 3);
+        gain.gain.setValueAtTime(0.3, chordTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, chordTime + 3);
+        drone.connect(gain);
+        gain.connect(this.output);
+        drone.start(chordTime);
+        drone.stop(chordTime + 3);
+    }
+}
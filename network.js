@@ -0,0 +1,92 @@
+import { PROTOCOL_VERSION, encodeMessage, decodeMessage } from './protocol.js';
+
+// Browser side of online races: a WebSocket to the race server (server/server.js).
+// Server messages are emitted as events named after their type ('lobby',
+// 'start', 'state', 'out', 'results', 'error'), plus 'open' and 'close'.
+// See protocol.js for what each one carries.
+export class RaceConnection {
+    constructor() {
+        this.listeners = {};
+        this.socket = null;
+        this.lobby = null; // Latest 'lobby' message while in one
+    }
+
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+        return this;
+    }
+
+    emit(type, data) {
+        const fns = this.listeners[type];
+        if (fns) fns.forEach(fn => fn(data));
+    }
+
+    get connected() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    get isHost() {
+        return this.lobby !== null && this.lobby.host === this.lobby.you;
+    }
+
+    // 'close' reports { wasOpen } so a refused connection can be told apart from a dropped one
+    connect(url) {
+        this.disconnect();
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (e) {
+            // Malformed URL; report it the same way as a refused connection
+            setTimeout(() => this.emit('close', { wasOpen: false }));
+            return;
+        }
+        this.socket = socket;
+        let wasOpen = false;
+
+        socket.addEventListener('open', () => {
+            wasOpen = true;
+            this.emit('open');
+        });
+        socket.addEventListener('message', (e) => {
+            const message = decodeMessage(e.data);
+            if (!message) return;
+            if (message.type === 'lobby') this.lobby = message;
+            this.emit(message.type, message);
+        });
+        // Browsers follow an error with a close, but not every WebSocket implementation does
+        const closed = () => {
+            if (this.socket !== socket) return; // Replaced, disconnected or already reported
+            this.socket = null;
+            this.lobby = null;
+            this.emit('close', { wasOpen });
+        };
+        socket.addEventListener('error', closed);
+        socket.addEventListener('close', closed);
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        this.lobby = null;
+        socket.close();
+    }
+
+    send(type, data = {}) {
+        if (this.connected) this.socket.send(encodeMessage(type, data));
+    }
+
+    // weather: a choice from weather.js; everyone in the lobby races in it
+    createLobby(name, rules, weather) {
+        this.send('create', { version: PROTOCOL_VERSION, name, rules, weather });
+    }
+
+    joinLobby(name, code) {
+        this.send('join', { version: PROTOCOL_VERSION, name, code });
+    }
+
+    leaveLobby() {
+        this.send('leave');
+        this.lobby = null;
+    }
+}
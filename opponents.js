@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+import { createEagle, EAGLE_COLORS } from './eagle.js';
+import { STATUS, pickStats } from './protocol.js';
+
+// The other racers in an online race, drawn from the updates the server relays.
+// Updates arrive a few times a second, so each eagle is shown slightly in the
+// past (CONFIG.NETWORK.INTERPOLATION_DELAY), blended between the updates either
+// side of that moment; network jitter then doesn't make them stutter.
+// Times are in seconds on the performance.now() clock.
+
+const WING_FLAP_RATE = 15; // Same flap as the simulation gives the local eagle
+const WING_FLAP_ANGLE = 0.4;
+
+export class Opponents {
+    constructor(scene) {
+        this.scene = scene;
+        this.racers = new Map(); // id -> racer
+    }
+
+    // players: [{ id, name }] as the 'start' message lists them; the local player is skipped.
+    // Colours follow lobby order, so every browser paints a racer the same way. The
+    // first colour is left out: it's the local eagle's.
+    reset(players, selfId) {
+        this.clear();
+        players.forEach(({ id, name }, i) => {
+            if (id === selfId) return;
+            const colorIndex = 1 + i % (EAGLE_COLORS.length - 1);
+            const eagle = createEagle(EAGLE_COLORS[colorIndex]);
+            eagle.visible = false; // Until its first update
+            this.scene.add(eagle);
+            this.racers.set(id, {
+                id,
+                name,
+                colorIndex,
+                eagle,
+                snapshots: [], // { time, position, quaternion }, oldest first
+                lastUpdate: null,
+                status: STATUS.RACING,
+                reason: null,
+                stats: pickStats({}),
+            });
+        });
+    }
+
+    // A relayed 'state' message
+    receive(message, now) {
+        const racer = this.racers.get(message.id);
+        if (!racer || racer.status !== STATUS.RACING) return;
+        racer.snapshots.push({
+            time: now,
+            position: new THREE.Vector3(message.x, message.y, message.z),
+            quaternion: new THREE.Quaternion(message.qx, message.qy, message.qz, message.qw).normalize(),
+        });
+        racer.stats = pickStats(message);
+        racer.lastUpdate = now;
+    }
+
+    // A relayed 'out' message. Returns the racer so the caller can mark the spot.
+    markOut(message) {
+        const racer = this.racers.get(message.id);
+        if (!racer) return null;
+        racer.status = STATUS.OUT;
+        racer.reason = message.reason;
+        racer.stats = pickStats(message);
+        if (message.reason !== 'finish') racer.eagle.visible = false;
+        return racer;
+    }
+
+    // Disconnected during the race
+    markLeft(id) {
+        const racer = this.racers.get(id);
+        if (!racer || racer.status === STATUS.LEFT) return;
+        racer.status = STATUS.LEFT;
+        this.scene.remove(racer.eagle);
+    }
+
+    // No update for a while: shown as lagging in the standings
+    isLagging(racer, now) {
+        return racer.status === STATUS.RACING && racer.lastUpdate !== null &&
+            now - racer.lastUpdate > CONFIG.NETWORK.STALE_TIMEOUT;
+    }
+
+    update(now) {
+        const renderTime = now - CONFIG.NETWORK.INTERPOLATION_DELAY;
+        this.racers.forEach(racer => {
+            const snapshots = racer.snapshots;
+            if (racer.status !== STATUS.RACING || snapshots.length === 0) return;
+
+            // Keep the last snapshot at or before renderTime and everything after it
+            while (snapshots.length > 2 && snapshots[1].time <= renderTime) snapshots.shift();
+
+            const eagle = racer.eagle;
+            const [a, b] = snapshots;
+            if (!b || renderTime <= a.time) {
+                eagle.position.copy(a.position);
+                eagle.quaternion.copy(a.quaternion);
+            } else if (renderTime >= b.time) { // Nothing newer yet: hold the latest
+                eagle.position.copy(b.position);
+                eagle.quaternion.copy(b.quaternion);
+            } else {
+                const t = (renderTime - a.time) / (b.time - a.time);
+                eagle.position.lerpVectors(a.position, b.position, t);
+                eagle.quaternion.slerpQuaternions(a.quaternion, b.quaternion, t);
+            }
+            eagle.visible = true;
+
+            const wingBop = Math.sin(now * WING_FLAP_RATE) * WING_FLAP_ANGLE;
+            eagle.userData.leftWing.rotation.z = wingBop;
+            eagle.userData.rightWing.rotation.z = -wingBop;
+        });
+    }
+
+    clear() {
+        this.racers.forEach(racer => this.scene.remove(racer.eagle));
+        this.racers.clear();
+    }
+}
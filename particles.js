@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+import { Pool } from './pool.js';
+import { InstancedBatch } from './instancing.js';
+
+// Particle effects. An emitter sends out particles from one of PRESETS, in
+// bursts (a passed hoop's sparkles, a crash's feathers) or steadily while its
+// strength is above 0 (wing trails, speed lines). Particles fly under gravity
+// and drag, and their colour and size follow the preset's keyframes over
+// their life. Every emitter has a cap on its live particles, and the quality
+// setting (CONFIG.QUALITY_LEVELS) scales the caps and how many are sent out.
+//
+// Particles are recycled through a pool, and each look is drawn as one
+// InstancedMesh. Purely visual: nothing here feeds back into the simulation.
+
+// look: 'glow' (additive soft dot facing the camera), 'feather' (tumbling card) or
+//   'streak' (additive line along its velocity, `stretch` seconds of travel long)
+// max: live particles per emitter at full quality. count: per burst. rate: per second at full strength.
+// life, speed, radius: [min, max]. shape: where particles start around the emitter:
+//   'point'; 'sphere' within radius; 'ring' of radius around the emitter's z axis.
+// Particles head outward from where they start, or along `direction` in the emitter's frame.
+// inherit: share of the emitter's velocity they keep. gravity: units/s² down.
+// drag: share of velocity lost per second. colors, sizes: keyframes spread evenly over life.
+const PRESETS = {
+    // Wingtip vapour while boosting
+    trail: {
+        look: 'glow', max: 240, rate: 90, life: [0.35, 0.5], shape: 'point', speed: [0, 1],
+        inherit: 0, gravity: 0, drag: 0,
+        colors: [0xCCF4FF, 0x4FA8FF, 0x000000], sizes: [0.7, 0.45, 0.1],
+    },
+    // Thrown off the rim of a passed hoop
+    sparkle: {
+        look: 'glow', max: 160, count: 48, life: [0.5, 1.1], shape: 'ring', radius: [8, 8], speed: [2, 7],
+        inherit: 0, gravity: 4, drag: 1.5,
+        colors: [0xFFFFFF, 0xFFE066, 0xFF9900, 0x000000], sizes: [0.9, 0.7, 0.3],
+    },
+    // The flash of a crash
+    embers: {
+        look: 'glow', max: 120, count: 30, life: [0.6, 1.4], shape: 'point', speed: [8, 18],
+        inherit: 0, gravity: 10, drag: 1,
+        colors: [0xFFFFAA, 0xFF7A1A, 0xFF4500, 0x000000], sizes: [1.6, 1, 0.4],
+    },
+    // Knocked out in a crash and drifting down; tinted the eagle's colour
+    feathers: {
+        look: 'feather', max: 60, count: 14, life: [2, 3], shape: 'sphere', radius: [0, 1], speed: [4, 10],
+        inherit: 0, gravity: 6, drag: 1.8,
+        colors: [0xFFFFFF, 0xFFFFFF, 0xAAAAAA], sizes: [1, 1, 1, 0],
+    },
+    // Streaming past the edges of the view at speed
+    speedLines: {
+        look: 'streak', max: 80, rate: 70, life: [0.15, 0.3], shape: 'ring', radius: [11, 17], speed: [120, 170],
+        direction: new THREE.Vector3(0, 0, 1), stretch: 0.05, inherit: 0, gravity: 0, drag: 0,
+        colors: [0xFFFFFF, 0x999999, 0x000000], sizes: [0.06, 0.06],
+    },
+};
+
+// Preset name -> its colour keyframes as THREE.Colors
+const COLORS = Object.fromEntries(Object.entries(PRESETS).map(([name, preset]) =>
+    [name, preset.colors.map(hex => new THREE.Color(hex))]));
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+const MAX_GAP = 20; // Continuous emitters that jump further than this in a frame don't fill in the gap
+
+const _offset = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _color = new THREE.Color();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+
+function between([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+function randomUnit(out) {
+    const z = Math.random() * 2 - 1;
+    const angle = Math.random() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    return out.set(r * Math.cos(angle), r * Math.sin(angle), z);
+}
+
+// Value of evenly spread keyframes at t (0..1)
+function keyframe(values, t) {
+    const position = t * (values.length - 1);
+    const i = Math.min(Math.floor(position), values.length - 2);
+    return values[i] + (values[i + 1] - values[i]) * (position - i);
+}
+
+function colorKeyframe(colors, t, out) {
+    const position = t * (colors.length - 1);
+    const i = Math.min(Math.floor(position), colors.length - 2);
+    return out.copy(colors[i]).lerp(colors[i + 1], position - i);
+}
+
+// White in the middle fading to nothing at the edge, for the glow look
+function createGlowTexture(size = 32) {
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = (x + 0.5) / size * 2 - 1;
+            const dy = (y + 0.5) / size * 2 - 1;
+            const falloff = Math.max(0, 1 - Math.sqrt(dx * dx + dy * dy));
+            const value = Math.round(falloff * falloff * 255);
+            data.set([value, value, value, value], (y * size + x) * 4);
+        }
+    }
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Turns each instance of a flat card to face whichever camera is drawing it, so
+// glows look round in every view of a split screen. The instance matrix only
+// places and sizes the card; its rotation is ignored.
+function faceCamera(material) {
+    material.onBeforeCompile = (shader) => {
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <project_vertex>',
+            'vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);\n' +
+            'mvPosition.xy += transformed.xy * length(instanceMatrix[0].xyz);\n' +
+            'gl_Position = projectionMatrix * mvPosition;'
+        );
+    };
+    return material;
+}
+
+function createLooks() {
+    const additive = { transparent: true, depthWrite: false, blending: THREE.AdditiveBlending };
+    return {
+        glow: {
+            geometry: new THREE.PlaneGeometry(1, 1),
+            material: faceCamera(new THREE.MeshBasicMaterial({ ...additive, map: createGlowTexture() })),
+        },
+        feather: {
+            geometry: new THREE.PlaneGeometry(0.35, 1.2),
+            material: new THREE.MeshLambertMaterial({ side: THREE.DoubleSide }),
+        },
+        streak: {
+            geometry: new THREE.BoxGeometry(1, 1, 1),
+            material: new THREE.MeshBasicMaterial(additive),
+        },
+    };
+}
+
+// A source of one preset's particles, placed by whoever owns it
+class Emitter {
+    constructor(name) {
+        this.name = name;
+        this.preset = PRESETS[name];
+        this.position = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion(); // Frame for 'ring' and `direction`
+        this.velocity = new THREE.Vector3(); // For `inherit`
+        this.strength = 0; // Continuous emission: share of the preset's rate
+        this.live = 0;
+        this.carry = 0; // Fraction of a particle owed from earlier frames
+        this.previous = null; // Position last frame, to spread a frame's particles along the path
+    }
+}
+
+export class ParticleSystem {
+    constructor(scene, quality = CONFIG.QUALITY) {
+        this.looks = createLooks();
+        this.batches = {};
+        Object.entries(this.looks).forEach(([look, { geometry, material }]) => {
+            this.batches[look] = new InstancedBatch(scene, geometry, material, 64);
+        });
+        this.pool = new Pool('Particles', () => ({
+            emitter: null,
+            slot: -1,
+            position: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            tint: new THREE.Color(),
+            axis: new THREE.Vector3(), // Feathers tumble about this
+            age: 0,
+            life: 0,
+            spin: 0,
+            spinRate: 0,
+        }));
+        this.particles = [];
+        this.emitters = []; // Continuous ones, from createEmitter
+        this.bursts = {}; // Preset name -> the emitter its bursts come from
+        this.setQuality(quality);
+    }
+
+    // level: a key of CONFIG.QUALITY_LEVELS. Applies to particles sent out from now on.
+    setQuality(level) {
+        this.scale = (CONFIG.QUALITY_LEVELS[level] || CONFIG.QUALITY_LEVELS[CONFIG.QUALITY]).PARTICLES;
+    }
+
+    // A continuous emitter; set its position (and strength) each frame
+    createEmitter(name) {
+        const emitter = new Emitter(name);
+        this.emitters.push(emitter);
+        return emitter;
+    }
+
+    // Stops every continuous emitter; what's already out fades as usual
+    stopEmitters() {
+        this.emitters.forEach(emitter => emitter.strength = 0);
+    }
+
+    // A one-off burst of preset `name` at position.
+    // options: count (instead of the preset's), radius (for 'sphere' and 'ring' shapes),
+    // quaternion (the burst's frame), tint (multiplies the preset's colours)
+    burst(name, position, { count, radius, quaternion, tint } = {}) {
+        const emitter = this.bursts[name] || (this.bursts[name] = new Emitter(name));
+        emitter.position.copy(position);
+        if (quaternion) emitter.quaternion.copy(quaternion);
+        else emitter.quaternion.identity();
+        const total = Math.max(1, Math.round((count ?? emitter.preset.count) * this.scale));
+        for (let i = 0; i < total; i++) {
+            if (!this.emit(emitter, emitter.position, radius, tint)) break;
+        }
+    }
+
+    // One particle from emitter, starting around origin. False when the emitter is at its cap.
+    emit(emitter, origin, radius, tint) {
+        const preset = emitter.preset;
+        if (emitter.live >= Math.max(1, Math.round(preset.max * this.scale))) return false;
+
+        const particle = this.pool.acquire();
+        particle.emitter = emitter;
+        particle.slot = this.batches[preset.look].add();
+        particle.age = 0;
+        particle.life = between(preset.life);
+        particle.tint.set(tint ?? 0xFFFFFF);
+        particle.spin = Math.random() * Math.PI * 2;
+        particle.spinRate = (Math.random() - 0.5) * 8;
+        randomUnit(particle.axis);
+
+        // Where it starts, and which way it heads
+        const reach = radius ?? (preset.radius ? between(preset.radius) : 0);
+        if (preset.shape === 'ring') {
+            const angle = Math.random() * Math.PI * 2;
+            _offset.set(Math.cos(angle), Math.sin(angle), 0);
+            _direction.copy(_offset);
+            _offset.multiplyScalar(reach);
+        } else {
+            randomUnit(_direction);
+            _offset.copy(_direction).multiplyScalar(preset.shape === 'sphere' ? reach * Math.cbrt(Math.random()) : 0);
+        }
+        if (preset.direction) _direction.copy(preset.direction);
+        particle.position.copy(_offset.applyQuaternion(emitter.quaternion)).add(origin);
+        particle.velocity.copy(_direction.applyQuaternion(emitter.quaternion)).multiplyScalar(between(preset.speed))
+            .addScaledVector(emitter.velocity, preset.inherit);
+
+        emitter.live++;
+        this.particles.push(particle);
+        return true;
+    }
+
+    update(dt) {
+        this.emitters.forEach(emitter => this.emitContinuous(emitter, dt));
+
+        let kept = 0;
+        for (const particle of this.particles) {
+            particle.age += dt;
+            if (particle.age >= particle.life) {
+                this.release(particle);
+                continue;
+            }
+            const preset = particle.emitter.preset;
+            particle.velocity.y -= preset.gravity * dt;
+            particle.velocity.multiplyScalar(Math.max(0, 1 - preset.drag * dt));
+            particle.position.addScaledVector(particle.velocity, dt);
+            particle.spin += particle.spinRate * dt;
+            this.place(particle);
+            this.particles[kept++] = particle;
+        }
+        this.particles.length = kept;
+    }
+
+    // This frame's share of the rate, spread along the path the emitter moved
+    emitContinuous(emitter, dt) {
+        const previous = emitter.previous || (emitter.previous = emitter.position.clone());
+        if (previous.distanceTo(emitter.position) > MAX_GAP) previous.copy(emitter.position);
+        emitter.carry += emitter.preset.rate * this.scale * emitter.strength * dt;
+        const count = Math.floor(emitter.carry);
+        emitter.carry -= count;
+        for (let i = 1; i <= count; i++) {
+            const origin = _origin.copy(previous).lerp(emitter.position, i / count);
+            if (!this.emit(emitter, origin)) {
+                emitter.carry = 0;
+                break;
+            }
+        }
+        previous.copy(emitter.position);
+    }
+
+    // Writes a particle's colour and transform to its instance
+    place(particle) {
+        const preset = particle.emitter.preset;
+        const batch = this.batches[preset.look];
+        const t = particle.age / particle.life;
+        batch.setColor(particle.slot, colorKeyframe(COLORS[particle.emitter.name], t, _color).multiply(particle.tint));
+
+        const size = keyframe(preset.sizes, t);
+        if (preset.look === 'glow') {
+            _quaternion.identity(); // Faces the camera in the shader
+            _scale.setScalar(size);
+        } else if (preset.look === 'feather') {
+            _quaternion.setFromAxisAngle(particle.axis, particle.spin);
+            _scale.setScalar(size);
+        } else {
+            const speed = particle.velocity.length();
+            _quaternion.setFromUnitVectors(Z_AXIS, _direction.copy(particle.velocity).divideScalar(speed || 1));
+            _scale.set(size, size, Math.max(size, speed * preset.stretch));
+        }
+        batch.setMatrix(particle.slot, _matrix.compose(particle.position, _quaternion, _scale));
+    }
+
+    release(particle) {
+        particle.emitter.live--;
+        this.batches[particle.emitter.preset.look].remove(particle.slot);
+        this.pool.release(particle);
+    }
+
+    // Removes every particle, e.g. when a run restarts
+    clear() {
+        this.particles.forEach(particle => this.release(particle));
+        this.particles = [];
+        Object.values(this.batches).forEach(batch => batch.clear());
+        this.emitters.forEach(emitter => {
+            emitter.strength = 0;
+            emitter.carry = 0;
+            emitter.previous = null;
+        });
+    }
+
+    // For the debug counter
+    stats() {
+        return this.pool.stats();
+    }
+}
@@ -0,0 +1,31 @@
+// Recycles objects that are made and thrown away all the time (course objects,
+// particles), so long runs don't keep feeding the garbage collector.
+// create() makes a new one when the pool is empty; whoever acquires an item
+// resets whatever state it needs.
+
+export class Pool {
+    constructor(name, create) {
+        this.name = name;
+        this.create = create;
+        this.free = [];
+        this.allocated = 0; // Ever made
+        this.live = 0; // Acquired and not yet released
+    }
+
+    acquire() {
+        this.live++;
+        if (this.free.length > 0) return this.free.pop();
+        this.allocated++;
+        return this.create();
+    }
+
+    release(item) {
+        this.live--;
+        this.free.push(item);
+    }
+
+    // { name, live, pooled, allocated }, for the debug counter
+    stats() {
+        return { name: this.name, live: this.live, pooled: this.free.length, allocated: this.allocated };
+    }
+}
@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+
+// Floating score text in the world ("+25", "NEAR MISS"). Each popup is a
+// sprite with its own canvas texture that rises from where it was earned and
+// fades out. Purely visual; the simulation knows nothing about these.
+
+const LIFETIME = 1.2; // Seconds
+const RISE_SPEED = 6; // Units/s
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 64;
+const WORLD_HEIGHT = 2; // Sprite height in world units; width follows the canvas
+
+function createTextTexture(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 40px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.strokeText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+    ctx.fillStyle = color;
+    ctx.fillText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+export class ScorePopups {
+    constructor(scene) {
+        this.scene = scene;
+        this.popups = [];
+    }
+
+    // color is a CSS colour string
+    spawn(text, position, color = '#FFFFFF') {
+        const material = new THREE.SpriteMaterial({
+            map: createTextTexture(text, color),
+            transparent: true,
+            depthWrite: false,
+            depthTest: false, // Stay readable through the hoop they came from
+        });
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(WORLD_HEIGHT * CANVAS_WIDTH / CANVAS_HEIGHT, WORLD_HEIGHT, 1);
+        sprite.position.copy(position);
+        sprite.renderOrder = 10;
+        this.scene.add(sprite);
+        this.popups.push({ sprite, life: LIFETIME });
+    }
+
+    update(dt) {
+        for (let i = this.popups.length - 1; i >= 0; i--) {
+            const popup = this.popups[i];
+            popup.life -= dt;
+            if (popup.life <= 0) {
+                this.remove(popup);
+                this.popups.splice(i, 1);
+                continue;
+            }
+            popup.sprite.position.y += RISE_SPEED * dt;
+            popup.sprite.material.opacity = Math.min(1, popup.life / (LIFETIME / 2)); // Fade over the second half
+        }
+    }
+
+    clear() {
+        this.popups.forEach(popup => this.remove(popup));
+        this.popups = [];
+    }
+
+    remove(popup) {
+        this.scene.remove(popup.sprite);
+        popup.sprite.material.map.dispose();
+        popup.sprite.material.dispose();
+    }
+}
@@ -0,0 +1,57 @@
+import * as THREE from 'three';
+
+// Power-up pickups, floating beside hoops in endless runs. Flying through one
+// collects it:
+//   shield  absorbs the next crash, then flickers for a moment while the eagle gets clear
+//   magnet  widens the hoop opening and ignores rim clips
+//   slowmo  slows the simulation clock (and the music)
+//   life    takes back one miss
+// Durations and strengths are in CONFIG.POWERUPS; timers count real time, so
+// slow-mo doesn't make itself last longer.
+
+export const POWERUP_TYPES = {
+    shield: { label: 'Shield', color: 0x44AAFF },
+    magnet: { label: 'Magnet', color: 0xFF44AA },
+    slowmo: { label: 'Slow-Mo', color: 0xAA66FF },
+    life: { label: 'Extra Life', color: 0x44FF66 },
+};
+
+// Power-ups that stay active for a while, as opposed to taking effect at once
+export const TIMED_POWERUPS = ['shield', 'magnet', 'slowmo'];
+
+const pickupGeometry = new THREE.IcosahedronGeometry(1.5, 0);
+const pickupMaterials = {};
+Object.entries(POWERUP_TYPES).forEach(([kind, { color }]) => {
+    pickupMaterials[kind] = new THREE.MeshPhongMaterial({ color, emissive: color, emissiveIntensity: 0.6, flatShading: true });
+});
+
+export function createPickupMesh(kind) {
+    return new THREE.Mesh(pickupGeometry, pickupMaterials[kind]);
+}
+
+// Turns a pickup mesh into another kind, so pickups can be recycled
+export function setPickupKind(mesh, kind) {
+    mesh.material = pickupMaterials[kind];
+}
+
+// Spin and bob in place; baseY is where the pickup was placed
+export function animatePickup(mesh, baseY, time) {
+    mesh.rotation.y = time * 2;
+    mesh.rotation.x = time;
+    mesh.position.y = baseY + Math.sin(time * 3) * 0.5;
+}
+
+// The bubble shown around the eagle while the shield is up
+export function createShieldBubble() {
+    const material = new THREE.MeshPhongMaterial({
+        color: POWERUP_TYPES.shield.color,
+        emissive: POWERUP_TYPES.shield.color,
+        emissiveIntensity: 0.4,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false,
+    });
+    const bubble = new THREE.Mesh(new THREE.SphereGeometry(3, 16, 12), material);
+    bubble.visible = false;
+    return bubble;
+}
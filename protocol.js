@@ -0,0 +1,85 @@
+// Messages between the game and the race server (server/server.js). Each
+// message is a JSON object with a `type`; its other fields depend on the type.
+// Shared by the browser and Node, so nothing here may touch the DOM.
+//
+// Client -> server:
+//   create { version, name, rules, weather }   open a lobby and join it as host
+//   join   { version, name, code }      join a waiting lobby by its code
+//   start  {}                           host only: everyone in the lobby races a fresh seed
+//   state  { ...POSE, ...STATS }   CONFIG.NETWORK.SEND_RATE times a second while flying
+//   out    { reason, ...STATS }         this player's run is over
+//   leave  {}
+//
+// Server -> client:
+//   lobby   { code, you, host, rules, weather, racing, players: [{ id, name, status }] }   on every change
+//   start   { seed, rules, weather, players: [{ id, name }] }
+//   state   { id, ... }                 another racer's latest state, as they sent it
+//   out     { id, reason, ... }
+//   results { standings: [{ id, name, status, reason, ...STATS }] }   once every racer is out
+//   error   { message }
+
+export const PROTOCOL_VERSION = 2;
+export const DEFAULT_PORT = 8787;
+export const MAX_PLAYERS = 8;
+export const MAX_NAME_LENGTH = 12;
+
+// Where a racer's eagle is: position and orientation quaternion
+export const POSE = ['x', 'y', 'z', 'qx', 'qy', 'qz', 'qw'];
+
+// Progress every racer reports, used for the standings
+export const STATS = ['score', 'hoops', 'misses', 'distance', 'time'];
+
+// Status of a player in a lobby
+export const STATUS = {
+    WAITING: 'waiting', // In the lobby, not racing
+    RACING: 'racing',
+    OUT: 'out', // Run over, waiting for the others
+    LEFT: 'left', // Disconnected during the race
+};
+
+export function encodeMessage(type, data = {}) {
+    return JSON.stringify({ ...data, type });
+}
+
+// Returns null for anything that isn't a message object
+export function decodeMessage(text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') return null;
+    return message;
+}
+
+export function cleanName(name, fallback) {
+    const cleaned = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH) : '';
+    return cleaned || fallback;
+}
+
+// Copies the numeric STATS out of an untrusted message; anything missing is 0
+export function pickStats(message) {
+    const stats = {};
+    STATS.forEach(key => {
+        stats[key] = Number.isFinite(message[key]) ? message[key] : 0;
+    });
+    return stats;
+}
+
+// Best first. Time trials rank finishers by race time; otherwise points, then
+// distance. Players who left rank below everyone still in the race.
+export function rankStandings(entries, timeTrial = false) {
+    return entries.slice().sort((a, b) => {
+        const leftA = a.status === STATUS.LEFT;
+        const leftB = b.status === STATUS.LEFT;
+        if (leftA !== leftB) return leftA ? 1 : -1;
+        if (timeTrial) {
+            const finishedA = a.reason === 'finish';
+            const finishedB = b.reason === 'finish';
+            if (finishedA !== finishedB) return finishedA ? -1 : 1;
+            if (finishedA) return a.time - b.time;
+        }
+        return (b.score - a.score) || (b.distance - a.distance);
+    });
+}
@@ -0,0 +1,57 @@
+// Seedable pseudo-random numbers so a course can be reproduced exactly from its seed.
+
+const SEED_MAX = 0x100000000; // Seeds are unsigned 32-bit integers
+
+// mulberry32: small, fast and good enough for gameplay decisions
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a, used to turn arbitrary text into a seed
+export function hashString(str) {
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * SEED_MAX);
+}
+
+// Seeds are shown to players as short base-36 codes, e.g. "1Z4K9Q"
+export function formatSeed(seed) {
+    return (seed >>> 0).toString(36).toUpperCase();
+}
+
+// Accepts a code produced by formatSeed, or any other text (hashed).
+// Returns null for empty input so callers can fall back to a random seed.
+export function parseSeed(text) {
+    if (text === null || text === undefined) return null;
+    const trimmed = String(text).trim();
+    if (!trimmed) return null;
+
+    if (/^[0-9a-z]{1,7}$/i.test(trimmed)) {
+        const value = parseInt(trimmed, 36);
+        if (value < SEED_MAX) return value;
+    }
+    return hashString(trimmed.toLowerCase());
+}
+
+// Same seed for everyone on the same UTC day
+export function dailySeed(date = new Date()) {
+    return hashString(`daily-${dailyKey(date)}`);
+}
+
+export function dailyKey(date = new Date()) {
+    return date.toISOString().slice(0, 10); // YYYY-MM-DD
+}
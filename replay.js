@@ -0,0 +1,187 @@
+import { NEUTRAL_INPUT } from './simulation.js';
+import { CONFIG } from './config.js';
+import { isWeatherChoice } from './weather.js';
+
+// Run recording. The simulation is deterministic for a given seed, so a run is
+// fully described by its seed plus the input fed to every fixed step.
+//
+// Inputs are stored run-length encoded as [moveX, moveY, boost, count] tuples;
+// held keys produce long runs, which keeps files small.
+
+export const REPLAY_FORMAT = 'eagle-rider-replay';
+export const REPLAY_VERSION = 7; // Bump whenever a change to the simulation would desync old replays
+
+// Modes a replay can be played back in; the others need players it doesn't have
+const REPLAY_MODES = ['endless', 'daily', 'course'];
+
+const BEST_REPLAYS_KEY = 'eagleRider.bestReplays';
+const MAX_STORED_REPLAYS = 20;
+
+// courseId: authored course the run was flown on, or null for generated courses.
+// handling: the CONFIG.HANDLING_PRESETS key the run was flown with.
+// rules: the CONFIG.RULE_SETS key the run was flown under.
+// weather: the weather choice (see weather.js) the run was flown in.
+export function createRecording(seed, mode, courseId = null, handling = CONFIG.HANDLING, rules = CONFIG.RULES, weather = CONFIG.WEATHER) {
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        seed: seed,
+        mode: mode,
+        courseId: courseId,
+        handling: handling,
+        rules: rules,
+        weather: weather,
+        score: 0,
+        hoops: 0,
+        distance: 0,
+        frames: 0,
+        inputs: [],
+    };
+}
+
+export function recordInput(recording, input) {
+    const last = recording.inputs[recording.inputs.length - 1];
+    if (last && last[0] === input.moveX && last[1] === input.moveY && last[2] === input.boost) {
+        last[3]++;
+    } else {
+        recording.inputs.push([input.moveX, input.moveY, input.boost, 1]);
+    }
+    recording.frames++;
+}
+
+export function finishRecording(recording, simState) {
+    recording.score = simState.score;
+    recording.hoops = simState.hoops;
+    recording.distance = Math.round(simState.distanceTraveled);
+    recording.savedAt = Date.now();
+    return recording;
+}
+
+// Sequential reader; replays are always played from frame 0 upwards
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.segment = 0;
+        this.used = 0; // Frames consumed from the current segment
+        this.frame = 0;
+    }
+
+    get finished() {
+        return this.frame >= this.replay.frames;
+    }
+
+    next() {
+        if (this.finished) return NEUTRAL_INPUT;
+        const run = this.replay.inputs[this.segment];
+        this.used++;
+        this.frame++;
+        if (this.used >= run[3]) {
+            this.segment++;
+            this.used = 0;
+        }
+        return { moveX: run[0], moveY: run[1], boost: run[2] };
+    }
+}
+
+// "Better" means more points, then further
+export function isBetterRun(candidate, best) {
+    if (!best) return true;
+    if (candidate.score !== best.score) return candidate.score > best.score;
+    return candidate.distance > best.distance;
+}
+
+// --- Import / Export ---
+
+export function replayToJSON(replay) {
+    return JSON.stringify(replay);
+}
+
+export function encodeReplay(replay) {
+    return btoa(replayToJSON(replay));
+}
+
+// Accepts either raw JSON or its base64 encoding. Throws with a readable message.
+export function decodeReplay(text) {
+    const trimmed = String(text).trim();
+    let data;
+    try {
+        data = JSON.parse(trimmed.startsWith('{') ? trimmed : atob(trimmed));
+    } catch (e) {
+        throw new Error('Not a replay file.');
+    }
+    return validateReplay(data);
+}
+
+function validateReplay(data) {
+    if (!data || data.format !== REPLAY_FORMAT) {
+        throw new Error('Not a replay file.');
+    }
+    if (data.version !== REPLAY_VERSION) {
+        throw new Error(`Replay was recorded with an incompatible version of the game (v${data.version}, expected v${REPLAY_VERSION}).`);
+    }
+    if (!Number.isInteger(data.seed) || !Array.isArray(data.inputs) || !REPLAY_MODES.includes(data.mode) ||
+        (data.courseId !== undefined && data.courseId !== null && typeof data.courseId !== 'string') ||
+        (data.mode === 'course' && (typeof data.courseId !== 'string' || data.courseId === '')) ||
+        !Object.prototype.hasOwnProperty.call(CONFIG.HANDLING_PRESETS, data.handling) ||
+        !Object.prototype.hasOwnProperty.call(CONFIG.RULE_SETS, data.rules) ||
+        !isWeatherChoice(data.weather) || !Number.isFinite(data.hoops)) {
+        throw new Error('Replay file is damaged.');
+    }
+    let frames = 0;
+    for (const run of data.inputs) {
+        if (!Array.isArray(run) || run.length !== 4 || !run.every(Number.isFinite) || run[3] < 1) {
+            throw new Error('Replay file is damaged.');
+        }
+        frames += run[3];
+    }
+    data.frames = frames;
+    data.courseId = data.courseId || null;
+    return data;
+}
+
+// --- Best run per seed (for the ghost) ---
+
+function readStoredReplays() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BEST_REPLAYS_KEY));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+export function loadBestReplay(seed) {
+    const encoded = readStoredReplays()[seed];
+    if (!encoded) return null;
+    try {
+        return decodeReplay(encoded);
+    } catch (e) {
+        return null; // Outdated or corrupt, ignore it
+    }
+}
+
+// Stores the run if it beats the current best for its seed. Returns true if stored.
+export function saveBestReplay(replay) {
+    if (!isBetterRun(replay, loadBestReplay(replay.seed))) return false;
+
+    const stored = readStoredReplays();
+    stored[replay.seed] = encodeReplay(replay);
+
+    // Keep only the most recently saved seeds
+    const seeds = Object.keys(stored);
+    if (seeds.length > MAX_STORED_REPLAYS) {
+        const savedAt = (seed) => {
+            try { return decodeReplay(stored[seed]).savedAt || 0; } catch (e) { return 0; }
+        };
+        seeds.sort((a, b) => savedAt(a) - savedAt(b))
+            .slice(0, seeds.length - MAX_STORED_REPLAYS)
+            .forEach(seed => delete stored[seed]);
+    }
+
+    try {
+        localStorage.setItem(BEST_REPLAYS_KEY, JSON.stringify(stored));
+    } catch (e) {
+        return false; // Storage full or unavailable
+    }
+    return true;
+}
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecording, recordInput, replayToJSON, decodeReplay } from './replay.js';
+
+// A one-frame replay as JSON, with changes applied on top
+function replayJSON(changes = {}) {
+    const recording = createRecording(42, 'endless');
+    recordInput(recording, { moveX: 0, moveY: 0, boost: 0 });
+    return JSON.stringify({ ...JSON.parse(replayToJSON(recording)), ...changes });
+}
+
+test('decodes the modes a replay can be played in', () => {
+    assert.equal(decodeReplay(replayJSON()).mode, 'endless');
+    assert.equal(decodeReplay(replayJSON({ mode: 'daily' })).mode, 'daily');
+    assert.equal(decodeReplay(replayJSON({ mode: 'course', courseId: 'slalom' })).courseId, 'slalom');
+});
+
+test('rejects multiplayer modes', () => {
+    assert.throws(() => decodeReplay(replayJSON({ mode: 'online' })), /Replay file is damaged/);
+    assert.throws(() => decodeReplay(replayJSON({ mode: 'versus' })), /Replay file is damaged/);
+});
+
+test('rejects a missing or unknown mode', () => {
+    assert.throws(() => decodeReplay(replayJSON({ mode: undefined })), /Replay file is damaged/);
+    assert.throws(() => decodeReplay(replayJSON({ mode: 'arcade' })), /Replay file is damaged/);
+});
+
+test('rejects a course replay without its course', () => {
+    assert.throws(() => decodeReplay(replayJSON({ mode: 'course' })), /Replay file is damaged/);
+    assert.throws(() => decodeReplay(replayJSON({ mode: 'course', courseId: null })), /Replay file is damaged/);
+    assert.throws(() => decodeReplay(replayJSON({ mode: 'course', courseId: '' })), /Replay file is damaged/);
+    assert.throws(() => decodeReplay(replayJSON({ mode: 'course', courseId: 7 })), /Replay file is damaged/);
+});
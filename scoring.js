@@ -0,0 +1,58 @@
+import { CONFIG } from './config.js';
+
+// Points for a run. A hoop is worth CONFIG.SCORING.HOOP_POINTS plus a precision
+// bonus for passing near its centre (none if the rim was clipped, which also
+// halves the base). Near misses on walls and logs earn a bonus too. Everything
+// is then multiplied by the combo: the streak of hoops passed without a miss.
+
+export function createScoreBreakdown() {
+    return {
+        hoopPoints: 0,
+        precisionPoints: 0,
+        nearMissPoints: 0,
+        streakPoints: 0, // Extra points from the combo multiplier
+        perfects: 0,
+        nearMisses: 0,
+        bestStreak: 0,
+    };
+}
+
+// x1 for the first COMBO_STEP hoops of a streak, x2 for the next COMBO_STEP, and so on
+export function comboMultiplier(streak) {
+    const { COMBO_STEP, COMBO_MAX } = CONFIG.SCORING;
+    return Math.min(COMBO_MAX, 1 + Math.floor(Math.max(0, streak - 1) / COMBO_STEP));
+}
+
+// precision: 0 at the edge of the opening, 1 dead centre. streak includes this hoop.
+export function scoreHoop(precision, clipped, streak) {
+    const { HOOP_POINTS, PRECISION_POINTS, PERFECT_PRECISION } = CONFIG.SCORING;
+    const base = clipped ? Math.round(HOOP_POINTS / 2) : HOOP_POINTS;
+    const bonus = clipped ? 0 : Math.round(PRECISION_POINTS * Math.max(0, precision));
+    const multiplier = comboMultiplier(streak);
+    return {
+        base,
+        bonus,
+        multiplier,
+        points: (base + bonus) * multiplier,
+        perfect: !clipped && precision >= PERFECT_PRECISION,
+    };
+}
+
+export function scoreNearMiss(streak) {
+    const base = CONFIG.SCORING.NEAR_MISS_POINTS;
+    const multiplier = comboMultiplier(streak);
+    return { base, bonus: 0, multiplier, points: base * multiplier };
+}
+
+// Adds a scored event to the breakdown
+export function addToBreakdown(breakdown, result, kind) {
+    if (kind === 'hoop') {
+        breakdown.hoopPoints += result.base;
+        breakdown.precisionPoints += result.bonus;
+        if (result.perfect) breakdown.perfects++;
+    } else {
+        breakdown.nearMissPoints += result.base;
+        breakdown.nearMisses++;
+    }
+    breakdown.streakPoints += result.points - result.base - result.bonus;
+}
@@ -0,0 +1,261 @@
+import { randomInt } from 'crypto';
+import { CONFIG } from '../config.js';
+import {
+    PROTOCOL_VERSION, MAX_PLAYERS, STATUS, POSE, encodeMessage, decodeMessage, cleanName, pickStats, rankStandings
+} from '../protocol.js';
+import { isWeatherChoice } from '../weather.js';
+
+// Lobby bookkeeping for the race server. The server never simulates anything:
+// each browser flies its own copy of the course from the shared seed and
+// reports where it is, and the server relays that to everyone else in the lobby.
+//
+// A lobby holds members { id, name, status, reason, stats, client }. A member
+// who disconnects mid-race stays listed as LEFT (with client null) until the
+// results are out, so the standings still show them.
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const CODE_LENGTH = 4;
+const SEED_MAX = 0x100000000;
+const MAX_REASON_LENGTH = 16;
+
+export class LobbyServer {
+    constructor({ log = () => {} } = {}) {
+        this.log = log;
+        this.clients = new Set();
+        this.lobbies = new Map(); // code -> lobby
+        this.nextId = 1;
+    }
+
+    connect(connection) {
+        const client = { id: this.nextId++, connection, lobby: null, member: null, alive: true };
+        this.clients.add(client);
+        connection.on('message', (text) => this.handleMessage(client, text));
+        connection.on('pong', () => client.alive = true);
+        connection.on('close', () => {
+            this.leave(client);
+            this.clients.delete(client);
+        });
+    }
+
+    // Call every few seconds: drops clients that didn't answer the last ping
+    heartbeat() {
+        this.clients.forEach(client => {
+            if (!client.alive) {
+                client.connection.terminate();
+                return;
+            }
+            client.alive = false;
+            client.connection.ping();
+        });
+    }
+
+    handleMessage(client, text) {
+        const message = decodeMessage(text);
+        if (!message) {
+            this.sendError(client, 'Malformed message');
+            return;
+        }
+        switch (message.type) {
+            case 'create': this.create(client, message); break;
+            case 'join': this.join(client, message); break;
+            case 'start': this.startRace(client); break;
+            case 'state': this.relayState(client, message); break;
+            case 'out': this.playerOut(client, message); break;
+            case 'leave': this.leave(client); break;
+            default: this.sendError(client, `Unknown message type "${message.type}"`);
+        }
+    }
+
+    checkHello(client, message) {
+        if (message.version !== PROTOCOL_VERSION) {
+            this.sendError(client, `This server speaks protocol version ${PROTOCOL_VERSION}; update the game or the server`);
+            return false;
+        }
+        if (client.lobby) {
+            this.sendError(client, 'Already in a lobby');
+            return false;
+        }
+        return true;
+    }
+
+    create(client, message) {
+        if (!this.checkHello(client, message)) return;
+        if (!Object.prototype.hasOwnProperty.call(CONFIG.RULE_SETS, message.rules)) {
+            this.sendError(client, `Unknown rules "${message.rules}"`);
+            return;
+        }
+        if (!isWeatherChoice(message.weather)) {
+            this.sendError(client, `Unknown weather "${message.weather}"`);
+            return;
+        }
+        const lobby = { code: this.newCode(), rules: message.rules, weather: message.weather, racing: false, host: null, members: [] };
+        this.lobbies.set(lobby.code, lobby);
+        this.log(`Lobby ${lobby.code} created (${lobby.rules}, ${lobby.weather})`);
+        this.addMember(lobby, client, message.name);
+    }
+
+    join(client, message) {
+        if (!this.checkHello(client, message)) return;
+        const code = typeof message.code === 'string' ? message.code.trim().toUpperCase() : '';
+        const lobby = this.lobbies.get(code);
+        if (!lobby) this.sendError(client, `No lobby with code "${code}"`);
+        else if (lobby.racing) this.sendError(client, 'That lobby is racing; try again when the race is over');
+        else if (lobby.members.length >= MAX_PLAYERS) this.sendError(client, 'That lobby is full');
+        else this.addMember(lobby, client, message.name);
+    }
+
+    addMember(lobby, client, name) {
+        const member = {
+            id: client.id,
+            name: cleanName(name, `Player ${lobby.members.length + 1}`),
+            status: STATUS.WAITING,
+            reason: null,
+            stats: pickStats({}),
+            client,
+        };
+        lobby.members.push(member);
+        if (!lobby.host) lobby.host = member;
+        client.lobby = lobby;
+        client.member = member;
+        this.broadcastLobby(lobby);
+    }
+
+    startRace(client) {
+        const lobby = client.lobby;
+        if (!lobby) return;
+        if (lobby.host !== client.member) {
+            this.sendError(client, 'Only the host can start the race');
+            return;
+        }
+        if (lobby.racing) return;
+
+        lobby.racing = true;
+        lobby.members.forEach(member => {
+            member.status = STATUS.RACING;
+            member.reason = null;
+            member.stats = pickStats({});
+        });
+        const seed = randomInt(SEED_MAX);
+        this.log(`Lobby ${lobby.code} racing seed ${seed} with ${lobby.members.length} player(s)`);
+        this.broadcast(lobby, encodeMessage('start', {
+            seed,
+            rules: lobby.rules,
+            weather: lobby.weather,
+            players: lobby.members.map(({ id, name }) => ({ id, name })),
+        }));
+        this.broadcastLobby(lobby);
+    }
+
+    relayState(client, message) {
+        const member = client.member;
+        if (!member || member.status !== STATUS.RACING) return;
+        const pose = {};
+        for (const key of POSE) {
+            if (!Number.isFinite(message[key])) return; // Drop malformed updates
+            pose[key] = message[key];
+        }
+        member.stats = pickStats(message);
+        this.broadcast(client.lobby, encodeMessage('state', { id: member.id, ...pose, ...member.stats }), member);
+    }
+
+    playerOut(client, message) {
+        const member = client.member;
+        if (!member || member.status !== STATUS.RACING) return;
+        member.status = STATUS.OUT;
+        member.reason = typeof message.reason === 'string' ? message.reason.slice(0, MAX_REASON_LENGTH) : 'out';
+        member.stats = pickStats(message);
+        this.broadcast(client.lobby, encodeMessage('out', { id: member.id, reason: member.reason, ...member.stats }), member);
+        this.broadcastLobby(client.lobby);
+        this.checkRaceOver(client.lobby);
+    }
+
+    // Leaving the lobby or losing the connection
+    leave(client) {
+        const lobby = client.lobby;
+        if (!lobby) return;
+        const member = client.member;
+        client.lobby = null;
+        client.member = null;
+
+        if (lobby.racing) {
+            member.status = STATUS.LEFT;
+            member.client = null;
+        } else {
+            lobby.members.splice(lobby.members.indexOf(member), 1);
+        }
+        this.log(`${member.name} left lobby ${lobby.code}`);
+
+        if (lobby.host === member) {
+            lobby.host = lobby.members.find(m => m.client) || null;
+        }
+        if (!lobby.host) {
+            this.closeLobby(lobby);
+            return;
+        }
+        this.broadcastLobby(lobby);
+        this.checkRaceOver(lobby);
+    }
+
+    // Results go out once nobody is still flying; then everyone is back in the lobby
+    checkRaceOver(lobby) {
+        if (!lobby.racing || lobby.members.some(m => m.status === STATUS.RACING)) return;
+
+        const timeTrial = Boolean(CONFIG.RULE_SETS[lobby.rules].TIME_TRIAL);
+        const standings = rankStandings(lobby.members.map(m => ({
+            id: m.id, name: m.name, status: m.status, reason: m.reason, ...m.stats,
+        })), timeTrial);
+        this.broadcast(lobby, encodeMessage('results', { standings }));
+        this.log(`Lobby ${lobby.code} race over, won by ${standings[0].name}`);
+
+        lobby.racing = false;
+        lobby.members = lobby.members.filter(m => m.client);
+        lobby.members.forEach(m => m.status = STATUS.WAITING);
+        this.broadcastLobby(lobby);
+    }
+
+    closeLobby(lobby) {
+        lobby.members.forEach(m => {
+            if (m.client) {
+                m.client.lobby = null;
+                m.client.member = null;
+            }
+        });
+        this.lobbies.delete(lobby.code);
+        this.log(`Lobby ${lobby.code} closed`);
+    }
+
+    broadcastLobby(lobby) {
+        const players = lobby.members.map(({ id, name, status }) => ({ id, name, status }));
+        lobby.members.forEach(member => {
+            if (!member.client) return;
+            member.client.connection.send(encodeMessage('lobby', {
+                code: lobby.code,
+                you: member.id,
+                host: lobby.host.id,
+                rules: lobby.rules,
+                weather: lobby.weather,
+                racing: lobby.racing,
+                players,
+            }));
+        });
+    }
+
+    broadcast(lobby, text, except = null) {
+        lobby.members.forEach(member => {
+            if (member !== except && member.client) member.client.connection.send(text);
+        });
+    }
+
+    sendError(client, message) {
+        client.connection.send(encodeMessage('error', { message }));
+    }
+
+    newCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+        } while (this.lobbies.has(code));
+        return code;
+    }
+}
@@ -0,0 +1,75 @@
+// Reference race server for online multiplayer. It hosts lobbies, hands every
+// racer the same seed and relays positions and scores; the flying itself
+// happens in each player's browser. Needs nothing but Node.
+//
+//   node server/server.js                  # ws://localhost:8787
+//   node server/server.js --port 9000
+//   node server/server.js --host 0.0.0.0   # accept players from other machines
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { acceptUpgrade, CLOSE_CODE } from './websocket.js';
+import { LobbyServer } from './lobbies.js';
+import { DEFAULT_PORT } from '../protocol.js';
+
+const HEARTBEAT_INTERVAL = 10000; // ms between pings; silent clients are dropped after two
+
+export function startServer({ port = DEFAULT_PORT, host = 'localhost', log = console.log } = {}) {
+    const lobbies = new LobbyServer({ log });
+    const connections = new Set();
+
+    // Plain HTTP requests get a status line, handy for checking the server is up
+    const server = createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`Eagle Rider race server: ${lobbies.lobbies.size} lobbies, ${lobbies.clients.size} players\n`);
+    });
+    server.on('upgrade', (req, socket, head) => {
+        const connection = acceptUpgrade(req, socket, head);
+        if (!connection) return;
+        connections.add(connection);
+        connection.on('close', () => connections.delete(connection));
+        lobbies.connect(connection);
+    });
+
+    const heartbeat = setInterval(() => lobbies.heartbeat(), HEARTBEAT_INTERVAL);
+    server.on('close', () => clearInterval(heartbeat));
+    server.listen(port, host, () => log(`Race server listening on ws://${host}:${server.address().port}`));
+
+    return {
+        server,
+        lobbies,
+        close() {
+            connections.forEach(connection => connection.close(CLOSE_CODE.GOING_AWAY, 'Server shutting down'));
+            server.close();
+        },
+    };
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) args[arg.slice(2)] = true;
+        else args[arg.slice(2)] = argv[++i];
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port || process.env.PORT || DEFAULT_PORT, 10);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`Invalid port "${args.port || process.env.PORT}"`);
+        process.exit(1);
+    }
+    const running = startServer({ port, host: typeof args.host === 'string' ? args.host : 'localhost' });
+    process.on('SIGINT', () => {
+        running.close();
+        process.exit(0);
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,228 @@
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+
+// Just enough of RFC 6455 for the race server, so it runs on plain Node with
+// no packages to install: the upgrade handshake, text messages (including
+// fragmented ones), ping/pong and the closing handshake. Binary messages and
+// extensions aren't supported.
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024; // Race messages are tiny; anything bigger is a bad client
+
+const OPCODE = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA,
+};
+
+export const CLOSE_CODE = {
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    UNSUPPORTED: 1003,
+    TOO_BIG: 1009,
+};
+
+// Completes the handshake for an HTTP 'upgrade' request; head is the event's
+// first bytes after the request. Returns the connection, or null after
+// rejecting a request that isn't a WebSocket one.
+export function acceptUpgrade(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    const isWebSocket = (req.headers.upgrade || '').toLowerCase() === 'websocket';
+    if (!isWebSocket || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    return new WebSocketConnection(socket, head);
+}
+
+// Events: 'message' (text), 'pong', 'close' (code). 'close' fires exactly once,
+// whether the peer closed cleanly or the socket just dropped.
+export class WebSocketConnection extends EventEmitter {
+    // head: bytes the client sent straight after its handshake, if any
+    constructor(socket, head = null) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // Payloads of a fragmented message so far
+        this.closing = false; // We sent a close frame
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.finish(CLOSE_CODE.GOING_AWAY));
+        socket.on('error', () => this.socket.destroy());
+        // On the next tick, once the caller has listeners on us, but before any more data arrives
+        if (head && head.length > 0) process.nextTick(() => this.receive(head));
+    }
+
+    send(text) {
+        if (this.closing || this.closed) return;
+        this.writeFrame(OPCODE.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    ping() {
+        if (this.closing || this.closed) return;
+        this.writeFrame(OPCODE.PING, Buffer.alloc(0));
+    }
+
+    // Starts the closing handshake; the socket ends when the peer answers
+    close(code = CLOSE_CODE.NORMAL, reason = '') {
+        if (this.closing || this.closed) return;
+        this.closing = true;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.writeFrame(OPCODE.CLOSE, payload);
+        this.socket.end();
+    }
+
+    // Drops the connection without a handshake (dead peers)
+    terminate() {
+        this.socket.destroy();
+    }
+
+    finish(code) {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close', code);
+    }
+
+    // Server frames are never masked and never fragmented
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // Takes one complete frame off the buffer, or returns null if it hasn't all arrived
+    readFrame() {
+        const buf = this.buffer;
+        if (buf.length < 2) return null;
+
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0F;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            const big = buf.readBigUInt64BE(2);
+            length = big > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(big);
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_BYTES) {
+            this.fail(CLOSE_CODE.TOO_BIG, 'Message too big');
+            return null;
+        }
+        if (!masked) { // Clients must mask everything they send
+            this.fail(CLOSE_CODE.PROTOCOL_ERROR, 'Unmasked frame');
+            return null;
+        }
+        if (buf.length < offset + 4 + length) return null;
+
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+
+        this.buffer = buf.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE.TEXT:
+            case OPCODE.BINARY:
+                if (this.fragments) {
+                    this.fail(CLOSE_CODE.PROTOCOL_ERROR, 'Expected a continuation frame');
+                    return;
+                }
+                if (opcode === OPCODE.BINARY) {
+                    this.fail(CLOSE_CODE.UNSUPPORTED, 'Binary messages are not supported');
+                    return;
+                }
+                if (fin) this.emit('message', payload.toString('utf8'));
+                else this.fragments = [payload];
+                break;
+            case OPCODE.CONTINUATION: {
+                if (!this.fragments) {
+                    this.fail(CLOSE_CODE.PROTOCOL_ERROR, 'Unexpected continuation frame');
+                    return;
+                }
+                this.fragments.push(payload);
+                const message = Buffer.concat(this.fragments);
+                if (message.length > MAX_MESSAGE_BYTES) {
+                    this.fail(CLOSE_CODE.TOO_BIG, 'Message too big');
+                    return;
+                }
+                if (fin) {
+                    this.fragments = null;
+                    this.emit('message', message.toString('utf8'));
+                }
+                break;
+            }
+            case OPCODE.PING:
+                if (!this.closing) this.writeFrame(OPCODE.PONG, payload);
+                break;
+            case OPCODE.PONG:
+                this.emit('pong');
+                break;
+            case OPCODE.CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODE.NORMAL;
+                if (!this.closing) { // Echo the close, then hang up
+                    this.closing = true;
+                    this.writeFrame(OPCODE.CLOSE, payload.subarray(0, 2));
+                    this.socket.end();
+                }
+                this.finish(code);
+                break;
+            }
+            default:
+                this.fail(CLOSE_CODE.PROTOCOL_ERROR, 'Unknown opcode');
+        }
+    }
+
+    fail(code, reason) {
+        this.close(code, reason);
+        this.buffer = Buffer.alloc(0);
+        this.finish(code);
+    }
+}
@@ -0,0 +1,65 @@
+import { CONFIG } from './config.js';
+import { MAX_NAME_LENGTH } from './protocol.js';
+import { isWeatherChoice } from './weather.js';
+import { AUDIO_BUSES } from './audio.js';
+
+// Game options other than key bindings, kept in localStorage.
+// Each stored value is checked on load; anything unusable falls back to the default.
+
+const STORAGE_KEY = 'eagleRider.settings';
+
+// Modes with their own weather choice
+export const WEATHER_MODES = ['endless', 'daily', 'course', 'versus', 'online'];
+
+export const DEFAULT_SETTINGS = {
+    handling: CONFIG.HANDLING,
+    rules: CONFIG.RULES,
+    quality: CONFIG.QUALITY,
+    playerName: '', // Online races; the server picks "Player N" when empty
+    serverUrl: CONFIG.NETWORK.SERVER_URL,
+    // Mode -> weather choice (see weather.js). Authored courses are built for clear skies.
+    weather: {
+        endless: CONFIG.WEATHER,
+        daily: CONFIG.WEATHER,
+        course: 'clear',
+        versus: CONFIG.WEATHER,
+        online: CONFIG.WEATHER,
+    },
+    // Mixer levels 0..1 for each of AUDIO_BUSES, and whether the game is muted
+    audio: { master: 0.8, music: 0.7, sfx: 1, muted: false },
+};
+
+const VALIDATORS = {
+    handling: (value) => Object.prototype.hasOwnProperty.call(CONFIG.HANDLING_PRESETS, value),
+    rules: (value) => Object.prototype.hasOwnProperty.call(CONFIG.RULE_SETS, value),
+    quality: (value) => Object.prototype.hasOwnProperty.call(CONFIG.QUALITY_LEVELS, value),
+    playerName: (value) => typeof value === 'string' && value.length <= MAX_NAME_LENGTH,
+    serverUrl: (value) => typeof value === 'string' && /^wss?:\/\//i.test(value),
+    weather: (value) => Boolean(value) && typeof value === 'object' && WEATHER_MODES.every(mode => isWeatherChoice(value[mode])),
+    audio: (value) => Boolean(value) && typeof value === 'object' && typeof value.muted === 'boolean' &&
+        AUDIO_BUSES.every(bus => Number.isFinite(value[bus]) && value[bus] >= 0 && value[bus] <= 1),
+};
+
+export function loadSettings() {
+    const settings = { ...DEFAULT_SETTINGS, weather: { ...DEFAULT_SETTINGS.weather }, audio: { ...DEFAULT_SETTINGS.audio } };
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (e) {
+        return settings;
+    }
+    if (!stored || typeof stored !== 'object') return settings;
+
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        if (VALIDATORS[key](stored[key])) settings[key] = stored[key];
+    });
+    return settings;
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        // Storage unavailable; settings still apply for this session
+    }
+}
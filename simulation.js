@@ -0,0 +1,871 @@
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+import { createRng } from './random.js';
+import { OBJECT_FIELDS } from './course.js';
+import { createEagle, EAGLE_COLORS } from './eagle.js';
+import { createFlightState, updateFlight } from './flight.js';
+import { ForceField, FIELD_TYPES } from './fields.js';
+import { ENEMY_TYPES, createEnemy, enemyChance } from './enemies.js';
+import { POWERUP_TYPES, TIMED_POWERUPS, createPickupMesh, setPickupKind, animatePickup, createShieldBubble } from './powerups.js';
+import { pathToLocal, sweptSphereHitsSphere, capsuleClearance, boxClearance, sweepRing } from './collision.js';
+import { createScoreBreakdown, scoreHoop, scoreNearMiss, addToBreakdown } from './scoring.js';
+import { createTerrain } from './terrain.js';
+import { createWeather } from './weather.js';
+import { Pool } from './pool.js';
+import { InstancedBatch, tintEmissive } from './instancing.js';
+
+// Game rules, spawning and collisions. Nothing in here touches the DOM, the
+// renderer or audio, so the same code runs in the browser and headless in Node.
+// The outside world drives it with step(input) and listens for events.
+
+// Geometries & Materials Cache
+export const geometries = {
+    hoop: new THREE.TorusGeometry(CONFIG.HOOP_RADIUS, CONFIG.HOOP_THICKNESS, 8, 16),
+    wall: new THREE.BoxGeometry(20, 15, 2),
+    log: new THREE.CylinderGeometry(1, 1, 30, 8),
+    finishPost: new THREE.BoxGeometry(2, 60, 2),
+    finishBanner: new THREE.BoxGeometry(204, 6, 1),
+    finishPlane: new THREE.PlaneGeometry(200, 60)
+};
+
+export const materials = {
+    hoop: new THREE.MeshPhongMaterial({ color: 0xFFD700, emissive: 0xAA6600, emissiveIntensity: 0.2 }),
+    // Course hoops are instanced: white here, coloured per hoop (HOOP_COLORS), glowing in that colour
+    hoopInstance: tintEmissive(new THREE.MeshPhongMaterial({ color: 0xFFFFFF, emissive: 0xFFFFFF, emissiveIntensity: 0.2 })),
+    wall: new THREE.MeshPhongMaterial({ color: 0xA52A2A }),
+    log: new THREE.MeshPhongMaterial({ color: 0x5D4037 }),
+    finishPost: new THREE.MeshPhongMaterial({ color: 0xFFFFFF }),
+    finishBanner: new THREE.MeshPhongMaterial({ color: 0xFFFFFF, emissive: 0x444444 }),
+    finishPlane: new THREE.MeshBasicMaterial({ color: 0x00FF88, transparent: true, opacity: 0.15, side: THREE.DoubleSide, depthWrite: false })
+};
+
+// Rotate geometries once if needed
+geometries.log.rotateZ(Math.PI / 2);
+Object.values(geometries).forEach(geometry => geometry.computeBoundingSphere()); // Broadphase reach
+
+export const HOOP_COLORS = {
+    ready: new THREE.Color(0xFFD700),
+    passed: new THREE.Color(0x00FF00),
+    bumped: new THREE.Color(0xFFA500), // Passed, but clipped the rim
+    missed: new THREE.Color(0xFF0000),
+};
+
+// Objects drawn as one InstancedMesh per type and recycled through a pool.
+// Each keeps a mesh that's never added to the scene: it holds the transform
+// and geometry for collisions, and is copied into the object's instance slot.
+const INSTANCED = {
+    hoop: { label: 'Hoops', material: 'hoopInstance' },
+    wall: { label: 'Walls', material: 'wall' },
+    log: { label: 'Logs', material: 'log' },
+};
+
+// Everything else on the course is recycled too, but drawn as its own meshes
+const POOLED = {
+    pickup: 'Pickups',
+    hawk: 'Hawks',
+    drone: 'Drones',
+    crow: 'Crow Flocks',
+    fan: 'Fans',
+    thermal: 'Thermals',
+    downdraft: 'Downdrafts',
+    gust: 'Gusts',
+    turbulence: 'Turbulence',
+};
+
+// A new object for one of the POOLED pools
+function createPooledObject(type) {
+    if (type === 'pickup') return { type, mesh: createPickupMesh('shield') };
+    if (ENEMY_TYPES.includes(type)) {
+        const enemy = createEnemy(type);
+        return { type, mesh: enemy.mesh, enemy };
+    }
+    const field = new ForceField(type);
+    return { type, mesh: field.mesh, field };
+}
+
+// Collision shapes in mesh-local space, matching the geometries above (see collision.js)
+export const shapes = {
+    hoop: { radius: CONFIG.HOOP_RADIUS, tube: CONFIG.HOOP_THICKNESS },
+    wall: { halfExtents: new THREE.Vector3(10, 7.5, 1) },
+    log: { start: new THREE.Vector3(-15, 0, 0), end: new THREE.Vector3(15, 0, 0), radius: 1 },
+};
+
+// Input for one simulation step.
+// moveX/moveY are -1..1 (right/up positive), boost is 0..1.
+export const NEUTRAL_INPUT = Object.freeze({ moveX: 0, moveY: 0, boost: 0 });
+
+const PLAYER_SPACING = 12; // Between eagles at the start of a multiplayer run
+const TREE_COLLISION_SCALE = 0.6; // Trees are cones; a capsule this much thinner than the base fits them
+const _tree = { start: new THREE.Vector3(), end: new THREE.Vector3(), radius: 0 };
+const _gust = new THREE.Vector3();
+
+export class Simulation {
+    // course: a parsed course from course.js, or null for the endless generator
+    // handling: a key of CONFIG.HANDLING_PRESETS, applied on the next reset
+    // rules: a key of CONFIG.RULE_SETS, applied on the next reset
+    // players: eagles flying the same course (split-screen), applied on the next reset
+    // weather: a weather choice from weather.js, applied on the next reset
+    // instanced: false leaves hoops, walls and logs undrawn, for simulations nobody
+    // sees (headless runs, the ghost)
+    constructor({
+        scene = new THREE.Scene(), seed = 0, course = null, handling = CONFIG.HANDLING, rules = CONFIG.RULES, players = 1,
+        weather = CONFIG.WEATHER, instanced = true,
+    } = {}) {
+        this.scene = scene;
+        this.handling = handling;
+        this.rules = rules;
+        this.weather = weather;
+        this.listeners = {};
+        this.objects = []; // Hoops and Obstacles
+        this.pools = {};
+        this.batches = instanced ? {} : null;
+        Object.entries(INSTANCED).forEach(([type, { label, material }]) => {
+            this.pools[type] = new Pool(label, () => ({ type, mesh: new THREE.Mesh(geometries[type], materials[material]) }));
+            if (instanced) this.batches[type] = new InstancedBatch(scene, geometries[type], materials[material]);
+        });
+        Object.entries(POOLED).forEach(([type, label]) => {
+            this.pools[type] = new Pool(label, () => createPooledObject(type));
+        });
+        this.finishMesh = null;
+
+        this.playerCount = players; // Applied on the next reset
+        this.players = [];
+
+        this.reset(seed, course);
+    }
+
+    // Single-player callers deal with the first eagle
+    get eagle() {
+        return this.players[0].eagle;
+    }
+
+    get state() {
+        return this.players[0].state;
+    }
+
+    createPlayer(index) {
+        const eagle = createEagle(EAGLE_COLORS[index % EAGLE_COLORS.length]);
+        this.scene.add(eagle);
+        const shieldBubble = createShieldBubble();
+        eagle.add(shieldBubble);
+        return {
+            index,
+            eagle,
+            shieldBubble,
+            prevPosition: new THREE.Vector3(), // Start of this step's path, for swept collisions
+            velocity: new THREE.Vector3(), // This step's movement, for enemies leading their target
+            wind: new THREE.Vector3(), // Sum of the gusts and force fields at the eagle this step
+            flight: null,
+            state: null,
+        };
+    }
+
+    // --- Events ---
+    // Listeners are called with (data, player); player is the one from this.players it happened to.
+    // 'hoop' ({ obj, clipped, scored }), 'miss' ({ obj, clipped }): clipped is set when the rim
+    // was touched, a bump if passed and a fail if missed. scored is from scoring.js.
+    // 'nearmiss' ({ obj, scored }) for close shaves.
+    // 'out' ({ reason }) when a player's run ends, where reason is 'crash', 'misses', 'finish'
+    // or 'quit'; 'gameover' ({ reason }) follows once every player is out.
+    // 'powerup' ({ kind }) when one is collected, 'powerupend' ({ kind }) when a timed one runs out,
+    // 'shield' when the shield absorbs a crash, 'hit' when a crash isn't fatal under the rules.
+    // Time trials: 'checkpoint' ({ index, time, missed }) as each hoop is decided, with the
+    // race clock (penalties included) at that moment.
+    // 'remove' ({ obj }) when an object falls far enough behind to be cleared away.
+    // Hoops, walls and logs are recycled afterwards, so don't hold on to them.
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+        return this;
+    }
+
+    emit(type, data, player = this.players[0]) {
+        const fns = this.listeners[type];
+        if (fns) fns.forEach(fn => fn(data, player));
+    }
+
+    // start: optional { x, y, z } to begin part way along an authored course (editor test flights)
+    reset(seed = this.seed, course = this.course, start = null) {
+        this.seed = seed;
+        this.course = course;
+        this.courseIndex = 0; // Next course object to spawn
+        this.rng = createRng(seed); // Every spawn decision goes through this
+        this.time = 0; // World clock, for moving objects
+        this.frame = 0;
+        this.timeScale = 1; // Below 1 during slow-mo
+        this.lastSpawnZ = 0;
+        this.hoopsSpawned = 0;
+        this.gameOver = false; // Every player is out
+        this.preset = CONFIG.HANDLING_PRESETS[this.handling] || CONFIG.HANDLING_PRESETS[CONFIG.HANDLING];
+        this.ruleSet = CONFIG.RULE_SETS[this.rules] || CONFIG.RULE_SETS[CONFIG.RULES];
+        this.terrain = createTerrain(seed, { authored: Boolean(course) });
+        this.climate = createWeather(seed, this.weather); // Time of day and weather
+
+        while (this.players.length < this.playerCount) this.players.push(this.createPlayer(this.players.length));
+        while (this.players.length > this.playerCount) this.scene.remove(this.players.pop().eagle);
+
+        // Side by side when there's more than one
+        const origin = start || { x: 0, y: 0, z: 0 };
+        this.players.forEach((player, i) => {
+            player.state = createPlayerState();
+            player.flight = createFlightState();
+            const eagle = player.eagle;
+            eagle.position.set(origin.x + (i - (this.players.length - 1) / 2) * PLAYER_SPACING, origin.y, origin.z);
+            eagle.rotation.set(0, 0, 0);
+            eagle.visible = true;
+            player.prevPosition.copy(eagle.position);
+        });
+
+        // Clear objects
+        this.objects.forEach(obj => this.removeObject(obj));
+        this.objects = [];
+        if (this.batches) Object.values(this.batches).forEach(batch => batch.clear());
+
+        if (this.finishMesh) {
+            this.scene.remove(this.finishMesh);
+            this.finishMesh = null;
+        }
+        if (course) {
+            this.finishMesh = createFinishGate(course.finish.z);
+            this.scene.add(this.finishMesh);
+
+            // Skip anything behind the start so it doesn't count as missed
+            while (this.courseIndex < course.objects.length && course.objects[this.courseIndex].z > origin.z) {
+                this.courseIndex++;
+            }
+        }
+    }
+
+    // Advance by one fixed step. inputs: an input per player, or a single input with one player.
+    step(inputs = NEUTRAL_INPUT) {
+        if (this.gameOver) return;
+        if (!Array.isArray(inputs)) inputs = [inputs];
+
+        this.updatePowerUps(CONFIG.FIXED_DT);
+        const dt = CONFIG.FIXED_DT * this.timeScale;
+        this.time += dt;
+        this.frame++;
+
+        const flying = this.players.filter(player => !player.state.gameOver);
+        flying.forEach(player => {
+            player.state.time += dt;
+            player.state.frame++;
+            player.prevPosition.copy(player.eagle.position);
+            this.updatePlayer(player, inputs[player.index] || NEUTRAL_INPUT, dt);
+        });
+
+        // The course unfolds ahead of whoever is in front
+        const leadZ = Math.min(...flying.map(player => player.eagle.position.z));
+        if (this.course) this.spawnCourseObjects(leadZ);
+        else this.spawnObjects(leadZ);
+        this.updateObjects(dt, flying);
+
+        flying.forEach(player => {
+            this.applyFields(player, dt);
+            this.checkCollisions(player);
+            this.checkTerrain(player);
+
+            if (!player.state.gameOver && this.finishMesh && player.eagle.position.z <= this.finishMesh.position.z) {
+                this.knockOut(player, 'finish');
+            }
+        });
+    }
+
+    updatePlayer(player, input, dt) {
+        player.state.boost = input.boost;
+        if (this.preset.MODEL === 'momentum') this.updateMomentumPlayer(player, input, dt);
+        else this.updateArcadePlayer(player, input, dt);
+
+        // Wing flapping
+        const wingBop = Math.sin(player.state.time * 15) * 0.4;
+        player.eagle.userData.leftWing.rotation.z = wingBop;
+        player.eagle.userData.rightWing.rotation.z = -wingBop;
+    }
+
+    updateArcadePlayer(player, input, dt) {
+        const eagle = player.eagle;
+        const state = player.state;
+        const turnSpeed = CONFIG.PLAYER_TURN_SPEED;
+
+        eagle.position.y += input.moveY * turnSpeed * dt * 0.5;
+        eagle.position.x += input.moveX * turnSpeed * dt;
+
+        // Clamp X/Y
+        eagle.position.y = Math.max(1, Math.min(eagle.position.y, 50));
+        eagle.position.x = Math.max(-100, Math.min(eagle.position.x, 100));
+
+        // Banking effect, proportional to analog steering
+        const targetRotZ = -input.moveX * 0.5;
+        eagle.rotation.z += (targetRotZ - eagle.rotation.z) * 5 * dt;
+
+        // Movement
+        const currentSpeed = state.speed + CONFIG.PLAYER_ACCEL * input.boost;
+        state.currentSpeed = currentSpeed;
+        state.maxSpeed = Math.max(state.maxSpeed, currentSpeed);
+
+        const moveDist = currentSpeed * dt;
+        eagle.position.z -= moveDist;
+        state.distanceTraveled += moveDist;
+    }
+
+    updateMomentumPlayer(player, input, dt) {
+        const eagle = player.eagle;
+        const flight = player.flight;
+        const state = player.state;
+
+        updateFlight(flight, input, state.speed + CONFIG.PLAYER_ACCEL * input.boost, this.preset, dt);
+        state.stalled = flight.stalled;
+        state.currentSpeed = flight.airspeed;
+        state.maxSpeed = Math.max(state.maxSpeed, flight.airspeed);
+
+        eagle.position.addScaledVector(flight.velocity, dt);
+        eagle.position.y = Math.max(1, Math.min(eagle.position.y, 50));
+        eagle.position.x = Math.max(-100, Math.min(eagle.position.x, 100));
+        eagle.rotation.set(flight.pitch, flight.yaw, flight.roll, 'YXZ');
+
+        // Distance counts progress down the course, not sideways flying
+        state.distanceTraveled += -flight.velocity.z * dt;
+    }
+
+    // --- Spawning ---
+
+    spawnObjects(playerZ) {
+        const spawnZ = playerZ - CONFIG.SPAWN_DISTANCE;
+        const trial = this.ruleSet.TIME_TRIAL;
+        if (trial && this.hoopsSpawned >= trial.CHECKPOINTS) return; // Course complete
+
+        // Spawn periodically
+        if (this.lastSpawnZ - spawnZ >= CONFIG.HOOP_SPAWN_INTERVAL) {
+            this.lastSpawnZ = spawnZ;
+
+            // Random Position
+            const x = (this.rng() - 0.5) * 80; // +/- 40 range
+            const y = (this.rng() * 30) + 5;   // 5 to 35 height
+
+            this.spawnHoop(x, y, spawnZ);
+            this.hoopsSpawned++;
+            if (trial && this.hoopsSpawned >= trial.CHECKPOINTS) {
+                // Time trials on generated courses finish one segment after the last hoop
+                this.finishMesh = createFinishGate(spawnZ - CONFIG.HOOP_SPAWN_INTERVAL);
+                this.scene.add(this.finishMesh);
+            }
+
+            // Increase obstacle chance with hoops passed
+            const { OBSTACLE_BASE, OBSTACLE_PER_HOOP, OBSTACLE_MAX } = this.ruleSet;
+            const obstacleChance = Math.min(OBSTACLE_BASE + (this.mostHoops() * OBSTACLE_PER_HOOP), OBSTACLE_MAX);
+
+            if (this.rng() < obstacleChance) {
+                // Type of obstacle
+                const type = this.rng();
+                if (type < 0.33) this.spawnWall(x, y, spawnZ);
+                else if (type < 0.66) this.spawnField(x, y, spawnZ);
+                else this.spawnLog(x, y, spawnZ);
+            }
+
+            this.spawnPowerUp(x, y, spawnZ);
+            this.spawnEnemy(x, y, spawnZ);
+        }
+    }
+
+    // Difficulty follows whoever has passed the most hoops
+    mostHoops() {
+        return Math.max(...this.players.map(player => player.state.hoops));
+    }
+
+    // Beside the hoop, a little before it. Extra lives only turn up when there's a miss to take back.
+    spawnPowerUp(x, y, z) {
+        if (this.rng() >= CONFIG.POWERUPS.SPAWN_CHANCE) return;
+        const lifeUseful = this.players.some(player => player.state.misses > 0) && this.ruleSet.MAX_MISSES !== Infinity;
+        const kinds = Object.keys(POWERUP_TYPES).filter(kind => kind !== 'life' || lifeUseful);
+        const kind = kinds[Math.floor(this.rng() * kinds.length)];
+        const side = this.rng() < 0.5 ? -1 : 1;
+
+        const obj = this.acquireObject('pickup');
+        setPickupKind(obj.mesh, kind);
+        obj.kind = kind;
+        obj.baseY = y;
+        obj.active = true;
+        obj.mesh.position.set(Math.max(-100, Math.min(x + side * 14, 100)), y, z + 40);
+        this.objects.push(obj);
+    }
+
+    // At most one enemy per segment, each type more likely as the score rises
+    spawnEnemy(x, y, z) {
+        const roll = this.rng();
+        let total = 0;
+        for (const [type, curve] of Object.entries(CONFIG.ENEMY_SPAWN)) {
+            total += enemyChance(curve, this.mostHoops());
+            if (roll < total) {
+                const obj = this.acquireObject(type);
+                obj.enemy.spawn(x, y, z, this.rng);
+                obj.active = true;
+                this.objects.push(obj);
+                return;
+            }
+        }
+    }
+
+    // Authored courses: bring objects in as they come within spawn distance
+    spawnCourseObjects(playerZ) {
+        const spawnZ = playerZ - CONFIG.SPAWN_DISTANCE;
+        const defs = this.course.objects;
+        while (this.courseIndex < defs.length && defs[this.courseIndex].z >= spawnZ) {
+            this.addObject(defs[this.courseIndex]);
+            this.courseIndex++;
+        }
+    }
+
+    spawnHoop(x, y, z) {
+        this.addObject({ type: 'hoop', x, y, z });
+    }
+
+    spawnWall(targetX, targetY, z) {
+        // Position it near the hoop to block it
+        const offsetX = (this.rng() - 0.5) * 10;
+        const moving = this.rng() > 0.5;
+        const speed = (this.rng() - 0.5) * 20;
+
+        // No range: bounces relative to the player
+        this.addObject({ type: 'wall', x: targetX + offsetX, y: targetY, z: z - 20, speed: moving ? speed : 0 });
+    }
+
+    // Wind around the hoop; sizes and falloffs not given here take the course defaults
+    spawnField(targetX, targetY, z) {
+        const kind = this.rng();
+        if (kind < 0.4) this.spawnFan(targetX, targetY, z);
+        else if (kind < 0.55) this.addObject(fieldDef('thermal', targetX + (this.rng() - 0.5) * 16, 25, z - 10, { force: 12 + this.rng() * 8 }));
+        else if (kind < 0.7) this.addObject(fieldDef('downdraft', targetX + (this.rng() - 0.5) * 16, 25, z - 10, { force: 12 + this.rng() * 8 }));
+        else if (kind < 0.85) this.addObject(fieldDef('gust', targetX, 25, z - 20, { force: (this.rng() < 0.5 ? -1 : 1) * (20 + this.rng() * 15) }));
+        else this.addObject(fieldDef('turbulence', targetX, targetY, z - 5, {}));
+    }
+
+    spawnFan(targetX, targetY, z) {
+        // Beside the hoop, blowing across it
+        const [dirX, dirY] = [[-1, 0], [1, 0], [0, -1], [0, 1]][Math.floor(this.rng() * 4)];
+        const y = Math.max(1, Math.min(targetY - dirY * 10, 50));
+        this.addObject(fieldDef('fan', targetX - dirX * 10, y, z - 10, { force: 30, dirX, dirY, dirZ: 0 }));
+    }
+
+    spawnLog(targetX, targetY, z) {
+        this.addObject({ type: 'log', x: targetX, y: targetY + (this.rng() * 10 - 5), z: z - 15, swinging: true });
+    }
+
+    // Places one object from a definition in the course format (see course.js)
+    addObject(def) {
+        let obj;
+        if (def.type === 'hoop') {
+            obj = this.acquireObject('hoop');
+            obj.mesh.scale.setScalar(this.ruleSet.HOOP_SCALE);
+            this.setHoopColor(obj, HOOP_COLORS.ready);
+        } else if (def.type === 'wall') {
+            obj = this.acquireObject('wall');
+            obj.moving = def.speed !== 0;
+            obj.speed = def.speed;
+            obj.originX = def.x;
+            obj.range = def.range; // undefined: bounce relative to the player
+        } else if (FIELD_TYPES.includes(def.type)) {
+            obj = this.acquireObject(def.type);
+            obj.field.place(def);
+        } else if (def.type === 'log') {
+            obj = this.acquireObject('log');
+            obj.swinging = def.swinging;
+            obj.angle = 0;
+        } else {
+            throw new Error(`Unknown object type: ${def.type}`);
+        }
+
+        obj.active = true;
+        obj.mesh.position.set(def.x, def.y, def.z);
+        if (INSTANCED[obj.type]) this.updateInstance(obj);
+        this.objects.push(obj);
+        return obj;
+    }
+
+    // A recycled object, in the scene or with a fresh instance slot if it's INSTANCED.
+    // Clears what the last run of it left behind; the caller sets the rest.
+    acquireObject(type) {
+        const obj = this.pools[type].acquire();
+        if (!INSTANCED[type]) this.scene.add(obj.mesh);
+        else if (this.batches) obj.slot = this.batches[type].add();
+        obj.records = null;
+        obj.mesh.rotation.set(0, 0, 0);
+        obj.mesh.scale.setScalar(1);
+        obj.mesh.visible = true;
+        return obj;
+    }
+
+    // Copies the object's transform to its instance
+    updateInstance(obj) {
+        if (!this.batches) return;
+        obj.mesh.updateMatrix();
+        this.batches[obj.type].setMatrix(obj.slot, obj.mesh.matrix);
+    }
+
+    setHoopColor(obj, color) {
+        if (this.batches) this.batches.hoop.setColor(obj.slot, color);
+    }
+
+    removeObject(obj) {
+        if (!INSTANCED[obj.type]) this.scene.remove(obj.mesh);
+        else if (this.batches) this.batches[obj.type].remove(obj.slot);
+        this.pools[obj.type].release(obj);
+    }
+
+    // --- Game Logic ---
+
+    // flying: players still in the run
+    updateObjects(dt, flying) {
+        const targets = flying.map(player => ({
+            position: player.eagle.position,
+            velocity: player.velocity.subVectors(player.eagle.position, player.prevPosition).divideScalar(dt),
+        }));
+        const trailZ = Math.max(...flying.map(player => player.eagle.position.z));
+
+        // Kept objects are packed to the front as we go; those too far behind are dropped
+        let kept = 0;
+        for (const obj of this.objects) {
+            // Logic for obstacles
+            if (obj.type === 'wall' && obj.moving) {
+                obj.mesh.position.x += obj.speed * dt;
+                if (obj.range === undefined) {
+                    const playerPos = nearestTarget(targets, obj.mesh.position).position;
+                    if (Math.abs(obj.mesh.position.x - playerPos.x) > 50) obj.speed *= -1; // Bounce vaguely
+                } else if (Math.abs(obj.mesh.position.x - obj.originX) > obj.range) {
+                    obj.speed = -Math.sign(obj.mesh.position.x - obj.originX) * Math.abs(obj.speed);
+                }
+                this.updateInstance(obj);
+            }
+            else if (obj.type === 'log' && obj.swinging) {
+                obj.angle += dt * 2;
+                obj.mesh.position.y += Math.sin(obj.angle) * 0.1;
+                this.updateInstance(obj);
+            }
+            else if (obj.field) {
+                obj.field.update(dt, this.time);
+            }
+            else if (obj.enemy) {
+                obj.enemy.update(dt, this.time, nearestTarget(targets, obj.mesh.position));
+            }
+            else if (obj.type === 'pickup') {
+                animatePickup(obj.mesh, obj.baseY, this.time);
+            }
+
+            // Cleanup, once everyone still flying is past
+            if (obj.mesh.position.z > trailZ + CONFIG.REMOVE_DISTANCE) {
+                this.removeObject(obj);
+                this.emit('remove', { obj });
+            } else {
+                this.objects[kept++] = obj;
+            }
+        }
+        this.objects.length = kept;
+    }
+
+    // { name, live, pooled, allocated } for each pool of recycled objects
+    poolStats() {
+        return Object.values(this.pools).map(pool => pool.stats());
+    }
+
+    // Moving air carries the eagle along, before collisions so the swept path includes it.
+    // That's the force fields plus the weather's gusts.
+    applyFields(player, dt) {
+        const wind = player.wind.copy(this.climate.gustAt(this.time, _gust));
+        for (const obj of this.objects) {
+            if (obj.field) obj.field.addWindAt(player.eagle.position, this.time, wind);
+        }
+        if (wind.lengthSq() === 0) return;
+
+        const eagle = player.eagle;
+        eagle.position.addScaledVector(wind, dt);
+        eagle.position.y = Math.max(1, Math.min(eagle.position.y, 50));
+        eagle.position.x = Math.max(-100, Math.min(eagle.position.x, 100));
+    }
+
+    checkCollisions(player) {
+        const from = player.prevPosition;
+        const to = player.eagle.position;
+        const radius = CONFIG.PLAYER_RADIUS;
+        const minZ = Math.min(from.z, to.z);
+        const maxZ = Math.max(from.z, to.z);
+
+        for (const obj of this.objects) {
+            if (!obj.active || obj.field || player.state.gameOver) continue;
+
+            if (obj.enemy) {
+                if (obj.enemy.hits(from, to, radius)) this.crash(player);
+                continue;
+            }
+            if (obj.type === 'pickup') {
+                if (sweptSphereHitsSphere(from, to, radius, obj.mesh.position, CONFIG.POWERUPS.PICKUP_RADIUS)) this.collectPowerUp(player, obj);
+                continue;
+            }
+
+            const record = playerRecord(obj, player);
+            if (record.decided) continue;
+            const objPos = obj.mesh.position;
+            const reach = obj.mesh.geometry.boundingSphere.radius * obj.mesh.scale.x + radius;
+
+            // Once an obstacle is behind, see how close the eagle came
+            if (record.closest !== undefined && objPos.z > maxZ + reach) {
+                record.decided = true;
+                if (!record.touched && record.closest - radius < CONFIG.SCORING.NEAR_MISS_DISTANCE) this.scoreNearMiss(player, obj);
+                continue;
+            }
+
+            // Skip anything this step's path can't reach
+            const gapZ = Math.max(0, objPos.z - maxZ, minZ - objPos.z);
+            if (gapZ > reach) continue;
+
+            const [a, b] = pathToLocal(obj.mesh, from, to);
+            if (obj.type === 'hoop') {
+                this.sweepHoop(player, obj, a, b, radius);
+            } else if (obj.type === 'log' || obj.type === 'wall') {
+                const clearance = obj.type === 'log' ? capsuleClearance(a, b, shapes.log) : boxClearance(a, b, shapes.wall);
+                record.closest = Math.min(record.closest === undefined ? Infinity : record.closest, clearance);
+                if (clearance < radius) {
+                    record.touched = true;
+                    this.crash(player);
+                }
+            }
+        }
+    }
+
+    // Hills, cliffs and trees on the valley sides. The valley floor is always
+    // below the eagle's lowest altitude, so it never counts.
+    checkTerrain(player) {
+        if (player.state.gameOver) return;
+        const pos = player.eagle.position;
+        const radius = CONFIG.PLAYER_RADIUS;
+        const ground = this.terrain.heightAt(pos.x, pos.z);
+        if (pos.y - ground >= radius && !this.hitsTree(player.prevPosition, pos, radius)) return;
+
+        this.crash(player);
+        // Climb back out so a crash that isn't fatal doesn't repeat every step
+        if (!player.state.gameOver) pos.y = Math.min(Math.max(pos.y, ground + radius), 50);
+    }
+
+    hitsTree(from, to, radius) {
+        if (Math.max(Math.abs(from.x), Math.abs(to.x)) + radius < this.terrain.flatHalfWidth) return false;
+        const reach = CONFIG.TERRAIN.TREE_RADIUS + radius;
+        const trees = this.terrain.treesIn(
+            Math.min(from.x, to.x) - reach, Math.max(from.x, to.x) + reach,
+            Math.min(from.z, to.z) - reach, Math.max(from.z, to.z) + reach);
+        return trees.some(tree => {
+            _tree.radius = tree.radius * TREE_COLLISION_SCALE;
+            _tree.start.set(tree.x, tree.y, tree.z);
+            _tree.end.set(tree.x, tree.y + tree.height - _tree.radius, tree.z);
+            return capsuleClearance(from, to, _tree) < radius;
+        });
+    }
+
+    scoreNearMiss(player, obj) {
+        const state = player.state;
+        const scored = scoreNearMiss(state.streak);
+        state.score += scored.points;
+        addToBreakdown(state.breakdown, scored, 'nearmiss');
+        this.emit('nearmiss', { obj, scored }, player);
+    }
+
+    // A hoop is decided when the eagle crosses its plane: through the opening
+    // passes it, anywhere else misses it. Touching the rim on the way turns a
+    // pass into a bump (no speed bonus) and a miss into a fail. The magnet
+    // widens the opening and forgives the rim. a and b are in the hoop's local
+    // space, which is scaled by the rules' HOOP_SCALE, so the eagle is too.
+    sweepHoop(player, obj, a, b, radius) {
+        const state = player.state;
+        const record = playerRecord(obj, player);
+        const magnet = state.powerups.magnet > 0;
+        const result = sweepRing(a, b, radius / obj.mesh.scale.x, shapes.hoop);
+        if (result.touchedRim && !magnet) record.clipped = true;
+        if (!result.crossed) return;
+
+        const clipped = Boolean(record.clipped);
+        const opening = shapes.hoop.radius * (magnet ? CONFIG.POWERUPS.MAGNET_RADIUS_SCALE : 1);
+        record.decided = true; // Don't check again
+        obj.active = !this.players.every(p => playerRecord(obj, p).decided);
+        if (result.crossRadius < opening) {
+            this.setHoopColor(obj, clipped ? HOOP_COLORS.bumped : HOOP_COLORS.passed);
+            state.hoops++;
+            state.streak++;
+            state.breakdown.bestStreak = Math.max(state.breakdown.bestStreak, state.streak);
+            const scored = scoreHoop(1 - result.crossRadius / opening, clipped, state.streak);
+            state.score += scored.points;
+            addToBreakdown(state.breakdown, scored, 'hoop');
+
+            // Increase speed slightly
+            if (!clipped) state.speed = Math.min(state.speed + this.ruleSet.SPEED_PER_HOOP, CONFIG.PLAYER_SPEED_MAX);
+
+            this.emit('hoop', { obj, clipped, scored }, player);
+            this.recordCheckpoint(player, false);
+        } else {
+            state.misses++;
+            state.streak = 0;
+            this.setHoopColor(obj, HOOP_COLORS.missed);
+            if (this.ruleSet.TIME_TRIAL) state.penalty += this.ruleSet.TIME_TRIAL.MISS_PENALTY;
+
+            this.emit('miss', { obj, clipped }, player);
+            this.recordCheckpoint(player, true);
+
+            if (state.misses >= this.ruleSet.MAX_MISSES) {
+                this.knockOut(player, 'misses');
+            }
+        }
+    }
+
+    // --- Time trial ---
+
+    // Elapsed time plus penalties
+    raceTime(player = this.players[0]) {
+        return player.state.time + player.state.penalty;
+    }
+
+    recordCheckpoint(player, missed) {
+        if (!this.ruleSet.TIME_TRIAL) return;
+        const time = this.raceTime(player);
+        player.state.splits.push(time);
+        this.emit('checkpoint', { index: player.state.splits.length - 1, time, missed }, player);
+    }
+
+    // --- Power-ups ---
+
+    collectPowerUp(player, obj) {
+        const state = player.state;
+        obj.active = false;
+        obj.mesh.visible = false;
+        if (obj.kind === 'life') {
+            state.misses = Math.max(0, state.misses - 1);
+        } else {
+            state.powerups[obj.kind] = CONFIG.POWERUPS[`${obj.kind.toUpperCase()}_DURATION`];
+        }
+        this.updateTimeScale();
+        this.emit('powerup', { kind: obj.kind }, player);
+    }
+
+    // Counts down in real (unscaled) time
+    updatePowerUps(realDt) {
+        this.players.forEach(player => {
+            const state = player.state;
+            TIMED_POWERUPS.forEach(kind => {
+                if (state.powerups[kind] <= 0) return;
+                state.powerups[kind] = Math.max(0, state.powerups[kind] - realDt);
+                if (state.powerups[kind] === 0) this.emit('powerupend', { kind }, player);
+            });
+            state.invulnerable = Math.max(0, state.invulnerable - realDt);
+
+            // Bubble while shielded, flickering during the grace period after a hit
+            player.shieldBubble.visible = state.powerups.shield > 0 ||
+                (state.invulnerable > 0 && Math.floor(state.invulnerable * 10) % 2 === 0);
+        });
+        this.updateTimeScale();
+    }
+
+    // Anyone's slow-mo slows the whole world
+    updateTimeScale() {
+        this.timeScale = this.players.some(player => player.state.powerups.slowmo > 0) ? CONFIG.POWERUPS.SLOWMO_SCALE : 1;
+    }
+
+    // Hitting an obstacle or enemy: the shield takes the blow if it's up
+    crash(player) {
+        const state = player.state;
+        if (state.invulnerable > 0) return;
+        if (state.powerups.shield > 0) {
+            state.powerups.shield = 0;
+            state.invulnerable = CONFIG.POWERUPS.SHIELD_GRACE;
+            this.emit('shield', undefined, player);
+            return;
+        }
+        if (!this.ruleSet.FATAL_CRASHES) {
+            // Knocked about: lose the streak and some speed, with a moment to get clear
+            state.invulnerable = CONFIG.POWERUPS.SHIELD_GRACE;
+            state.streak = 0;
+            state.speed = Math.max(CONFIG.PLAYER_SPEED_BASE, state.speed - this.ruleSet.CRASH_SPEED_LOSS);
+            if (this.ruleSet.TIME_TRIAL) state.penalty += this.ruleSet.TIME_TRIAL.CRASH_PENALTY;
+            this.emit('hit', undefined, player);
+            return;
+        }
+        this.knockOut(player, 'crash');
+    }
+
+    // Ends one player's run; the game is over once nobody is left flying.
+    // reason: 'crash', 'misses', 'finish', or 'quit' when the run is ended from outside
+    knockOut(player, reason) {
+        if (player.state.gameOver) return; // Prevent multiple triggers
+        player.state.gameOver = true;
+        player.state.endReason = reason;
+        player.shieldBubble.visible = false;
+        this.emit('out', { reason }, player);
+
+        if (this.players.every(p => p.state.gameOver)) {
+            this.gameOver = true;
+            this.emit('gameover', { reason }, player);
+        }
+    }
+
+    // Ends the run for everyone still flying
+    endRun(reason) {
+        this.players.forEach(player => this.knockOut(player, reason));
+    }
+}
+
+function createPlayerState() {
+    return {
+        score: 0, // Points, see scoring.js
+        hoops: 0, // Hoops passed; difficulty ramps with this
+        streak: 0, // Hoops in a row without a miss
+        breakdown: createScoreBreakdown(),
+        misses: 0,
+        gameOver: false, // This player is out
+        endReason: null, // Why, once they are: see knockOut
+        speed: CONFIG.PLAYER_SPEED_BASE,
+        currentSpeed: CONFIG.PLAYER_SPEED_BASE, // Including boost, for the speed meter
+        maxSpeed: CONFIG.PLAYER_SPEED_BASE,
+        distanceTraveled: 0,
+        time: 0, // Time spent flying; stops when the player is out
+        frame: 0,
+        penalty: 0, // Time trial seconds added for misses and crashes
+        splits: [], // Time trial race clock at each checkpoint
+        stalled: false,
+        boost: 0, // Latest input's, 0..1, for effects
+        powerups: { shield: 0, magnet: 0, slowmo: 0 }, // Seconds left on each timed power-up
+        invulnerable: 0, // Seconds of crash immunity left after the shield absorbed one
+    };
+}
+
+// Each player's progress past a shared hoop or obstacle: { decided, clipped, closest, touched }
+function playerRecord(obj, player) {
+    if (!obj.records) obj.records = [];
+    if (!obj.records[player.index]) obj.records[player.index] = {};
+    return obj.records[player.index];
+}
+
+function nearestTarget(targets, position) {
+    let best = targets[0];
+    for (const target of targets) {
+        if (target.position.distanceToSquared(position) < best.position.distanceToSquared(position)) best = target;
+    }
+    return best;
+}
+
+// Fills in the course defaults for whatever the spawner doesn't choose
+function fieldDef(type, x, y, z, values) {
+    const def = { type, x, y, z };
+    Object.entries(OBJECT_FIELDS[type]).forEach(([key, field]) => { def[key] = field.default; });
+    return Object.assign(def, values);
+}
+
+// Two posts and a banner, with a faint plane marking the line itself
+export function createFinishGate(z) {
+    const gate = new THREE.Group();
+    [-101, 101].forEach(x => {
+        const post = new THREE.Mesh(geometries.finishPost, materials.finishPost);
+        post.position.set(x, 25, 0);
+        gate.add(post);
+    });
+    const banner = new THREE.Mesh(geometries.finishBanner, materials.finishBanner);
+    banner.position.set(0, 55, 0);
+    gate.add(banner);
+    const plane = new THREE.Mesh(geometries.finishPlane, materials.finishPlane);
+    plane.position.set(0, 25, 0);
+    gate.add(plane);
+    gate.position.z = z;
+    return gate;
+}
@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+
+// Draws the run's time of day and weather from weather.js: the sky colour and
+// fog, sunlight or moonlight, rain and lightning. Purely visual; the gusts
+// that push the eagle are the simulation's.
+
+const RAIN_DROPS = 1500; // At the heaviest rain
+const RAIN_BOX = new THREE.Vector3(120, 60, 140); // Drops fall in a box this size around the camera
+const RAIN_SPEED = 70;
+const RAIN_STREAK = 0.04; // Seconds of movement each streak shows
+
+const COLORS = {
+    day: new THREE.Color(0x87CEEB),
+    dusk: new THREE.Color(0xF49A6C),
+    night: new THREE.Color(0x0B1030),
+    overcast: new THREE.Color(0x7D848C),
+    flash: new THREE.Color(0xE8ECFF),
+    sun: new THREE.Color(0xFFFFFF),
+    sunset: new THREE.Color(0xFFB070),
+    moon: new THREE.Color(0x8090C0),
+};
+
+const _overcast = new THREE.Color();
+const _gust = new THREE.Vector3();
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+export class Sky {
+    constructor(scene) {
+        this.scene = scene;
+        scene.background = new THREE.Color();
+        scene.fog = new THREE.Fog(scene.background, 100, 500);
+        this.ambient = new THREE.AmbientLight(0xffffff, 0.6);
+        this.sun = new THREE.DirectionalLight(0xffffff, 0.8); // The moon at night
+        scene.add(this.ambient, this.sun);
+
+        this.climate = null;
+        this.time = 0;
+        this.conditions = {}; // Latest from climate.conditionsAt
+        this.darkness = 0; // 0 in full daylight, 1 on a dark night or in a black storm
+
+        // Each drop is a short streak: two vertices, from its position back along its path
+        this.drops = new Float32Array(RAIN_DROPS * 3);
+        for (let i = 0; i < RAIN_DROPS; i++) {
+            this.drops[i * 3] = (Math.random() - 0.5) * RAIN_BOX.x;
+            this.drops[i * 3 + 1] = (Math.random() - 0.5) * RAIN_BOX.y;
+            this.drops[i * 3 + 2] = (Math.random() - 0.5) * RAIN_BOX.z;
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(RAIN_DROPS * 6), 3));
+        this.rain = new THREE.LineSegments(geometry,
+            new THREE.LineBasicMaterial({ color: 0xAABBCC, transparent: true, opacity: 0.5 }));
+        this.rain.frustumCulled = false; // It's always around the camera
+        scene.add(this.rain);
+
+        this.reset();
+    }
+
+    // Clear daylight with no weather, for the course editor
+    reset() {
+        this.climate = null;
+        this.darkness = 0;
+        this.scene.background.copy(COLORS.day);
+        this.scene.fog.color.copy(COLORS.day);
+        this.scene.fog.near = 100;
+        this.scene.fog.far = 500;
+        this.ambient.intensity = 0.6;
+        this.sun.color.copy(COLORS.sun);
+        this.sun.intensity = 0.8;
+        this.sun.position.set(100, 200, 100);
+        this.rain.visible = false;
+    }
+
+    // climate: the simulation's, from weather.js; time: its run time.
+    // speed: how fast the eagle flies, so the rain streams past.
+    update(climate, time, elapsed, speed = 0) {
+        this.climate = climate;
+        this.time = time;
+        const conditions = climate.conditionsAt(time, 0, this.conditions);
+        const overcast = conditions.overcast;
+        const flash = climate.flashAt(time);
+
+        // The sun rises at a quarter through the day and sets at three quarters
+        const angle = (climate.timeOfDay(time) - 0.25) * Math.PI * 2;
+        const sunHeight = Math.sin(angle);
+        const daylight = smoothstep(-0.1, 0.2, sunHeight);
+        const dusk = (1 - smoothstep(0.05, 0.35, Math.abs(sunHeight))) * (1 - overcast);
+        this.darkness = 1 - daylight * (1 - 0.4 * overcast);
+
+        // Clouds are grey by day and nearly black by night
+        _overcast.copy(COLORS.overcast).multiplyScalar(0.25 + 0.75 * daylight);
+        this.scene.background.copy(COLORS.night).lerp(COLORS.day, daylight)
+            .lerp(COLORS.dusk, dusk * 0.7)
+            .lerp(_overcast, overcast * 0.8)
+            .lerp(COLORS.flash, flash * 0.7);
+        this.scene.fog.color.copy(this.scene.background);
+
+        this.ambient.intensity = (0.2 + 0.4 * daylight) * (1 - 0.25 * overcast) + flash * 1.2;
+        if (sunHeight > 0) {
+            this.sun.position.set(Math.cos(angle) * 200, sunHeight * 200, 100);
+            this.sun.color.copy(COLORS.sun).lerp(COLORS.sunset, dusk);
+            this.sun.intensity = 0.8 * daylight * (1 - 0.6 * overcast);
+        } else { // The moon, opposite the sun
+            this.sun.position.set(-Math.cos(angle) * 200, -sunHeight * 200, 100);
+            this.sun.color.copy(COLORS.moon);
+            this.sun.intensity = 0.3 * (1 - daylight) * (1 - 0.7 * overcast);
+        }
+
+        this.updateRain(conditions.rain, elapsed, speed);
+    }
+
+    updateRain(heaviness, elapsed, speed) {
+        const count = Math.round(Math.min(1, heaviness / 2) * RAIN_DROPS);
+        this.rain.visible = count > 0;
+        if (!this.rain.visible) return;
+
+        // Relative to the camera the rain falls, drifts with the gusts and rushes towards it
+        const vx = this.climate.gustAt(this.time, _gust).x;
+        const vy = -RAIN_SPEED * (0.8 + 0.2 * heaviness);
+        const vz = speed;
+        const drops = this.drops;
+        const position = this.rain.geometry.attributes.position;
+        for (let i = 0; i < count; i++) {
+            let x = drops[i * 3] + vx * elapsed;
+            let y = drops[i * 3 + 1] + vy * elapsed;
+            let z = drops[i * 3 + 2] + vz * elapsed;
+            x = wrap(x, RAIN_BOX.x);
+            y = wrap(y, RAIN_BOX.y);
+            z = wrap(z, RAIN_BOX.z);
+            drops[i * 3] = x;
+            drops[i * 3 + 1] = y;
+            drops[i * 3 + 2] = z;
+            position.setXYZ(i * 2, x, y, z);
+            position.setXYZ(i * 2 + 1, x - vx * RAIN_STREAK, y - vy * RAIN_STREAK, z - vz * RAIN_STREAK);
+        }
+        position.needsUpdate = true;
+        this.rain.geometry.setDrawRange(0, count * 2);
+    }
+
+    // Call before rendering each view: the fog depends on where along the course
+    // the camera is (fog banks), and the rain surrounds it
+    follow(camera) {
+        this.rain.position.copy(camera.position);
+        if (!this.climate) return;
+        const conditions = this.climate.conditionsAt(this.time, camera.position.z, this.conditions);
+        this.scene.fog.near = conditions.fogNear;
+        this.scene.fog.far = conditions.fogFar;
+    }
+}
+
+// Keeps value within a box of this size centred on 0
+function wrap(value, size) {
+    const half = size / 2;
+    if (value < -half) return value + size;
+    if (value > half) return value - size;
+    return value;
+}
@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+
+// Positional sound for the course. Every sounding object gets a voice: a
+// PannerNode placed at the object, so it's heard from where it is relative to
+// the camera (the AudioContext's listener).
+//   fan    a whirring blade and rushing air, always on
+//   log    a swoosh that swells each time a swinging log moves fastest
+//   wall   an electric hum while the wall slides
+//   hoop   a chime every CHIME_INTERVAL while it's ahead, to find it by ear
+// Only objects within RANGE of the listener sound, and of those only the
+// nearest MAX_VOICES, so a busy stretch of course doesn't swamp the
+// AudioContext. Voices fade out when they drop off that list or when their
+// object is removed, then disconnect.
+
+const RANGE = 250; // Farther objects are silent
+const MAX_VOICES = 8;
+const REF_DISTANCE = 12; // Full volume this close; quieter with distance beyond
+const FADE = 0.15; // Time constant of voice fades, in seconds
+const CHIME_INTERVAL = 1.2; // Seconds between a hoop's chimes
+const CHIME_NOTES = [1318.5, 1975.5]; // E6 then B6, a bright open fifth
+
+// Peak gain per kind of voice
+const LEVELS = { fan: 0.25, log: 0.35, wall: 0.12, hoop: 0.2 };
+
+const _forward = new THREE.Vector3();
+const _up = new THREE.Vector3();
+
+// The kind of voice obj has right now, or null if it's silent
+function voiceKind(obj, listenerZ) {
+    if (!obj.active) return null;
+    if (obj.type === 'fan') return 'fan';
+    if (obj.type === 'log' && obj.swinging) return 'log';
+    if (obj.type === 'wall' && obj.moving) return 'wall';
+    if (obj.type === 'hoop' && obj.mesh.position.z < listenerZ) return 'hoop'; // Upcoming only
+    return null;
+}
+
+// AudioParams where the browser has them, the older setters otherwise
+function setPosition(node, position) {
+    if (node.positionX) {
+        node.positionX.value = position.x;
+        node.positionY.value = position.y;
+        node.positionZ.value = position.z;
+    } else {
+        node.setPosition(position.x, position.y, position.z);
+    }
+}
+
+export class SpatialAudio {
+    constructor() {
+        this.ctx = null;
+        this.output = null;
+        this.voices = new Map(); // Object -> voice
+        this.noiseBuffer = null; // Shared looping noise for the whooshing voices
+    }
+
+    connect(ctx, output) {
+        this.ctx = ctx;
+        this.output = output;
+        const length = ctx.sampleRate * 2;
+        this.noiseBuffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    }
+
+    // camera: where the listener is and which way it faces; objects: the simulation's.
+    // Call once a frame while a run is on.
+    update(camera, objects) {
+        if (!this.ctx) return;
+        const time = this.ctx.currentTime;
+        this.placeListener(camera, time);
+
+        // The nearest sounding objects in range get voices...
+        const listenerPos = camera.position;
+        const candidates = [];
+        for (const obj of objects) {
+            const kind = voiceKind(obj, listenerPos.z);
+            if (!kind) continue;
+            const distance = obj.mesh.position.distanceTo(listenerPos);
+            if (distance <= RANGE) candidates.push({ obj, kind, distance });
+        }
+        candidates.sort((a, b) => a.distance - b.distance);
+        const chosen = new Set();
+        candidates.slice(0, MAX_VOICES).forEach(({ obj, kind }) => {
+            chosen.add(obj);
+            let voice = this.voices.get(obj);
+            if (voice && voice.kind !== kind) {
+                this.release(obj);
+                voice = null;
+            }
+            if (!voice) {
+                voice = this.createVoice(kind, time);
+                this.voices.set(obj, voice);
+            }
+            setPosition(voice.panner, obj.mesh.position);
+            this.updateVoice(voice, obj, time);
+        });
+
+        // ...and everything else falls silent
+        for (const obj of this.voices.keys()) {
+            if (!chosen.has(obj)) this.release(obj);
+        }
+    }
+
+    placeListener(camera, time) {
+        const listener = this.ctx.listener;
+        camera.getWorldDirection(_forward);
+        _up.set(0, 1, 0).applyQuaternion(camera.quaternion);
+        if (listener.positionX) {
+            listener.positionX.setValueAtTime(camera.position.x, time);
+            listener.positionY.setValueAtTime(camera.position.y, time);
+            listener.positionZ.setValueAtTime(camera.position.z, time);
+            listener.forwardX.setValueAtTime(_forward.x, time);
+            listener.forwardY.setValueAtTime(_forward.y, time);
+            listener.forwardZ.setValueAtTime(_forward.z, time);
+            listener.upX.setValueAtTime(_up.x, time);
+            listener.upY.setValueAtTime(_up.y, time);
+            listener.upZ.setValueAtTime(_up.z, time);
+        } else {
+            listener.setPosition(camera.position.x, camera.position.y, camera.position.z);
+            listener.setOrientation(_forward.x, _forward.y, _forward.z, _up.x, _up.y, _up.z);
+        }
+    }
+
+    // Sources run from here into gain -> panner -> output
+    createVoice(kind, time) {
+        const panner = this.ctx.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = REF_DISTANCE;
+        panner.maxDistance = RANGE;
+        panner.rolloffFactor = 1.5;
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(0, time);
+        gain.connect(panner);
+        panner.connect(this.output);
+        const voice = { kind, panner, gain, sources: [], nextChime: time };
+
+        if (kind === 'fan') {
+            const blade = this.ctx.createOscillator(); // Blade pass
+            blade.type = 'sawtooth';
+            blade.frequency.value = 70;
+            const bladeFilter = this.ctx.createBiquadFilter();
+            bladeFilter.type = 'lowpass';
+            bladeFilter.frequency.value = 300;
+            blade.connect(bladeFilter);
+            bladeFilter.connect(gain);
+            const air = this.noise(gain, 'bandpass', 900, 0.8);
+            voice.sources.push(blade, air);
+            gain.gain.setTargetAtTime(LEVELS.fan, time, FADE);
+        } else if (kind === 'log') {
+            voice.sources.push(this.noise(gain, 'bandpass', 500, 1.5));
+        } else if (kind === 'wall') {
+            [110, 220.5].forEach(freq => { // Slightly detuned, so it beats like mains hum
+                const osc = this.ctx.createOscillator();
+                osc.type = 'triangle';
+                osc.frequency.value = freq;
+                osc.connect(gain);
+                voice.sources.push(osc);
+            });
+            gain.gain.setTargetAtTime(LEVELS.wall, time, FADE);
+        } else if (kind === 'hoop') {
+            gain.gain.setValueAtTime(1, time); // Each chime shapes its own envelope
+        }
+        voice.sources.forEach(source => source.start(time));
+        return voice;
+    }
+
+    // Looping filtered noise into output
+    noise(output, type, frequency, Q) {
+        const source = this.ctx.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+        source.loopStart = Math.random(); // Voices don't all hiss in step
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.Q.value = Q;
+        source.connect(filter);
+        filter.connect(output);
+        return source;
+    }
+
+    updateVoice(voice, obj, time) {
+        if (voice.kind === 'log') {
+            // The log's speed follows sin(angle); it whooshes loudest at the middle of each swing
+            const speed = Math.abs(Math.sin(obj.angle));
+            voice.gain.gain.setTargetAtTime(LEVELS.log * speed * speed, time, 0.05);
+        } else if (voice.kind === 'hoop' && time >= voice.nextChime) {
+            this.chime(voice.gain, Math.max(time, voice.nextChime));
+            voice.nextChime = Math.max(time, voice.nextChime) + CHIME_INTERVAL;
+        }
+    }
+
+    chime(output, time) {
+        CHIME_NOTES.forEach((freq, i) => {
+            const start = time + i * 0.08;
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            osc.type = 'sine';
+            osc.frequency.value = freq;
+            gain.gain.setValueAtTime(LEVELS.hoop, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.6);
+            osc.connect(gain);
+            gain.connect(output);
+            osc.start(start);
+            osc.stop(start + 0.6);
+        });
+    }
+
+    // Fades obj's voice out and disconnects it once silent
+    release(obj) {
+        const voice = this.voices.get(obj);
+        if (!voice) return;
+        this.voices.delete(obj);
+        const time = this.ctx.currentTime;
+        const end = time + FADE * 5;
+        voice.gain.gain.cancelScheduledValues(time);
+        voice.gain.gain.setTargetAtTime(0, time, FADE);
+        voice.sources.forEach(source => source.stop(end));
+        setTimeout(() => voice.panner.disconnect(), (end - time + 0.7) * 1000); // After any chime rings out
+    }
+
+    // Silences everything, e.g. when the run ends
+    stop() {
+        for (const obj of [...this.voices.keys()]) this.release(obj);
+    }
+}
@@ -0,0 +1,68 @@
+// Personal best time-trial splits, kept in localStorage per authored course or
+// per seed for generated courses, and per weather on each.
+//
+// Storage layout: { [key]: { splits: [seconds at each checkpoint], total, savedAt } }
+// Keys from before weather have no weather part; they're never read again and
+// age out once MAX_STORED newer keys are saved.
+
+const STORAGE_KEY = 'eagleRider.bestSplits';
+const MAX_STORED = 50;
+
+// weather: the weather choice (see weather.js) the run is flown in
+export function splitsKey(courseId, seed, weather) {
+    return `${courseId ? `course:${courseId}` : `seed:${seed}`}/weather:${weather}`;
+}
+
+function readStored() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+export function loadBestSplits(key) {
+    const best = readStored()[key];
+    if (!best || !Array.isArray(best.splits) || !best.splits.every(Number.isFinite) || !Number.isFinite(best.total)) {
+        return null; // Missing or corrupt
+    }
+    return best;
+}
+
+// Stores the run if it beats the best total for its key. Returns true if stored.
+export function saveBestSplits(key, splits, total) {
+    const best = loadBestSplits(key);
+    if (best && best.total <= total) return false;
+
+    const stored = readStored();
+    stored[key] = { splits, total, savedAt: Date.now() };
+
+    // Keep only the most recently improved keys
+    const keys = Object.keys(stored);
+    if (keys.length > MAX_STORED) {
+        keys.sort((a, b) => (stored[a].savedAt || 0) - (stored[b].savedAt || 0))
+            .slice(0, keys.length - MAX_STORED)
+            .forEach(k => delete stored[k]);
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (e) {
+        return false; // Storage full or unavailable
+    }
+    return true;
+}
+
+// 83.456 -> "1:23.46"
+export function formatRaceTime(seconds) {
+    const hundredths = Math.round(seconds * 100);
+    const minutes = Math.floor(hundredths / 6000);
+    const rest = ((hundredths % 6000) / 100).toFixed(2).padStart(5, '0');
+    return `${minutes}:${rest}`;
+}
+
+// Ahead of the best is negative: "-0.52"; behind is "+1.20"
+export function formatDelta(seconds) {
+    return `${seconds < 0 ? '-' : '+'}${Math.abs(seconds).toFixed(2)}`;
+}
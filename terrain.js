@@ -0,0 +1,123 @@
+import { CONFIG } from './config.js';
+
+// The ground, generated from the course seed so every run on a seed flies over
+// the same land. The course runs down a valley: its floor is flat enough that
+// the eagle's y >= 1 clamp always keeps it clear, and rivers wind along it.
+// Beyond the floor the sides rise into hills, some stretches end in cliffs,
+// and trees grow on the slopes. Those are what the eagle can crash into.
+//
+// Everything is a pure function of the seed and the position, so the
+// simulation can test collisions anywhere and landscape.js can build ground
+// tiles in any order; neither draws from the course's random sequence.
+
+const T = CONFIG.TERRAIN;
+const FLOOR_CEILING = 1 - CONFIG.PLAYER_RADIUS; // The y >= 1 clamp keeps the eagle clear of ground this low
+
+// Offsets that give each feature its own noise from the same seed
+const LAYER = { FLOOR: 1, RIVER: 2, HILLS: 3, CLIFFS: 5, CLIFF_EDGE: 7, TREES: 9 };
+
+// Integer hash of a lattice point, as a number in [0, 1)
+function hash(seed, ix, iz) {
+    let h = (seed ^ Math.imul(ix, 0x27D4EB2D) ^ Math.imul(iz, 0x165667B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// Smoothly interpolated lattice values, -1..1
+function valueNoise(seed, x, z) {
+    const ix = Math.floor(x);
+    const iz = Math.floor(z);
+    const fx = x - ix;
+    const fz = z - iz;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sz = fz * fz * (3 - 2 * fz);
+    const top = lerp(hash(seed, ix, iz), hash(seed, ix + 1, iz), sx);
+    const bottom = lerp(hash(seed, ix, iz + 1), hash(seed, ix + 1, iz + 1), sx);
+    return lerp(top, bottom, sz) * 2 - 1;
+}
+
+// Octaves of value noise, each half the size and strength of the last; -1..1
+function fractalNoise(seed, x, z, octaves) {
+    let sum = 0;
+    let amplitude = 1;
+    let total = 0;
+    for (let i = 0; i < octaves; i++) {
+        sum += valueNoise(seed + i * 101, x, z) * amplitude;
+        total += amplitude;
+        amplitude *= 0.5;
+        x *= 2;
+        z *= 2;
+    }
+    return sum / total;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+// authored: courses place objects anywhere in the flying area, so their floor
+// is flat all the way across and hazards only start outside it
+export function createTerrain(seed, { authored = false } = {}) {
+    seed >>>= 0;
+    const flatHalfWidth = authored ? T.COURSE_FLAT_HALF_WIDTH : T.FLAT_HALF_WIDTH;
+
+    function riverX(z) {
+        return valueNoise(seed + LAYER.RIVER, z * 0.004, 0) * T.RIVER_MEANDER;
+    }
+
+    function heightAt(x, z) {
+        // Valley floor, never higher than the eagle can reach
+        let h = Math.min(T.FLOOR_HEIGHT + fractalNoise(seed + LAYER.FLOOR, x * 0.015, z * 0.015, 3) * T.FLOOR_ROLL, FLOOR_CEILING);
+
+        // River channel with sloping banks
+        const fromRiver = Math.abs(x - riverX(z));
+        h -= T.RIVER_DEPTH * (1 - smoothstep(T.RIVER_WIDTH / 2, T.RIVER_WIDTH, fromRiver));
+
+        // Valley sides: hills rising away from the floor, walled off by cliffs in places
+        const beyond = Math.abs(x) - flatHalfWidth;
+        if (beyond > 0) {
+            const side = x < 0 ? 0 : 1;
+            const hills = (0.6 + 0.4 * fractalNoise(seed + LAYER.HILLS + side, x * 0.01, z * 0.01, 4)) *
+                T.HILL_HEIGHT * smoothstep(0, T.HILL_RISE, beyond);
+            const cliffNoise = (valueNoise(seed + LAYER.CLIFFS + side, z * 0.003, 0) + 1) / 2;
+            const cliffMask = smoothstep(1 - T.CLIFF_SHARE, 1 - T.CLIFF_SHARE + 0.1, cliffNoise);
+            const cliffStart = 6 + 20 * (valueNoise(seed + LAYER.CLIFF_EDGE + side, z * 0.01, 0) + 1) / 2;
+            const cliff = T.CLIFF_HEIGHT * cliffMask * smoothstep(cliffStart, cliffStart + 3, beyond);
+            h += hills + cliff;
+        }
+        return Math.min(h, T.MAX_HEIGHT);
+    }
+
+    // The tree in a cell, if it has one: { x, z, y (ground), height, radius }
+    function treeInCell(ix, iz) {
+        const treeSeed = seed + LAYER.TREES;
+        if (hash(treeSeed, ix, iz) >= T.TREE_CHANCE) return null;
+        const x = (ix + hash(treeSeed + 1, ix, iz)) * T.TREE_CELL;
+        const z = (iz + hash(treeSeed + 2, ix, iz)) * T.TREE_CELL;
+        if (Math.abs(x) < flatHalfWidth + T.TREE_RADIUS) return null; // Only on the valley sides
+        const y = heightAt(x, z);
+        if (y > T.TREE_LINE) return null;
+        const height = lerp(T.TREE_MIN_HEIGHT, T.TREE_MAX_HEIGHT, hash(treeSeed + 3, ix, iz));
+        return { x, z, y, height, radius: T.TREE_RADIUS };
+    }
+
+    // Trees whose cells overlap the rectangle, appended to out
+    function treesIn(minX, maxX, minZ, maxZ, out = []) {
+        const cell = T.TREE_CELL;
+        for (let ix = Math.floor(minX / cell); ix <= Math.floor(maxX / cell); ix++) {
+            for (let iz = Math.floor(minZ / cell); iz <= Math.floor(maxZ / cell); iz++) {
+                const tree = treeInCell(ix, iz);
+                if (tree) out.push(tree);
+            }
+        }
+        return out;
+    }
+
+    return { seed, flatHalfWidth, heightAt, riverX, treesIn };
+}
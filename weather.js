@@ -0,0 +1,165 @@
+import { CONFIG } from './config.js';
+import { createRng } from './random.js';
+
+// Time of day and weather for a run. Both come from the course seed, so every
+// run on a seed gets the same sky, and both are worked out from the run's
+// clock, so a replay or a ghost meets exactly the weather of the original run.
+// The simulation takes its gusts from here; sky.js draws the rest.
+//
+// A weather choice is a key of CONFIG.WEATHER_TYPES for the same weather all
+// run, or 'changing' for spells of seeded weather, each blending into the next.
+
+const S = CONFIG.SKY;
+const TYPES = CONFIG.WEATHER_TYPES;
+const WEATHER_SALT = 0x5EA7E4; // Keeps the weather's random sequence apart from the course's
+
+// Condition -> the CONFIG.WEATHER_TYPES field it blends
+const BLENDED = {
+    fogNear: 'FOG_NEAR',
+    fogFar: 'FOG_FAR',
+    overcast: 'OVERCAST',
+    gust: 'GUST',
+    rain: 'RAIN',
+    lightning: 'LIGHTNING',
+};
+
+// Offsets that give each effect its own noise from the same seed
+const LAYER = { BANKS: 1, GUST_X: 2, GUST_Y: 3, GUST_BURSTS: 4, STRIKE: 5, STRIKE_TIME: 6 };
+
+export const WEATHER_CHOICES = ['changing', ...Object.keys(TYPES)];
+
+export function isWeatherChoice(value) {
+    return WEATHER_CHOICES.includes(value);
+}
+
+export function weatherLabel(choice) {
+    if (choice === 'changing') return 'Changing';
+    return TYPES[choice] ? TYPES[choice].LABEL : choice;
+}
+
+// Integer hash, as a number in [0, 1)
+function hash(seed, i) {
+    let h = (seed ^ Math.imul(i, 0x27D4EB2D)) >>> 0;
+    h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// Smoothly interpolated values along one axis, -1..1
+function noise(seed, x) {
+    const i = Math.floor(x);
+    const f = x - i;
+    const s = f * f * (3 - 2 * f);
+    const a = hash(seed, i);
+    return (a + (hash(seed, i + 1) - a) * s) * 2 - 1;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+// Weighted by WEIGHT, never the same as the current weather
+function pickType(rng, current = null) {
+    const keys = Object.keys(TYPES).filter(key => key !== current);
+    let roll = rng() * keys.reduce((sum, key) => sum + TYPES[key].WEIGHT, 0);
+    for (const key of keys) {
+        roll -= TYPES[key].WEIGHT;
+        if (roll < 0) return key;
+    }
+    return keys[keys.length - 1];
+}
+
+export function createWeather(seed, choice = CONFIG.WEATHER) {
+    seed >>>= 0;
+    if (!isWeatherChoice(choice)) choice = CONFIG.WEATHER;
+    const rng = createRng(seed ^ WEATHER_SALT);
+    const startOfDay = rng(); // 0 is midnight, 0.5 noon
+    const scratch = {};
+
+    // { start, type }, drawn as the run reaches them. Always in order, so the
+    // sequence depends only on the seed, not on who asks when.
+    const spells = [{ start: 0, type: choice === 'changing' ? pickType(rng) : choice }];
+
+    function spellIndexAt(time) {
+        while (choice === 'changing' && spells[spells.length - 1].start <= time) {
+            const last = spells[spells.length - 1];
+            spells.push({
+                start: last.start + lerp(S.SPELL_MIN, S.SPELL_MAX, rng()),
+                type: pickType(rng, last.type),
+            });
+        }
+        let i = spells.length - 1;
+        while (i > 0 && spells[i].start > time) i--;
+        return i;
+    }
+
+    // 0..1 through the day, 0 at midnight
+    function timeOfDay(time) {
+        return (startOfDay + time / S.DAY_LENGTH) % 1;
+    }
+
+    // The weather at run time `time` and distance z along the course, written to out:
+    // { type, fogNear, fogFar, overcast, gust, rain, lightning } (see CONFIG.WEATHER_TYPES)
+    function conditionsAt(time, z = 0, out = {}) {
+        const i = spellIndexAt(time);
+        const spell = spells[i];
+        const blend = i > 0 ? smoothstep(0, S.BLEND_TIME, time - spell.start) : 1;
+        const from = TYPES[i > 0 ? spells[i - 1].type : spell.type];
+        const to = TYPES[spell.type];
+        Object.entries(BLENDED).forEach(([key, field]) => out[key] = lerp(from[field], to[field], blend));
+        out.type = blend < 0.5 ? spells[i - 1].type : spell.type;
+
+        const banks = lerp(from.BANKS ? 1 : 0, to.BANKS ? 1 : 0, blend);
+        if (banks > 0) {
+            // 0 inside a bank, 1 in the clear air between two
+            const gap = smoothstep(-0.1, 0.3, noise(seed + LAYER.BANKS, z / S.BANK_LENGTH)) * banks;
+            out.fogNear = lerp(out.fogNear, TYPES.clear.FOG_NEAR, gap);
+            out.fogFar = lerp(out.fogFar, S.BANK_GAP_FAR, gap);
+        }
+        return out;
+    }
+
+    // The wind pushing the eagle at run time `time`, in units/s, written to out (x and y).
+    // Gusts come in bursts with calmer air between them.
+    function gustAt(time, out) {
+        const strength = conditionsAt(time, 0, scratch).gust;
+        if (strength === 0) return out.set(0, 0, 0);
+        const t = time / S.GUST_PERIOD;
+        const bursts = smoothstep(-0.3, 0.5, noise(seed + LAYER.GUST_BURSTS, t / 4));
+        return out.set(
+            strength * bursts * noise(seed + LAYER.GUST_X, t),
+            strength * bursts * 0.35 * noise(seed + LAYER.GUST_Y, t),
+            0
+        );
+    }
+
+    // Run time of the latest lightning strike at or before `time` whose flash
+    // could still be showing, or null. At most one strike a second.
+    function lastStrike(time) {
+        for (let second = Math.floor(time); second >= Math.floor(time - S.FLASH_TIME); second--) {
+            if (second < 0) break;
+            if (hash(seed + LAYER.STRIKE, second) >= conditionsAt(second, 0, scratch).lightning) continue;
+            const strike = second + hash(seed + LAYER.STRIKE_TIME, second);
+            if (strike <= time) return strike;
+        }
+        return null;
+    }
+
+    // Brightness of the lightning at run time `time`, 0..1: a flash, a flicker, then fading
+    function flashAt(time) {
+        const strike = lastStrike(time);
+        if (strike === null) return 0;
+        const age = time - strike;
+        if (age >= S.FLASH_TIME) return 0;
+        if (age < 0.05) return 1;
+        if (age < 0.1) return 0.3;
+        return 0.8 * (1 - age / S.FLASH_TIME);
+    }
+
+    return { seed, choice, timeOfDay, conditionsAt, gustAt, lastStrike, flashAt };
+}